@@ -0,0 +1,184 @@
+/**
+ * ZIP Football Calculator - Batch Pricing
+ * * Reads a fixture list from CSV into getInputs()-shaped objects, pulls
+ * headline markets out of each priced book and writes the batch back to CSV.
+ */
+
+import { csvLine } from './export.js';
+
+// Accepted header spellings (compared lower-case with separators stripped)
+const COLUMN_ALIASES = {
+    home: ['home', 'hometeam'],
+    away: ['away', 'awayteam'],
+    xgHome: ['xghome', 'homexg', 'lambdahome'],
+    xgAway: ['xgaway', 'awayxg', 'lambdaaway'],
+    supremacy: ['supremacy', 'sup'],
+    expectancy: ['expectancy', 'exp', 'total'],
+    piHome: ['pihome', 'homepi'],
+    piAway: ['piaway', 'awaypi'],
+    halfFactor: ['halffactor'],
+    halfFactorHome: ['halffactorhome'],
+    halfFactorAway: ['halffactoraway'],
+    marginFull: ['marginfull', 'margin'],
+    marginH1: ['marginh1'],
+    marginH2: ['marginh2']
+};
+
+// RFC 4180 style: quoted fields may contain commas, quotes ("") and newlines
+export function parseCSV(text) {
+    let rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+            else if (c === '"') quoted = false;
+            else field += c;
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field); field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); field = '';
+            rows.push(row); row = [];
+        } else {
+            field += c;
+        }
+    }
+    if (field !== '' || row.length) { row.push(field); rows.push(row); }
+    return rows.filter(r => r.some(f => f.trim() !== ''));
+}
+
+function mapHeader(header) {
+    const normalized = header.map(h => h.toLowerCase().replace(/[^a-z0-9]/g, ''));
+    let columns = {};
+    Object.keys(COLUMN_ALIASES).forEach(key => {
+        const index = normalized.findIndex(h => COLUMN_ALIASES[key].includes(h));
+        if (index >= 0) columns[key] = index;
+    });
+    return columns;
+}
+
+/**
+ * Parse a fixture CSV (header row required) into getInputs()-shaped objects.
+ * Each fixture needs home, away and either xG or supremacy/expectancy;
+ * pi, half factors and margins fall back to `defaults` (the current form),
+ * which also supplies the goal distribution and dependence for every row.
+ * Returns [{ line, inputs, isValid, errorMsg }], one entry per data row.
+ */
+export function parseFixtures(text, defaults) {
+    const [header, ...rows] = parseCSV(text);
+    if (!header) throw new Error("CSV is empty.");
+    const columns = mapHeader(header);
+    if (columns.home === undefined || columns.away === undefined) {
+        throw new Error("CSV needs 'home' and 'away' columns.");
+    }
+
+    return rows.map((row, i) => {
+        const cell = (key) => columns[key] === undefined ? '' : (row[columns[key]] || '').trim();
+        const num = (key, fallback) => cell(key) === '' ? fallback : parseFloat(cell(key));
+        const halfFactor = num('halfFactor', undefined);
+        const piHome = num('piHome', 0);
+        const piAway = num('piAway', 0);
+
+        let inputs = {
+            inputMode: 'xg',
+            marginal: { ...defaults.marginal },
+            homeTeam: cell('home') || 'Home',
+            awayTeam: cell('away') || 'Away',
+            lambdaHomeFull: num('xgHome', NaN),
+            lambdaAwayFull: num('xgAway', NaN),
+            piHome,
+            piAway,
+            halfFactorHome: num('halfFactorHome', halfFactor === undefined ? defaults.halfFactorHome : halfFactor),
+            halfFactorAway: num('halfFactorAway', halfFactor === undefined ? defaults.halfFactorAway : halfFactor),
+            halfPi: { mode: defaults.halfPi.mode === 'derived' ? 'derived' : 'same' },
+            marginFull: num('marginFull', defaults.marginFull),
+            marginH1: num('marginH1', defaults.marginH1),
+            marginH2: num('marginH2', defaults.marginH2),
+            marginMethod: defaults.marginMethod,
+            tailEpsilon: defaults.tailEpsilon,
+            dependence: { ...defaults.dependence }
+        };
+        let isValid = true;
+        let errorMsg = '';
+        const fail = (msg) => { if (isValid) { isValid = false; errorMsg = msg; } };
+
+        if (isNaN(inputs.lambdaHomeFull) || isNaN(inputs.lambdaAwayFull)) {
+            const sup = num('supremacy', NaN);
+            const exp = num('expectancy', NaN);
+            inputs.inputMode = 'sup';
+            inputs.lambdaHomeFull = (exp + sup) / 2;
+            inputs.lambdaAwayFull = (exp - sup) / 2;
+            if (isNaN(sup) || isNaN(exp)) fail("Needs xG or supremacy/expectancy.");
+            else if (exp <= 0) fail("Total expectancy must be > 0.");
+            else if (inputs.lambdaHomeFull < 0 || inputs.lambdaAwayFull < 0) fail("Implied team goals negative.");
+        } else if (inputs.lambdaHomeFull < 0 || inputs.lambdaAwayFull < 0) {
+            fail("xG values must be non-negative.");
+        }
+        if (!(piHome >= 0 && piHome <= 1 && piAway >= 0 && piAway <= 1)) fail("Pi must be 0-1.");
+        if (!(inputs.halfFactorHome >= 0 && inputs.halfFactorHome <= 1 && inputs.halfFactorAway >= 0 && inputs.halfFactorAway <= 1)) {
+            fail("1st half shares must be 0-1.");
+        }
+        if ([inputs.marginFull, inputs.marginH1, inputs.marginH2].some(m => !(m >= 0))) fail("Margins must be non-negative numbers.");
+
+        return { line: i + 2, inputs, isValid, errorMsg };
+    });
+}
+
+// Headline markets of one priced book (probabilities and margined odds)
+export function headlineMarkets(book) {
+    const m = book.full.book;
+    let topScore = '';
+    let topProb = -1;
+    Object.keys(book.full.markets.map).forEach(score => {
+        if (book.full.markets.map[score] > topProb) { topProb = book.full.markets.map[score]; topScore = score; }
+    });
+
+    return {
+        home: m['1X2'].Home, draw: m['1X2'].Draw, away: m['1X2'].Away,
+        over25: m['Over/Under 2.5'].Over, under25: m['Over/Under 2.5'].Under,
+        bttsYes: m['BTTS'].Yes, bttsNo: m['BTTS'].No,
+        topScore, topScoreProb: topProb
+    };
+}
+
+const BATCH_CSV_COLUMNS = [
+    'home', 'away', 'xg_home', 'xg_away', 'pi_home', 'pi_away', 'half_factor_home', 'half_factor_away',
+    'margin_full', 'margin_h1', 'margin_h2',
+    'prob_home', 'prob_draw', 'prob_away', 'odds_home', 'odds_draw', 'odds_away',
+    'prob_over_2_5', 'odds_over_2_5', 'odds_under_2_5', 'prob_btts_yes', 'odds_btts_yes', 'odds_btts_no',
+    'top_score', 'error'
+];
+
+/**
+ * Batch results back to CSV. Input columns come first so the file can be
+ * re-imported with parseFixtures(). results: [{ inputs, headline, errorMsg }]
+ */
+export function batchToCSV(results) {
+    const odds = (s) => s.odds > 0 ? s.odds.toFixed(3) : '';
+    const prob = (s) => s.prob.toFixed(6);
+    const round = (v) => String(+v.toFixed(6));
+
+    const lines = [csvLine(BATCH_CSV_COLUMNS)];
+    results.forEach(({ inputs, headline, errorMsg }) => {
+        const base = [inputs.homeTeam, inputs.awayTeam];
+        if (!headline) {
+            lines.push(csvLine([...base, ...new Array(BATCH_CSV_COLUMNS.length - 3).fill(''), errorMsg]));
+            return;
+        }
+        const h = headline;
+        lines.push(csvLine([
+            ...base, round(inputs.lambdaHomeFull), round(inputs.lambdaAwayFull), inputs.piHome, inputs.piAway,
+            inputs.halfFactorHome, inputs.halfFactorAway, inputs.marginFull, inputs.marginH1, inputs.marginH2,
+            prob(h.home), prob(h.draw), prob(h.away), odds(h.home), odds(h.draw), odds(h.away),
+            prob(h.over25), odds(h.over25), odds(h.under25), prob(h.bttsYes), odds(h.bttsYes), odds(h.bttsNo),
+            h.topScore, ''
+        ]));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,250 @@
+/**
+ * ZIP Football Calculator - Bet Builder
+ * * A small expression language over match outcomes, compiled to a
+ * predicate on scores and priced exactly from the correct-score grids.
+ *
+ *   home_win AND total > 2.5 AND btts
+ *   (1X) AND home_goals >= 2
+ *   ht_draw AND NOT ft_draw OR h2_total >= 2
+ *
+ * Numbers: home_goals, away_goals, total, goal_diff (home - away), combined
+ * with + and - and compared with > >= < <= = != (integers and .5 lines).
+ * Conditions: home_win, draw, away_win, 1X, X2, 12, btts,
+ * home_clean_sheet, away_clean_sheet, home_win_to_nil, away_win_to_nil.
+ * Any name may carry a period prefix: ft_ (default), h1_ / ht_ or h2_.
+ * Combine with AND / OR / NOT (or && || !) and parentheses.
+ *
+ * Full time-only bets are summed over the full time grid. Bets with a half
+ * leg are summed over H1 x H2 cell pairs, with full time = H1 + H2.
+ */
+
+import { priceMarket } from './engine.js';
+
+const PERIOD_PREFIXES = { ft: 'full', h1: 'h1', ht: 'h1', h2: 'h2' };
+
+// Numeric values of one period's score
+const NUMBERS = {
+    home_goals: (s) => s.h,
+    away_goals: (s) => s.a,
+    total: (s) => s.h + s.a,
+    total_goals: (s) => s.h + s.a,
+    goal_diff: (s) => s.h - s.a
+};
+
+// Yes/no outcomes of one period's score
+const CONDITIONS = {
+    home_win: (s) => s.h > s.a,
+    draw: (s) => s.h === s.a,
+    away_win: (s) => s.a > s.h,
+    '1x': (s) => s.h >= s.a,
+    x2: (s) => s.a >= s.h,
+    '12': (s) => s.h !== s.a,
+    btts: (s) => s.h > 0 && s.a > 0,
+    home_clean_sheet: (s) => s.a === 0,
+    away_clean_sheet: (s) => s.h === 0,
+    home_win_to_nil: (s) => s.h > 0 && s.a === 0,
+    away_win_to_nil: (s) => s.a > 0 && s.h === 0
+};
+
+const COMPARISONS = {
+    '>': (x, y) => x > y,
+    '>=': (x, y) => x >= y,
+    '<': (x, y) => x < y,
+    '<=': (x, y) => x <= y,
+    '=': (x, y) => x === y,
+    '==': (x, y) => x === y,
+    '!=': (x, y) => x !== y
+};
+
+const KEYWORDS = { and: 'AND', '&&': 'AND', or: 'OR', '||': 'OR', not: 'NOT', '!': 'NOT' };
+
+function tokenize(text) {
+    const pattern = /\s*(>=|<=|!=|==|&&|\|\||[()<>=!+-]|[A-Za-z0-9_.]+)/y;
+    let tokens = [];
+    let index = 0;
+    while (index < text.length) {
+        const rest = text.slice(index);
+        if (!rest.trim()) break;
+        pattern.lastIndex = index;
+        const match = pattern.exec(text);
+        if (!match) {
+            const skipped = rest.length - rest.trimStart().length;
+            throw new Error(`Unexpected "${rest.trim()[0]}" at position ${index + skipped + 1}.`);
+        }
+        const value = match[1];
+        const keyword = KEYWORDS[value.toLowerCase()];
+        const position = match.index + match[0].length - value.length + 1;
+        if (keyword) tokens.push({ type: keyword, position });
+        else if (COMPARISONS[value]) tokens.push({ type: 'CMP', value, position });
+        else if (value === '+' || value === '-') tokens.push({ type: 'SIGN', value, position });
+        else if (value === '(' || value === ')') tokens.push({ type: value, position });
+        else tokens.push({ type: 'WORD', value: value.toLowerCase(), position });
+        index = pattern.lastIndex;
+    }
+    return tokens;
+}
+
+// "h1_home_goals" -> { period: 'h1', name: 'home_goals' }
+function splitName(word) {
+    const prefix = /^(ft|h1|ht|h2)_(.+)$/.exec(word);
+    return prefix ? { period: PERIOD_PREFIXES[prefix[1]], name: prefix[2] } : { period: 'full', name: word };
+}
+
+/**
+ * Compile an expression. Returns { text, periods, test } where
+ * test({ full, h1, h2 }) takes { h, a } scores per period (h1 / h2 only
+ * needed when `periods` includes them). Throws an Error describing the
+ * first problem in the expression.
+ */
+export function compileBet(text) {
+    const tokens = tokenize(text);
+    let position = 0;
+    let periods = new Set();
+
+    const peek = () => tokens[position];
+    const fail = (message, token = peek()) => {
+        throw new Error(token ? `${message} at position ${token.position}.` : `${message} at the end.`);
+    };
+    const expect = (type) => {
+        if (!peek() || peek().type !== type) fail(`Expected "${type}"`);
+        return tokens[position++];
+    };
+    const isNumber = (word) => /^\d+(\.\d+)?$/.test(word);
+
+    // term := number | numeric name
+    function parseTerm() {
+        const token = peek();
+        if (!token || token.type !== 'WORD') fail("Expected a number or goal count");
+        position++;
+        if (isNumber(token.value)) {
+            const n = parseFloat(token.value);
+            return () => n;
+        }
+        const { period, name } = splitName(token.value);
+        if (!NUMBERS[name]) fail(`"${token.value}" is not a goal count`, token);
+        periods.add(period);
+        return (ctx) => NUMBERS[name](ctx[period]);
+    }
+
+    // sum := term (("+" | "-") term)*
+    function parseSum() {
+        let value = parseTerm();
+        while (peek() && peek().type === 'SIGN') {
+            const sign = tokens[position++].value;
+            const left = value, right = parseTerm();
+            value = sign === '+' ? (ctx) => left(ctx) + right(ctx) : (ctx) => left(ctx) - right(ctx);
+        }
+        return value;
+    }
+
+    // primary := "(" or ")" | sum comparison sum | condition
+    function parsePrimary() {
+        const token = peek();
+        if (!token) fail("Expected a condition");
+        if (token.type === '(') {
+            position++;
+            const inner = parseOr();
+            expect(')');
+            return inner;
+        }
+        if (token.type !== 'WORD') fail(`Unexpected "${token.value || token.type}"`);
+
+        const next = tokens[position + 1];
+        const { period, name } = splitName(token.value);
+        const isCondition = CONDITIONS[name] && !(next && (next.type === 'CMP' || next.type === 'SIGN'));
+        if (isCondition) {
+            position++;
+            periods.add(period);
+            return (ctx) => CONDITIONS[name](ctx[period]);
+        }
+
+        const left = parseSum();
+        const cmp = peek();
+        if (!cmp || cmp.type !== 'CMP') fail(`"${token.value}" needs a comparison such as > 2.5`, cmp);
+        position++;
+        const right = parseSum();
+        const compare = COMPARISONS[cmp.value];
+        return (ctx) => compare(left(ctx), right(ctx));
+    }
+
+    function parseNot() {
+        if (peek() && peek().type === 'NOT') {
+            position++;
+            const inner = parseNot();
+            return (ctx) => !inner(ctx);
+        }
+        return parsePrimary();
+    }
+
+    function parseAnd() {
+        let left = parseNot();
+        while (peek() && peek().type === 'AND') {
+            position++;
+            const a = left, b = parseNot();
+            left = (ctx) => a(ctx) && b(ctx);
+        }
+        return left;
+    }
+
+    function parseOr() {
+        let left = parseAnd();
+        while (peek() && peek().type === 'OR') {
+            position++;
+            const a = left, b = parseAnd();
+            left = (ctx) => a(ctx) || b(ctx);
+        }
+        return left;
+    }
+
+    if (!tokens.length) throw new Error("Enter an expression.");
+    const test = parseOr();
+    if (position < tokens.length) fail(`Unexpected "${peek().value || peek().type}"`);
+    return { text, periods: [...periods], test };
+}
+
+/**
+ * Price a compiled bet against a price() book.
+ * Returns { prob, fairOdds, odds, crossHalf, cells: { full, h1, h2 } } where
+ * cells list the "h-a" scores of each grid that contribute to the bet.
+ * odds carry a two-way (yes / no) margin: the half's margin when the bet
+ * reads only the 1st or only the 2nd half, the full time margin otherwise.
+ */
+export function priceBet(bet, book) {
+    const crossHalf = bet.periods.some(p => p !== 'full');
+    let prob = 0;
+    let cells = { full: new Set(), h1: new Set(), h2: new Set() };
+
+    if (!crossHalf) {
+        book.full.matrix.forEach((row, h) => row.forEach((p, a) => {
+            if (p > 0 && bet.test({ full: { h, a } })) {
+                prob += p;
+                cells.full.add(`${h}-${a}`);
+            }
+        }));
+    } else {
+        book.h1.matrix.forEach((row1, h1) => row1.forEach((p1, a1) => {
+            if (p1 === 0) return;
+            book.h2.matrix.forEach((row2, h2) => row2.forEach((p2, a2) => {
+                if (p2 === 0) return;
+                const ctx = { full: { h: h1 + h2, a: a1 + a2 }, h1: { h: h1, a: a1 }, h2: { h: h2, a: a2 } };
+                if (!bet.test(ctx)) return;
+                prob += p1 * p2;
+                cells.full.add(`${h1 + h2}-${a1 + a2}`);
+                cells.h1.add(`${h1}-${a1}`);
+                cells.h2.add(`${h2}-${a2}`);
+            }));
+        }));
+    }
+
+    prob = Math.min(1, prob);
+    const { margins, marginMethod } = book.inputs;
+    const period = bet.periods.length === 1 ? bet.periods[0] : 'full';
+    const priced = priceMarket({ Yes: prob, No: 1 - prob }, margins[period], marginMethod).Yes;
+    return {
+        prob,
+        fairOdds: priced.fairOdds,
+        odds: priced.odds,
+        crossHalf,
+        cells: { full: [...cells.full], h1: [...cells.h1], h2: [...cells.h2] }
+    };
+}
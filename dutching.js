@@ -0,0 +1,86 @@
+/**
+ * ZIP Football Calculator - Dutching
+ * * Splits a stake across several correct scores so every one of them
+ * returns the same amount, then settles the plan against every score in
+ * the grid. DOM-free: the selection panel supplies the odds and the
+ * model probabilities.
+ *
+ * Staking each selection at R / odds returns R whichever selection wins;
+ * the total staked is R times the book (sum of 1 / odds), so a total stake
+ * S gives R = S / book and a profit only while the book is below 1.
+ */
+
+import { csvLine } from './export.js';
+
+/** '' when the plan can be built, otherwise the message to show. */
+export function getDutchError(odds, amount, amountLabel = 'Stake') {
+    const entries = Object.entries(odds);
+    if (!entries.length) return "Select at least one score to dutch.";
+    const missing = entries.find(([, o]) => !(o > 1));
+    if (missing) return `Odds for ${missing[0]} must be above 1.`;
+    if (!(amount > 0)) return `${amountLabel} must be greater than 0.`;
+    return '';
+}
+
+/**
+ * Stakes for an equal return on every selection.
+ * odds: { score: decimal odds }; options: { stake } (total to spread) or
+ * { target } (return wanted), and round (stake unit, e.g. 0.01; 0 = exact).
+ * Rounded stakes return slightly different amounts, so each selection's
+ * return and profit are reported from the stakes actually placed.
+ * Returns { selections: [{ score, odds, stake, payout, profit }], total, book,
+ * minProfit, maxProfit }.
+ */
+export function dutchStakes(odds, options) {
+    const byTarget = options.target !== undefined;
+    const error = byTarget ? getDutchError(odds, options.target, 'Target return') : getDutchError(odds, options.stake);
+    if (error) throw new RangeError(error);
+
+    const book = Object.values(odds).reduce((s, o) => s + 1 / o, 0);
+    const payout = byTarget ? options.target : options.stake / book;
+    const round = options.round > 0 ? (v) => Math.round(v / options.round) * options.round : (v) => v;
+
+    const stakes = Object.entries(odds).map(([score, o]) => ({ score, odds: o, stake: round(payout / o) }));
+    const total = stakes.reduce((s, x) => s + x.stake, 0);
+    const selections = stakes.map(x => ({ ...x, payout: x.stake * x.odds, profit: x.stake * x.odds - total }));
+    const profits = selections.map(x => x.profit);
+    return { selections, total, book, minProfit: Math.min(...profits), maxProfit: Math.max(...profits) };
+}
+
+/**
+ * Profit or loss of a plan on every score of a grid ({ score: probability },
+ * as shown in the correct score table), with the model's expected profit.
+ * Returns { rows: [{ score, prob, selected, profit }], expectedProfit,
+ * winProb } in grid order.
+ */
+export function settleDutch(plan, probabilityMap) {
+    const bySelection = {};
+    plan.selections.forEach(x => bySelection[x.score] = x);
+    const rows = Object.entries(probabilityMap).map(([score, prob]) => {
+        const selection = bySelection[score];
+        return { score, prob, selected: !!selection, profit: selection ? selection.profit : -plan.total };
+    });
+    return {
+        rows,
+        expectedProfit: rows.reduce((s, r) => s + r.prob * r.profit, 0),
+        winProb: rows.filter(r => r.selected).reduce((s, r) => s + r.prob, 0)
+    };
+}
+
+/**
+ * CSV of a plan: the stakes, the totals, then profit/loss per grid score.
+ * meta: { match, period } written as a heading line.
+ */
+export function dutchToCSV(plan, settlement, meta = {}) {
+    const money = (v) => v.toFixed(2);
+    let lines = [csvLine(['match', 'period']), csvLine([meta.match || '', meta.period || '']), ''];
+    lines.push(csvLine(['score', 'odds', 'stake', 'return', 'profit']));
+    plan.selections.forEach(x => lines.push(csvLine([x.score, x.odds, money(x.stake), money(x.payout), money(x.profit)])));
+    lines.push(csvLine(['total', '', money(plan.total), '', '']));
+    lines.push(csvLine(['book_percent', (plan.book * 100).toFixed(2), '', '', '']));
+    lines.push(csvLine(['expected_profit', '', '', '', money(settlement.expectedProfit)]));
+    lines.push('');
+    lines.push(csvLine(['score', 'probability', 'selected', 'profit']));
+    settlement.rows.forEach(r => lines.push(csvLine([r.score, r.prob.toFixed(6), r.selected ? 'yes' : 'no', money(r.profit)])));
+    return lines.join('\r\n') + '\r\n';
+}
@@ -0,0 +1,1463 @@
+/**
+ * ZIP Football Calculator - Pricing Engine
+ * * Pure, DOM-free model code shared by the browser UI and Node scripts.
+ * Features:
+ * - Goal marginals: Poisson, ZIP, negative binomial, ZINB, hurdle, 1-inflated
+ * - Joint score grids
+ * - Score dependence (Dixon-Coles, Bivariate Poisson)
+ * - Per-team half splits and half-specific zero-inflation
+ * - Adaptive grid size (tail mass below epsilon, renormalised)
+ * - Market derivation (1X2, O/U, BTTS, Correct Score, HT/FT, combinations)
+ * - Team totals, exact team goals, odd/even, multi-goal ranges, winning margin
+ * - Asian Handicap / Asian Totals with quarter-line settlement
+ * - Margin methods (proportional, additive, Shin, power, odds-ratio, logarithmic)
+ * - In-play repricing from the score, minute and red cards
+ * - Cup ties: extra time, penalties, to qualify and method of victory
+ * - Two-legged ties: aggregate score, away goals and leg 2 required results
+ * - price(): one call from model inputs to a plain JSON market book
+ */
+
+// --- Constants & Config ---
+export const MIN_GRID_GOALS = 7; // Grid always covers at least 0-7
+export const MAX_GRID_GOALS = 30; // Hard cap on adaptive growth
+export const DEFAULT_TAIL_EPSILON = 1e-6;
+export const STANDARD_LINES = [0.5, 1.5, 2.5, 3.5, 4.5, 5.5];
+const quarterSteps = (from, to) => Array.from({ length: Math.round((to - from) * 4) + 1 }, (_, i) => from + i * 0.25);
+export const ASIAN_HANDICAP_LINES = quarterSteps(-3, 3); // Home handicap
+export const ASIAN_TOTAL_LINES = quarterSteps(0.5, 5.5);
+export const TEAM_LINES = [0.5, 1.5, 2.5, 3.5];
+export const TEAM_GOALS_CAP = 5; // Exact team goals: 0-4, 5+
+export const MULTI_GOAL_RANGES = [[1, 2], [1, 3], [2, 3], [2, 4], [3, 4], [3, 5], [4, 6]];
+export const WINNING_MARGIN_CAP = 3; // Winning margin: by 1, by 2, by 3+
+export const HTFT_SCORE_CAPS = { ht: 2, ft: 4 }; // HT/FT correct score: HT 0-2, FT 0-4 goals per team, rest "Any Other"
+export const MATCH_MINUTES = 90;
+export const HALF_MINUTES = 45;
+// Scoring-rate multipliers per red card for the rest of the match (rule of thumb)
+export const RED_CARD_FACTORS = { own: 0.7, opponent: 1.25 };
+export const MARGINAL_FAMILIES = ['poisson', 'zip', 'negbin', 'zinb', 'hurdle', 'oneInflated'];
+
+// --- Math Model ---
+
+const factorialCache = [1, 1, 2, 6, 24, 120, 720, 5040];
+function factorial(n) {
+    if (n < 0) return 1;
+    if (n < factorialCache.length) return factorialCache[n];
+    let res = factorialCache[factorialCache.length - 1];
+    for (let i = factorialCache.length; i <= n; i++) res *= i;
+    return res;
+}
+
+export function computePoissonPMF(lambda, maxGoals, pi) {
+    let probs = [];
+    let sum = 0;
+    const expLambda = Math.exp(-lambda);
+
+    for (let k = 0; k <= maxGoals; k++) {
+        let pStandard = (expLambda * Math.pow(lambda, k)) / factorial(k);
+        let pZip = k === 0 ? pi + (1 - pi) * pStandard : (1 - pi) * pStandard;
+        probs.push(pZip);
+        sum += pZip;
+    }
+    return { probs, tail: 1 - sum };
+}
+
+// Negative binomial with mean `mean` and size r: variance mean + mean^2 / r
+function negBinomialProbs(mean, r, maxGoals) {
+    const q = mean / (r + mean);
+    let probs = [Math.pow(r / (r + mean), r)];
+    for (let k = 1; k <= maxGoals; k++) probs.push(probs[k - 1] * (k - 1 + r) / k * q);
+    return probs;
+}
+
+// P(0) of the count part: Poisson, or negative binomial when a dispersion is set
+export function baseZeroProb(mean, dispersion) {
+    return dispersion ? Math.pow(dispersion / (dispersion + mean), dispersion) : Math.exp(-mean);
+}
+
+/**
+ * Goal distribution of one team for any marginal family:
+ *   P(k) = pi [k = 0] + one [k = 1] + (1 - pi - one) * base(k)
+ * where base is Poisson(lambda), or negative binomial with mean lambda when
+ * shape.dispersion (the size r) is set. shape.one inflates the 1-goal count.
+ * A negative pi deflates zeros (a hurdle with P(0) below e^-lambda).
+ * With an empty shape this is computePoissonPMF.
+ */
+export function computeMarginalPMF(lambda, maxGoals, pi, shape = {}) {
+    const one = shape.one || 0;
+    if (!shape.dispersion && !one) return computePoissonPMF(lambda, maxGoals, pi);
+
+    const base = shape.dispersion ? negBinomialProbs(lambda, shape.dispersion, maxGoals) : computePoissonPMF(lambda, maxGoals, 0).probs;
+    const probs = base.map((p, k) => (1 - pi - one) * p + (k === 0 ? pi : 0) + (k === 1 ? one : 0));
+    return { probs, tail: 1 - sumOf(probs) };
+}
+
+// Zero modification that gives a Poisson(lambda) count a hurdle at P(0) = zero:
+// positive counts keep their Poisson shape, scaled to 1 - zero
+export function hurdlePi(lambda, zero) {
+    const e = Math.exp(-lambda);
+    return (zero - e) / (1 - e);
+}
+
+// dependence: { model: 'independent' | 'dixonColes' | 'bivariate', rho, lambda3 }
+// shapes: { home, away } marginal shapes (see computeMarginalPMF), default Poisson
+export function computeJointDistribution(lambdaH, lambdaA, piH, piA, maxGoals, dependence, shapes = {}) {
+    const model = dependence ? dependence.model : 'independent';
+    if (model === 'bivariate') {
+        return computeBivariateJoint(lambdaH, lambdaA, piH, piA, maxGoals, dependence.lambda3, shapes);
+    }
+
+    const distH = computeMarginalPMF(lambdaH, maxGoals, piH, shapes.home);
+    const distA = computeMarginalPMF(lambdaA, maxGoals, piA, shapes.away);
+
+    let matrix = [];
+    let totalProb = 0;
+
+    for (let i = 0; i <= maxGoals; i++) {
+        matrix[i] = [];
+        for (let j = 0; j <= maxGoals; j++) {
+            let jointP = distH.probs[i] * distA.probs[j];
+            matrix[i][j] = jointP;
+            totalProb += jointP;
+        }
+    }
+
+    if (model === 'dixonColes') applyDixonColes(matrix, lambdaH, lambdaA, dependence.rho, totalProb);
+
+    return { matrix, tailProb: 1 - totalProb };
+}
+
+// Dixon-Coles low-score adjustment, rescaled so the grid keeps its total mass
+function applyDixonColes(matrix, lambdaH, lambdaA, rho, totalProb) {
+    const tau = {
+        '0-0': 1 - lambdaH * lambdaA * rho,
+        '0-1': 1 + lambdaH * rho,
+        '1-0': 1 + lambdaA * rho,
+        '1-1': 1 - rho
+    };
+
+    let adjustedSum = totalProb;
+    Object.keys(tau).forEach(key => {
+        const [h, a] = key.split('-').map(Number);
+        if (!matrix[h] || matrix[h][a] === undefined) return;
+        const adjusted = matrix[h][a] * Math.max(0, tau[key]);
+        adjustedSum += adjusted - matrix[h][a];
+        matrix[h][a] = adjusted;
+    });
+
+    if (adjustedSum <= 0) return;
+    const scale = totalProb / adjustedSum;
+    matrix.forEach(row => row.forEach((p, j) => row[j] = p * scale));
+}
+
+// Bivariate Poisson: X = X1 + X3, Y = X2 + X3 with shared component lambda3.
+// Zero- and 1-inflation are mixed in per team so the marginals are preserved.
+function computeBivariateJoint(lambdaH, lambdaA, piH, piA, maxGoals, lambda3, shapes) {
+    const oneH = (shapes.home || {}).one || 0;
+    const oneA = (shapes.away || {}).one || 0;
+    const countH = 1 - piH - oneH, countA = 1 - piA - oneA;
+    // Point masses of each team: [goals, weight]
+    const pointsH = [[0, piH], [1, oneH]], pointsA = [[0, piA], [1, oneA]];
+    const l3 = Math.max(0, Math.min(lambda3, lambdaH, lambdaA));
+    const p1 = computePoissonPMF(lambdaH - l3, maxGoals, 0).probs;
+    const p2 = computePoissonPMF(lambdaA - l3, maxGoals, 0).probs;
+    const p3 = computePoissonPMF(l3, maxGoals, 0).probs;
+    const margH = computePoissonPMF(lambdaH, maxGoals, 0).probs;
+    const margA = computePoissonPMF(lambdaA, maxGoals, 0).probs;
+
+    let matrix = [];
+    let totalProb = 0;
+
+    for (let i = 0; i <= maxGoals; i++) {
+        matrix[i] = [];
+        for (let j = 0; j <= maxGoals; j++) {
+            let bp = 0;
+            for (let k = 0; k <= Math.min(i, j); k++) bp += p1[i - k] * p2[j - k] * p3[k];
+
+            let jointP = countH * countA * bp;
+            pointsH.forEach(([k, w]) => { if (i === k) jointP += w * countA * margA[j]; });
+            pointsA.forEach(([k, w]) => { if (j === k) jointP += countH * w * margH[i]; });
+            pointsH.forEach(([kh, wh]) => pointsA.forEach(([ka, wa]) => {
+                if (i === kh && j === ka) jointP += wh * wa;
+            }));
+
+            matrix[i][j] = jointP;
+            totalProb += jointP;
+        }
+    }
+    return { matrix, tailProb: 1 - totalProb };
+}
+
+// Grow the grid until the truncated tail mass drops below epsilon, then
+// renormalise so every derived market sums to 1 exactly.
+// tailProb reports the mass that was redistributed.
+export function computeAdaptiveJoint(lambdaH, lambdaA, piH, piA, dependence, epsilon = DEFAULT_TAIL_EPSILON, shapes = {}) {
+    // Marginal tails bound the joint tail, so size the grid from them first
+    const probsH = computeMarginalPMF(lambdaH, MAX_GRID_GOALS, piH, shapes.home).probs;
+    const probsA = computeMarginalPMF(lambdaA, MAX_GRID_GOALS, piA, shapes.away).probs;
+    let maxGoals = 0;
+    let tailH = 1 - probsH[0], tailA = 1 - probsA[0];
+    while (maxGoals < MAX_GRID_GOALS && (maxGoals < MIN_GRID_GOALS || tailH + tailA > epsilon)) {
+        maxGoals++;
+        tailH -= probsH[maxGoals];
+        tailA -= probsA[maxGoals];
+    }
+
+    let joint = computeJointDistribution(lambdaH, lambdaA, piH, piA, maxGoals, dependence, shapes);
+    while (joint.tailProb > epsilon && maxGoals < MAX_GRID_GOALS) {
+        maxGoals++;
+        joint = computeJointDistribution(lambdaH, lambdaA, piH, piA, maxGoals, dependence, shapes);
+    }
+
+    const total = 1 - joint.tailProb;
+    const matrix = joint.matrix.map(row => row.map(p => (total > 0 ? p / total : 0)));
+    return { matrix, tailProb: joint.tailProb, maxGoals };
+}
+
+// Collapse a grid into display buckets: scores >= cap are merged into "cap+"
+export function aggregateGrid(jointDist, cap) {
+    const size = jointDist.matrix.length;
+    const buckets = Math.min(cap, size - 1);
+    const label = (i) => (i === buckets && buckets < size - 1 ? `${i}+` : `${i}`);
+    const bucketOf = (i) => Math.min(i, buckets);
+
+    let labels = [];
+    let matrix = [];
+    for (let i = 0; i <= buckets; i++) {
+        labels.push(label(i));
+        matrix[i] = new Array(buckets + 1).fill(0);
+    }
+
+    for (let h = 0; h < size; h++) {
+        for (let a = 0; a < size; a++) {
+            matrix[bucketOf(h)][bucketOf(a)] += jointDist.matrix[h][a];
+        }
+    }
+
+    let map = {};
+    labels.forEach((lh, i) => labels.forEach((la, j) => map[`${lh}-${la}`] = matrix[i][j]));
+    return { labels, matrix, map };
+}
+
+// Half-period dependence: the shared bivariate component scales with the goal rate
+export function scaleDependence(dependence, factor) {
+    return { ...dependence, lambda3: dependence.lambda3 * factor };
+}
+
+// Returns an error message when the dependence parameters are unusable, '' otherwise
+export function getDependenceError(dependence, lambdaH, lambdaA) {
+    if (dependence.model === 'dixonColes') {
+        const rho = dependence.rho;
+        // All four tau adjustments must stay non-negative
+        if (isNaN(rho) || 1 - lambdaH * lambdaA * rho < 0 || 1 + lambdaH * rho < 0 || 1 + lambdaA * rho < 0 || 1 - rho < 0) {
+            return "Dixon-Coles rho out of range for these goal expectations.";
+        }
+    } else if (dependence.model === 'bivariate') {
+        const lambda3 = dependence.lambda3;
+        if (isNaN(lambda3) || lambda3 < 0 || lambda3 > Math.min(lambdaH, lambdaA)) {
+            return "Covariance lambda3 must be between 0 and the smaller team lambda.";
+        }
+    }
+    return '';
+}
+
+// --- Market Derivation ---
+
+// lines: { goals, team } - Over/Under lines to price (default STANDARD_LINES / TEAM_LINES)
+export function deriveMarkets(jointDist, lines = {}) {
+    const goalLines = lines.goals || STANDARD_LINES;
+    const teamLines = lines.team || TEAM_LINES;
+    const matrix = jointDist.matrix;
+    const size = matrix.length;
+    let m = {
+        homeWin: 0, draw: 0, awayWin: 0,
+        bttsYes: 0, bttsNo: 0,
+        winToNilHome: 0, winToNilAway: 0,
+        cleanSheetHome: 0, cleanSheetAway: 0,
+        overs: {}, exactTotals: [],
+        teamOvers: { home: {}, away: {} },
+        teamGoals: { home: new Array(size).fill(0), away: new Array(size).fill(0) },
+        oddTotal: 0,
+        multiGoals: {},
+        winningMargin: { home: new Array(WINNING_MARGIN_CAP).fill(0), away: new Array(WINNING_MARGIN_CAP).fill(0) },
+        map: {} // Map "h-a" -> prob for quick access
+    };
+
+    let maxTotal = (size - 1) * 2;
+    for(let t=0; t<=maxTotal; t++) m.exactTotals[t] = 0;
+    goalLines.forEach(line => m.overs[line] = 0);
+    teamLines.forEach(line => { m.teamOvers.home[line] = 0; m.teamOvers.away[line] = 0; });
+    MULTI_GOAL_RANGES.forEach(([lo, hi]) => m.multiGoals[`${lo}-${hi}`] = 0);
+
+    for (let h = 0; h < size; h++) {
+        for (let a = 0; a < size; a++) {
+            const p = matrix[h][a];
+            m.map[`${h}-${a}`] = p;
+
+            if (h > a) m.homeWin += p;
+            else if (h === a) m.draw += p;
+            else m.awayWin += p;
+
+            if (h > 0 && a > 0) m.bttsYes += p;
+            if (h > 0 && a === 0) m.winToNilHome += p;
+            if (a > 0 && h === 0) m.winToNilAway += p;
+            if (a === 0) m.cleanSheetHome += p;
+            if (h === 0) m.cleanSheetAway += p;
+
+            const total = h + a;
+            if (total <= maxTotal) m.exactTotals[total] += p;
+
+            goalLines.forEach(line => {
+                if (total > line) m.overs[line] += p;
+            });
+
+            m.teamGoals.home[h] += p;
+            m.teamGoals.away[a] += p;
+            teamLines.forEach(line => {
+                if (h > line) m.teamOvers.home[line] += p;
+                if (a > line) m.teamOvers.away[line] += p;
+            });
+            if (total % 2 === 1) m.oddTotal += p;
+            MULTI_GOAL_RANGES.forEach(([lo, hi]) => {
+                if (total >= lo && total <= hi) m.multiGoals[`${lo}-${hi}`] += p;
+            });
+            if (h !== a) m.winningMargin[h > a ? 'home' : 'away'][Math.min(Math.abs(h - a), WINNING_MARGIN_CAP) - 1] += p;
+        }
+    }
+    m.bttsNo = 1 - m.bttsYes;
+
+    // Normalization for 1X2 (ignoring tail)
+    const sum1x2 = m.homeWin + m.draw + m.awayWin;
+    if (sum1x2 > 0) {
+        m.homeWin /= sum1x2; m.draw /= sum1x2; m.awayWin /= sum1x2;
+    }
+
+    m.asianHandicap = deriveAsianMarket(matrix, ASIAN_HANDICAP_LINES, (h, a, line) => h - a + line);
+    m.asianTotals = deriveAsianMarket(matrix, ASIAN_TOTAL_LINES, (h, a, line) => h + a - line);
+    return m;
+}
+
+// Settle one unit stake on an Asian line given the settlement margin
+// (score margin after applying the line). Quarter lines split the stake
+// across the two neighbouring half/whole lines.
+// Returns the fraction of the stake won and lost (the rest is pushed).
+export function settleAsian(value, line) {
+    const isQuarter = Math.round(line * 4) % 2 !== 0;
+    const parts = isQuarter ? [value - 0.25, value + 0.25] : [value];
+    let win = 0, loss = 0;
+    parts.forEach(v => {
+        if (v > 1e-9) win += 1 / parts.length;
+        else if (v < -1e-9) loss += 1 / parts.length;
+    });
+    return { win, loss };
+}
+
+// Two-way Asian market over the grid. settleValue(h, a, line) returns the
+// margin from the first side's point of view (home for AH, over for totals).
+function deriveAsianMarket(matrix, lines, settleValue) {
+    const size = matrix.length;
+    let result = { lines: [], fairLine: null };
+
+    lines.forEach(line => {
+        let entry = { line, win: 0, halfWin: 0, push: 0, halfLoss: 0, loss: 0, sideA: 0, sideB: 0 };
+        let winWeight = 0, lossWeight = 0;
+
+        for (let h = 0; h < size; h++) {
+            for (let a = 0; a < size; a++) {
+                const p = matrix[h][a];
+                const { win, loss } = settleAsian(settleValue(h, a, line), line);
+                winWeight += p * win;
+                lossWeight += p * loss;
+
+                if (win === 1) entry.win += p;
+                else if (win === 0.5) entry.halfWin += p;
+                else if (loss === 1) entry.loss += p;
+                else if (loss === 0.5) entry.halfLoss += p;
+                else entry.push += p;
+            }
+        }
+
+        // Effective two-way probabilities: fair odds for side A are 1 + loss/win
+        const decided = winWeight + lossWeight;
+        entry.sideA = decided > 0 ? winWeight / decided : 0;
+        entry.sideB = decided > 0 ? lossWeight / decided : 0;
+        result.lines.push(entry);
+
+        if (!result.fairLine || Math.abs(entry.sideA - 0.5) < Math.abs(result.fairLine.sideA - 0.5)) {
+            result.fairLine = entry;
+        }
+    });
+
+    return result;
+}
+
+// Calculate Halftime/Full Time markets (HT/FT & O/U for each of `lines`)
+export function deriveHalfTimeFullTime(jointH1, jointH2, lines = STANDARD_LINES) {
+    const matrixH1 = jointH1.matrix;
+    const matrixH2 = jointH2.matrix;
+    const sizeH1 = matrixH1.length;
+    const sizeH2 = matrixH2.length;
+
+    // 9 possible outcomes: HT result / FT result
+    let htft = {
+        'H-H': 0, 'H-D': 0, 'H-A': 0,
+        'D-H': 0, 'D-D': 0, 'D-A': 0,
+        'A-H': 0, 'A-D': 0, 'A-A': 0
+    };
+
+    // Also track HT/FT with goal totals for combination markets
+    let htftGoals = {};
+    lines.forEach(line => {
+        htftGoals[line] = {};
+        Object.keys(htft).forEach(key => {
+            htftGoals[line][key] = { over: 0, under: 0 };
+        });
+    });
+
+    // Iterate through all combinations of HT and 2H scores
+    for (let h1_h = 0; h1_h < sizeH1; h1_h++) {
+        for (let h1_a = 0; h1_a < sizeH1; h1_a++) {
+            const pHT = matrixH1[h1_h][h1_a];
+            if (pHT === 0) continue;
+
+            // Determine HT result
+            let htResult = h1_h > h1_a ? 'H' : h1_h === h1_a ? 'D' : 'A';
+
+            for (let h2_h = 0; h2_h < sizeH2; h2_h++) {
+                for (let h2_a = 0; h2_a < sizeH2; h2_a++) {
+                    const p2H = matrixH2[h2_h][h2_a];
+                    if (p2H === 0) continue;
+
+                    // Calculate full-time score
+                    const ft_h = h1_h + h2_h;
+                    const ft_a = h1_a + h2_a;
+                    const ftTotal = ft_h + ft_a;
+
+                    // Determine FT result
+                    let ftResult = ft_h > ft_a ? 'H' : ft_h === ft_a ? 'D' : 'A';
+
+                    // Combined probability (assuming independence)
+                    const prob = pHT * p2H;
+
+                    // Add to HT/FT market
+                    const key = `${htResult}-${ftResult}`;
+                    htft[key] += prob;
+
+                    // Add to HT/FT + Goals markets
+                    lines.forEach(line => {
+                        if (ftTotal > line) {
+                            htftGoals[line][key].over += prob;
+                        } else {
+                            htftGoals[line][key].under += prob;
+                        }
+                    });
+                }
+            }
+        }
+    }
+
+    return { htft, htftGoals };
+}
+
+/**
+ * Full time markets that need both half grids (halves treated as independent, as in HT/FT).
+ * Returns { bothHalvesOver, highestScoringHalf: { first, second, tie },
+ * winBothHalves, winEitherHalf, scoreBothHalves (each { home, away }),
+ * htftScores: { "h-a" (HT): { "h-a" (FT): prob } } within HTFT_SCORE_CAPS, htftScoresOther }.
+ */
+export function deriveHalfCombinations(jointH1, jointH2) {
+    let result = {
+        bothHalvesOver: 0,
+        highestScoringHalf: { first: 0, second: 0, tie: 0 },
+        winBothHalves: { home: 0, away: 0 },
+        winEitherHalf: { home: 0, away: 0 },
+        scoreBothHalves: { home: 0, away: 0 },
+        htftScores: {},
+        htftScoresOther: 1
+    };
+
+    jointH1.matrix.forEach((row1, h1) => row1.forEach((p1, a1) => {
+        if (p1 === 0) return;
+        const htKey = `${h1}-${a1}`;
+        const htInCap = h1 <= HTFT_SCORE_CAPS.ht && a1 <= HTFT_SCORE_CAPS.ht;
+        if (htInCap && !result.htftScores[htKey]) result.htftScores[htKey] = {};
+
+        jointH2.matrix.forEach((row2, h2) => row2.forEach((p2, a2) => {
+            if (p2 === 0) return;
+            const p = p1 * p2;
+            if (h1 + a1 > 0 && h2 + a2 > 0) result.bothHalvesOver += p;
+
+            const first = h1 + a1, second = h2 + a2;
+            result.highestScoringHalf[first > second ? 'first' : (second > first ? 'second' : 'tie')] += p;
+
+            if (h1 > a1 && h2 > a2) result.winBothHalves.home += p;
+            if (a1 > h1 && a2 > h2) result.winBothHalves.away += p;
+            if (h1 > a1 || h2 > a2) result.winEitherHalf.home += p;
+            if (a1 > h1 || a2 > h2) result.winEitherHalf.away += p;
+            if (h1 > 0 && h2 > 0) result.scoreBothHalves.home += p;
+            if (a1 > 0 && a2 > 0) result.scoreBothHalves.away += p;
+
+            const ftH = h1 + h2, ftA = a1 + a2;
+            if (htInCap && ftH <= HTFT_SCORE_CAPS.ft && ftA <= HTFT_SCORE_CAPS.ft) {
+                const ftKey = `${ftH}-${ftA}`;
+                result.htftScores[htKey][ftKey] = (result.htftScores[htKey][ftKey] || 0) + p;
+                result.htftScoresOther -= p;
+            }
+        }));
+    }));
+    result.htftScoresOther = Math.max(0, result.htftScoresOther);
+    return result;
+}
+
+// Calculate Final Score grouped by total goals
+export function deriveFinalScoreByGoals(jointDist) {
+    const matrix = jointDist.matrix;
+    const size = matrix.length;
+
+    let scoresByGoals = {};
+    for (let t = 0; t <= (size - 1) * 2; t++) {
+        scoresByGoals[t] = [];
+    }
+
+    for (let h = 0; h < size; h++) {
+        for (let a = 0; a < size; a++) {
+            const p = matrix[h][a];
+            const total = h + a;
+            scoresByGoals[total].push({
+                score: `${h}-${a}`,
+                prob: p
+            });
+        }
+    }
+
+    // Sort each group by probability descending
+    Object.keys(scoresByGoals).forEach(t => {
+        scoresByGoals[t].sort((a, b) => b.prob - a.prob);
+    });
+
+    return scoresByGoals;
+}
+
+// Calculate Double Chance + Goals combinations
+export function deriveDoubleChanceGoals(jointDist, lines = STANDARD_LINES) {
+    let dcGoals = {};
+
+    lines.forEach(line => {
+        dcGoals[line] = {
+            '1X': { over: 0, under: 0 },  // Home or Draw
+            'X2': { over: 0, under: 0 },  // Draw or Away
+            '12': { over: 0, under: 0 }   // Home or Away
+        };
+    });
+
+    const matrix = jointDist.matrix;
+    const size = matrix.length;
+
+    for (let h = 0; h < size; h++) {
+        for (let a = 0; a < size; a++) {
+            const p = matrix[h][a];
+            const total = h + a;
+            const isHome = h > a;
+            const isDraw = h === a;
+            const isAway = h < a;
+
+            lines.forEach(line => {
+                const isOver = total > line;
+
+                if (isHome || isDraw) {
+                    dcGoals[line]['1X'][isOver ? 'over' : 'under'] += p;
+                }
+                if (isDraw || isAway) {
+                    dcGoals[line]['X2'][isOver ? 'over' : 'under'] += p;
+                }
+                if (isHome || isAway) {
+                    dcGoals[line]['12'][isOver ? 'over' : 'under'] += p;
+                }
+            });
+        }
+    }
+
+    return dcGoals;
+}
+
+// Calculate 1X2 + Goals combinations
+export function derive1X2Goals(jointDist, lines = STANDARD_LINES) {
+    let result1X2Goals = {};
+
+    lines.forEach(line => {
+        result1X2Goals[line] = {
+            'Home': { over: 0, under: 0 },
+            'Draw': { over: 0, under: 0 },
+            'Away': { over: 0, under: 0 }
+        };
+    });
+
+    const matrix = jointDist.matrix;
+    const size = matrix.length;
+
+    for (let h = 0; h < size; h++) {
+        for (let a = 0; a < size; a++) {
+            const p = matrix[h][a];
+            const total = h + a;
+            const isHome = h > a;
+            const isDraw = h === a;
+            const isAway = h < a;
+
+            lines.forEach(line => {
+                const isOver = total > line;
+                const bucket = isOver ? 'over' : 'under';
+
+                if (isHome) result1X2Goals[line]['Home'][bucket] += p;
+                else if (isDraw) result1X2Goals[line]['Draw'][bucket] += p;
+                else result1X2Goals[line]['Away'][bucket] += p;
+            });
+        }
+    }
+
+    return result1X2Goals;
+}
+
+// --- Margin Methods ---
+
+// Bisection on a monotone function: find x in [lo, hi] with fn(x) = target
+function bisect(fn, target, lo, hi, iterations = 100) {
+    const increasing = fn(hi) > fn(lo);
+    for (let i = 0; i < iterations; i++) {
+        const mid = (lo + hi) / 2;
+        if ((fn(mid) < target) === increasing) lo = mid;
+        else hi = mid;
+    }
+    return (lo + hi) / 2;
+}
+
+export const sumOf = (arr) => arr.reduce((a, b) => a + b, 0);
+
+// Spread a margin over a market: probs are normalised to fair probabilities,
+// then inflated to a book of 1 + margin using the selected method.
+export function applyMargin(probs, marginPct, method = 'proportional') {
+    const currentSum = sumOf(probs);
+    if (currentSum === 0) return probs.map(() => 0);
+
+    const fair = probs.map(p => p / currentSum);
+    const targetSum = 1 + marginPct / 100;
+    const n = fair.length;
+    const margin = targetSum - 1;
+
+    if (margin <= 0) return fair;
+
+    switch (method) {
+        case 'additive':
+            // A near-certain selection would go above 1 (odds below 1.00)
+            return capImplied(fair.map(p => p + margin / n));
+
+        case 'shin': {
+            // Implied prob = sqrt(z p + (1 - z) p^2) * sum_j sqrt(z p_j + (1 - z) p_j^2)
+            const shinTerms = (z) => fair.map(p => Math.sqrt(z * p + (1 - z) * p * p));
+            const z = bisect(z => Math.pow(sumOf(shinTerms(z)), 2), targetSum, 0, 1);
+            const terms = shinTerms(z);
+            const total = sumOf(terms);
+            const implied = terms.map(t => t * total);
+            // No z reaches the book (e.g. a certain selection) or odds fall below 1: proportional, capped
+            if (Math.abs(sumOf(implied) - targetSum) > 1e-9 || implied.some(q => q > 1)) {
+                return capImplied(fair.map(p => p * targetSum));
+            }
+            return implied;
+        }
+
+        case 'power': {
+            // Implied prob = p^c with c < 1
+            const c = bisect(c => sumOf(fair.map(p => p > 0 ? Math.pow(p, c) : 0)), targetSum, 1e-6, 1);
+            return fair.map(p => p > 0 ? Math.pow(p, c) : 0);
+        }
+
+        case 'oddsRatio': {
+            // Implied odds ratio q/(1-q) = c * p/(1-p), searched on log(c)
+            const scale = (logC) => fair.map(p => {
+                const c = Math.exp(logC);
+                return c * p / (1 - p + c * p);
+            });
+            const logC = bisect(logC => sumOf(scale(logC)), targetSum, 0, 20);
+            return scale(logC);
+        }
+
+        case 'logarithmic': {
+            // Margin weighted by p * ln(1/p): longshots carry more, but less steeply than additive
+            const weights = fair.map(p => p > 0 ? -p * Math.log(p) : 0);
+            const totalWeight = sumOf(weights);
+            if (totalWeight === 0) return fair.map(p => p * targetSum);
+            return fair.map((p, i) => p + margin * weights[i] / totalWeight);
+        }
+
+        default:
+            return fair.map(p => p * targetSum);
+    }
+}
+
+// Cap implied probabilities at 1 (odds of at least 1.00), moving the excess
+// onto the other selections in proportion to their room below 1
+function capImplied(implied) {
+    const excess = sumOf(implied.map(q => Math.max(0, q - 1)));
+    const room = sumOf(implied.map(q => Math.max(0, 1 - q)));
+    if (excess === 0) return implied;
+    const share = room > 0 ? Math.min(1, excess / room) : 0;
+    return implied.map(q => q >= 1 ? 1 : q + (1 - q) * share);
+}
+
+// Inverse of applyMargin: recover fair probabilities from bookmaker implied probabilities
+export function removeMargin(implied, method = 'proportional') {
+    const book = sumOf(implied);
+    const n = implied.length;
+    if (book === 0) return implied.map(() => 0);
+    if (book <= 1) return implied.map(q => q / book);
+
+    const normalise = (arr) => {
+        const total = sumOf(arr);
+        return arr.map(p => p / total);
+    };
+
+    switch (method) {
+        case 'additive':
+            return normalise(implied.map(q => Math.max(0, q - (book - 1) / n)));
+
+        case 'shin': {
+            const fairFor = (z) => implied.map(q => (Math.sqrt(z * z + 4 * (1 - z) * q * q / book) - z) / (2 * (1 - z)));
+            const z = bisect(z => sumOf(fairFor(z)), 1, 0, 0.999);
+            return normalise(fairFor(z));
+        }
+
+        case 'power': {
+            const k = bisect(k => sumOf(implied.map(q => q > 0 ? Math.pow(q, k) : 0)), 1, 1, 100);
+            return normalise(implied.map(q => q > 0 ? Math.pow(q, k) : 0));
+        }
+
+        case 'oddsRatio': {
+            const fairFor = (logC) => implied.map(q => {
+                const c = Math.exp(logC);
+                return q / (c - c * q + q);
+            });
+            const logC = bisect(logC => sumOf(fairFor(logC)), 1, 0, 20);
+            return normalise(fairFor(logC));
+        }
+
+        case 'logarithmic': {
+            // Fixed point of q_i = p_i + M * p_i ln(1/p_i) / sum_j p_j ln(1/p_j), damped
+            // (the plain iteration oscillates at large margins); proportional if it stalls
+            let fair = implied.map(q => q / book);
+            for (let iter = 0; iter < 500; iter++) {
+                const weights = fair.map(p => p > 0 ? -p * Math.log(p) : 0);
+                const totalWeight = sumOf(weights);
+                if (totalWeight === 0) return fair;
+                const next = normalise(implied.map((q, i) => Math.max(0, q - (book - 1) * weights[i] / totalWeight)));
+                const step = Math.max(...next.map((p, i) => Math.abs(p - fair[i])));
+                fair = fair.map((p, i) => (p + next[i]) / 2);
+                if (step < 1e-12) return normalise(fair);
+            }
+            return implied.map(q => q / book);
+        }
+
+        default:
+            return implied.map(q => q / book);
+    }
+}
+
+export const getOdds = (prob) => (prob <= 0.0001 ? 0 : 1 / prob);
+
+// --- Half Splits ---
+
+// Half-period pi (same in both halves) such that a team fails to score in the
+// match exactly as often as under the full time ZIP (or ZINB with a dispersion):
+// P0(H1) * P0(H2) = pi + (1 - pi) e^-lambda
+export function deriveHalfPi(lambda, pi, factor, dispersion) {
+    const target = pi + (1 - pi) * baseZeroProb(lambda, dispersion);
+    const pZero = (halfPi, share) => halfPi + (1 - halfPi) * baseZeroProb(lambda * share, dispersion);
+    return bisect(halfPi => pZero(halfPi, factor) * pZero(halfPi, 1 - factor), target, 0, 1);
+}
+
+// Full time grid implied by adding independent H1 and H2 scores
+export function convolveHalves(jointH1, jointH2) {
+    const sizeH1 = jointH1.matrix.length;
+    const sizeH2 = jointH2.matrix.length;
+    const size = sizeH1 + sizeH2 - 1;
+    let matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+
+    for (let h1 = 0; h1 < sizeH1; h1++) {
+        for (let a1 = 0; a1 < sizeH1; a1++) {
+            const p1 = jointH1.matrix[h1][a1];
+            if (p1 === 0) continue;
+            for (let h2 = 0; h2 < sizeH2; h2++) {
+                for (let a2 = 0; a2 < sizeH2; a2++) {
+                    matrix[h1 + h2][a1 + a2] += p1 * jointH2.matrix[h2][a2];
+                }
+            }
+        }
+    }
+    return { matrix, tailProb: 0 };
+}
+
+// Discrepancy between the full time grid and the convolution of the halves
+export function halfConsistency(full, h1, h2) {
+    const convolved = convolveHalves(h1, h2);
+    const stats = (matrix) => {
+        let s = { pZeroHome: 0, pZeroAway: 0, meanHome: 0, meanAway: 0, homeWin: 0, draw: 0, awayWin: 0 };
+        matrix.forEach((row, h) => row.forEach((p, a) => {
+            if (h === 0) s.pZeroHome += p;
+            if (a === 0) s.pZeroAway += p;
+            s.meanHome += h * p;
+            s.meanAway += a * p;
+            if (h > a) s.homeWin += p;
+            else if (h === a) s.draw += p;
+            else s.awayWin += p;
+        }));
+        return s;
+    };
+
+    const ft = stats(full.matrix);
+    const conv = stats(convolved.matrix);
+
+    // Total variation distance over the union of both grids
+    const size = Math.max(full.matrix.length, convolved.matrix.length);
+    const cell = (m, h, a) => (m[h] && m[h][a]) || 0;
+    let totalVariation = 0;
+    for (let h = 0; h < size; h++) {
+        for (let a = 0; a < size; a++) {
+            totalVariation += Math.abs(cell(full.matrix, h, a) - cell(convolved.matrix, h, a));
+        }
+    }
+
+    let rows = {};
+    Object.keys(ft).forEach(k => rows[k] = { ft: ft[k], convolved: conv[k], diff: conv[k] - ft[k] });
+    return { ...rows, totalVariation: totalVariation / 2 };
+}
+
+// Resolve per-half pi: 'same' reuses the FT pi, 'derived' matches the FT P(0),
+// 'manual' takes halfPi.h1 / halfPi.h2 as given
+function resolveHalfPi(halfPi, lambdas, pi, factors, shapes) {
+    if (halfPi.mode === 'manual') return { h1: { ...halfPi.h1 }, h2: { ...halfPi.h2 } };
+    if (halfPi.mode === 'derived') {
+        const home = deriveHalfPi(lambdas.home, pi.home, factors.home, shapes.home.dispersion);
+        const away = deriveHalfPi(lambdas.away, pi.away, factors.away, shapes.away.dispersion);
+        return { h1: { home, away }, h2: { home, away } };
+    }
+    return { h1: { ...pi }, h2: { ...pi } };
+}
+
+// --- Marginal Families ---
+
+const FAMILIES_WITH_PI = ['zip', 'zinb'];
+
+// Returns an error message when the goal distribution is unusable, also against
+// the dependence model and an in-play state when given; '' otherwise
+export function getMarginalError(marginal, lambdas, dependence, state) {
+    const { family, dispersion = {}, zero = {}, one = {} } = marginal;
+    const both = (v, test) => test(v.home) && test(v.away);
+    const isProb = (v) => v >= 0 && v <= 1;
+
+    if (!MARGINAL_FAMILIES.includes(family)) return `Unknown goal distribution "${family}".`;
+    if ((family === 'negbin' || family === 'zinb') && !both(dispersion, r => r > 0 && isFinite(r))) {
+        return "Dispersion r must be above 0.";
+    }
+    if (family === 'hurdle') {
+        if (!both(zero, isProb)) return "Hurdle P(0) must be 0-1.";
+        if (!both(lambdas, l => l > 0)) return "Hurdle Poisson needs xG above 0.";
+    }
+    if (family === 'oneInflated' && !both(one, isProb)) return "1-goal inflation must be 0-1.";
+    if (dependence && dependence.model === 'bivariate' && !['poisson', 'zip', 'oneInflated'].includes(family)) {
+        return "Bivariate Poisson needs a Poisson, ZIP or 1-inflated distribution.";
+    }
+    if (state && (family === 'hurdle' || family === 'oneInflated')) {
+        return "In-play pricing needs a Poisson, ZIP, negative binomial or ZINB distribution.";
+    }
+    return '';
+}
+
+// Per-team pi and shape (see computeMarginalPMF) of a marginal family. A hurdle
+// is its zero modification, so halves and grids treat it like a ZIP.
+function resolveMarginal(marginal, lambdas, pi) {
+    const { family, dispersion, zero, one } = marginal;
+    const side = (s) => {
+        switch (family) {
+            case 'poisson': return { pi: 0, shape: {} };
+            case 'negbin': return { pi: 0, shape: { dispersion: dispersion[s] } };
+            case 'zinb': return { pi: pi[s], shape: { dispersion: dispersion[s] } };
+            case 'hurdle': return { pi: hurdlePi(lambdas[s], zero[s]), shape: {} };
+            case 'oneInflated': return { pi: 0, shape: { one: one[s] } };
+            default: return { pi: pi[s], shape: {} };
+        }
+    };
+    const home = side('home'), away = side('away');
+    return { pi: { home: home.pi, away: away.pi }, shapes: { home: home.shape, away: away.shape } };
+}
+
+// --- In-Play ---
+
+// Share of a team's full time lambda still to come in each half at `minute`,
+// assuming a flat scoring rate within each half
+export function remainingShares(factor, minute) {
+    return {
+        h1: factor * Math.max(0, HALF_MINUTES - minute) / HALF_MINUTES,
+        h2: (1 - factor) * Math.min(1, (MATCH_MINUTES - minute) / HALF_MINUTES)
+    };
+}
+
+// Bayes update of pi for a team still on zero after `played` expected goals
+// (negative binomial count part when a dispersion is given)
+export function posteriorPi(pi, goals, played, dispersion) {
+    if (goals > 0) return 0;
+    return pi > 0 ? pi / (pi + (1 - pi) * baseZeroProb(played, dispersion)) : 0;
+}
+
+// Goals still to come for one team after `goals` against `played` expected so far.
+// A negative binomial is a Poisson with a gamma-distributed rate; its posterior
+// after the goals so far is again negative binomial, with size r + goals and
+// the remaining mean scaled by (r + goals) / (r + played).
+function remainingMarginal(remaining, pi, shape, goals, played) {
+    const r = shape.dispersion;
+    if (!r) return { lambda: remaining, pi: posteriorPi(pi, goals, played), shape };
+    return {
+        lambda: remaining * (r + goals) / (r + played),
+        pi: posteriorPi(pi, goals, played, r),
+        shape: { ...shape, dispersion: r + goals }
+    };
+}
+
+// Offset a grid of goals still to come by the goals already scored
+export function shiftGrid(joint, score) {
+    const size = joint.matrix.length + Math.max(score.home, score.away);
+    let matrix = Array.from({ length: size }, () => new Array(size).fill(0));
+    joint.matrix.forEach((row, h) => row.forEach((p, a) => matrix[h + score.home][a + score.away] = p));
+    return { matrix, tailProb: joint.tailProb, maxGoals: size - 1 };
+}
+
+// Returns an error message when the match state is unusable, '' otherwise
+export function getInPlayError(state) {
+    const count = (v) => Number.isInteger(v) && v >= 0;
+    const { minute, score, halfTime, redCards } = state;
+    if (!(minute >= 0 && minute <= MATCH_MINUTES)) return "Minute must be 0-90.";
+    if (!(count(score.home) && count(score.away))) return "Score must be whole goals.";
+    if (minute > HALF_MINUTES) {
+        if (!halfTime || !(count(halfTime.home) && count(halfTime.away))) return "Half-time score is needed after the break.";
+        if (halfTime.home > score.home || halfTime.away > score.away) return "Half-time score cannot exceed the current score.";
+    }
+    if (redCards && !(count(redCards.home) && count(redCards.away))) return "Red cards must be whole numbers.";
+    return '';
+}
+
+// Remaining-goal grids shifted by the goals already scored. The full time grid
+// uses the full time pi; the halves keep their own pi. A finished 1st half is
+// a single cell at the half-time score.
+function inPlayJoints(lambdas, pi, factors, halfPi, dependence, state, epsilon, shapes) {
+    const { minute, score } = state;
+    const halfTime = minute > HALF_MINUTES ? state.halfTime : score;
+    const h2Score = { home: score.home - halfTime.home, away: score.away - halfTime.away };
+    const red = { home: 0, away: 0, ...state.redCards };
+    const redFactor = (own, opponent) => Math.pow(RED_CARD_FACTORS.own, own) * Math.pow(RED_CARD_FACTORS.opponent, opponent);
+    const scale = { home: redFactor(red.home, red.away), away: redFactor(red.away, red.home) };
+    const shares = { home: remainingShares(factors.home, minute), away: remainingShares(factors.away, minute) };
+
+    // shareH / shareA: part of each full time lambda still to come; played: { home, away } part already gone
+    const joint = (shareH, shareA, piH, piA, played, goals, offset) => {
+        const home = remainingMarginal(lambdas.home * shareH * scale.home, piH, shapes.home, goals.home, lambdas.home * played.home);
+        const away = remainingMarginal(lambdas.away * shareA * scale.away, piA, shapes.away, goals.away, lambdas.away * played.away);
+        return shiftGrid(computeAdaptiveJoint(home.lambda, away.lambda, home.pi, away.pi,
+            scaleDependence(dependence, (shareH + shareA) / 2), epsilon, { home: home.shape, away: away.shape }), offset);
+    };
+
+    const ftShare = { home: shares.home.h1 + shares.home.h2, away: shares.away.h1 + shares.away.h2 };
+    const full = joint(ftShare.home, ftShare.away, pi.home, pi.away,
+        { home: 1 - ftShare.home, away: 1 - ftShare.away }, score, score);
+
+    if (minute < HALF_MINUTES) {
+        const h1 = joint(shares.home.h1, shares.away.h1, halfPi.h1.home, halfPi.h1.away,
+            { home: factors.home - shares.home.h1, away: factors.away - shares.away.h1 }, score, score);
+        const h2 = joint(1 - factors.home, 1 - factors.away, halfPi.h2.home, halfPi.h2.away,
+            { home: 0, away: 0 }, { home: 0, away: 0 }, { home: 0, away: 0 });
+        return { full, h1, h2 };
+    }
+    const h1 = shiftGrid({ matrix: [[1]], tailProb: 0 }, halfTime);
+    const h2 = joint(shares.home.h2, shares.away.h2, halfPi.h2.home, halfPi.h2.away,
+        { home: 1 - factors.home - shares.home.h2, away: 1 - factors.away - shares.away.h2 }, h2Score, h2Score);
+    return { full, h1, h2 };
+}
+
+// --- Cup Ties ---
+
+// Extra time scores at the 90 minute rate for 30 more minutes; shootouts are a coin toss
+export const CUP_DEFAULTS = { etShare: 1 / 3, penaltyHome: 0.5 };
+export const ET_SCORE_CAP = 4; // Score after extra time: 0-4 goals per team, rest "Any Other"
+export const AGGREGATE_SCORE_CAP = 5; // Two-legged aggregate score: 0-5 goals per team, rest "Any Other"
+export const LEG2_RESULT_CAP = 5; // Leg 2 required results table: 0-5 goals per team
+
+// Returns an error message when the cup tie settings are unusable, '' otherwise
+export function getCupError(cup) {
+    if (!(cup.etShare >= 0 && cup.etShare <= 1)) return "Extra time share must be 0-1.";
+    if (!(cup.penaltyHome >= 0 && cup.penaltyHome <= 1)) return "Home penalty win probability must be 0-1.";
+    return '';
+}
+
+/**
+ * How a knockout tie is settled: a 90 minute winner, or the extra time grid
+ * convolved onto every drawn full time cell, and a shootout (won by the home
+ * side with probability penaltyHome) when extra time is level too.
+ * Returns { extraTime, penalties, toQualify: { home, away },
+ * method: { home: { regular, extraTime, penalties }, away: { ... } },
+ * afterExtraTime: { 'h-a': prob } } where afterExtraTime is the 120 minute
+ * score of the ties that reach extra time (it sums to extraTime).
+ */
+export function deriveCupMarkets(jointFull, jointET, penaltyHome) {
+    let regular = { home: 0, away: 0 };
+    let etResult = { home: 0, draw: 0, away: 0 };
+    let afterExtraTime = {};
+    let extraTime = 0;
+
+    jointFull.matrix.forEach((row, h) => row.forEach((p, a) => {
+        if (h > a) regular.home += p;
+        else if (h < a) regular.away += p;
+        if (h !== a || p === 0) return;
+        extraTime += p;
+        jointET.matrix.forEach((etRow, eh) => etRow.forEach((q, ea) => {
+            const pCell = p * q;
+            if (eh > ea) etResult.home += pCell;
+            else if (eh === ea) etResult.draw += pCell;
+            else etResult.away += pCell;
+            const key = `${h + eh}-${a + ea}`;
+            afterExtraTime[key] = (afterExtraTime[key] || 0) + pCell;
+        }));
+    }));
+
+    const method = {
+        home: { regular: regular.home, extraTime: etResult.home, penalties: etResult.draw * penaltyHome },
+        away: { regular: regular.away, extraTime: etResult.away, penalties: etResult.draw * (1 - penaltyHome) }
+    };
+    const qualify = (m) => m.regular + m.extraTime + m.penalties;
+    return {
+        extraTime,
+        penalties: etResult.draw,
+        toQualify: { home: qualify(method.home), away: qualify(method.away) },
+        method,
+        afterExtraTime
+    };
+}
+
+// Returns an error message when the two-legged tie settings are unusable, '' otherwise
+export function getTwoLegError(twoLeg) {
+    const { score, lambdas, pi: legPi } = twoLeg.firstLeg || {};
+    const pi = { home: 0, away: 0, ...legPi };
+    const count = (v) => Number.isInteger(v) && v >= 0;
+    if (score) {
+        if (!(count(score.home) && count(score.away))) return "First leg score must be whole goals.";
+    } else if (lambdas) {
+        if (!(lambdas.home >= 0 && lambdas.away >= 0)) return "First leg xG must be non-negative.";
+        if (!(pi.home >= 0 && pi.home <= 1 && pi.away >= 0 && pi.away <= 1)) return "First leg pi must be 0-1.";
+    } else {
+        return "First leg needs a score or xG.";
+    }
+    return '';
+}
+
+/**
+ * Two-legged tie decided over both legs. Home and away are the sides of the
+ * second leg (the current match), so jointLeg1.matrix[h][a] holds the goals
+ * of the leg 2 home side (playing away) and the leg 2 away side (at home).
+ * A level aggregate goes to the away goals rule when awayGoals is set, then
+ * to extra time in leg 2 (jointET), where the visitors' goals count as away
+ * goals, and finally to penalties won by the home side with probability
+ * penaltyHome.
+ * Returns the deriveCupMarkets() shape without afterExtraTime, with an
+ * awayGoals method when the rule applies, plus
+ *   aggregate: { 'h-a': prob }  // aggregate score after both legs (180 minutes)
+ *   requiredResults: { 'h-a': { prob, home, away, extraTime } }  // per leg 2 score
+ *     up to LEG2_RESULT_CAP: its probability and who goes through in 180
+ *     minutes given it (home and away include away goals)
+ */
+export function deriveTwoLegTie(jointLeg1, jointLeg2, jointET, penaltyHome, awayGoals = false) {
+    let method = {
+        home: { regular: 0, awayGoals: 0, extraTime: 0, penalties: 0 },
+        away: { regular: 0, awayGoals: 0, extraTime: 0, penalties: 0 }
+    };
+    let aggregate = {};
+    let requiredResults = {};
+    let extraTime = 0;
+
+    jointLeg2.matrix.forEach((row, h) => row.forEach((q, a) => {
+        let given = { home: 0, away: 0, extraTime: 0 };
+        jointLeg1.matrix.forEach((leg1Row, x) => leg1Row.forEach((p, y) => {
+            if (p === 0) return;
+            const aggH = x + h, aggA = y + a;
+            if (q > 0) {
+                const key = `${aggH}-${aggA}`;
+                aggregate[key] = (aggregate[key] || 0) + p * q;
+            }
+            if (aggH !== aggA) {
+                const side = aggH > aggA ? 'home' : 'away';
+                given[side] += p;
+                method[side].regular += p * q;
+            } else if (awayGoals && x !== a) {
+                // Leg 1 goals are the home side's away goals; leg 2 goals the visitors'
+                const side = x > a ? 'home' : 'away';
+                given[side] += p;
+                method[side].awayGoals += p * q;
+            } else {
+                given.extraTime += p;
+                extraTime += p * q;
+            }
+        }));
+        if (h <= LEG2_RESULT_CAP && a <= LEG2_RESULT_CAP) requiredResults[`${h}-${a}`] = { prob: q, ...given };
+    }));
+
+    // Extra time starts level on aggregate (and on away goals under the rule)
+    let et = { home: 0, away: 0, awayGoals: 0, penalties: 0 };
+    jointET.matrix.forEach((row, eh) => row.forEach((p, ea) => {
+        if (eh > ea) et.home += p;
+        else if (eh < ea) et.away += p;
+        else if (awayGoals && ea > 0) et.awayGoals += p;
+        else et.penalties += p;
+    }));
+    method.home.extraTime = extraTime * et.home;
+    method.away.extraTime = extraTime * et.away;
+    method.away.awayGoals += extraTime * et.awayGoals;
+    const penalties = extraTime * et.penalties;
+    method.home.penalties = penalties * penaltyHome;
+    method.away.penalties = penalties * (1 - penaltyHome);
+
+    if (!awayGoals) {
+        delete method.home.awayGoals;
+        delete method.away.awayGoals;
+    }
+    const qualify = (m) => m.regular + (m.awayGoals || 0) + m.extraTime + m.penalties;
+    return {
+        extraTime,
+        penalties,
+        toQualify: { home: qualify(method.home), away: qualify(method.away) },
+        method,
+        aggregate,
+        requiredResults
+    };
+}
+
+// First leg grid in leg 2 orientation: a single cell at a played score, or
+// priced from its own xG and pi with the current distribution and dependence
+function firstLegJoint(firstLeg, marginal, dependence, epsilon) {
+    if (firstLeg.score) return shiftGrid({ matrix: [[1]], tailProb: 0 }, firstLeg.score);
+    const { pi, shapes } = resolveMarginal(marginal, firstLeg.lambdas, { home: 0, away: 0, ...firstLeg.pi });
+    return computeAdaptiveJoint(firstLeg.lambdas.home, firstLeg.lambdas.away, pi.home, pi.away, dependence, epsilon, shapes);
+}
+
+// --- Market Book ---
+
+// Price one market: { selection: fairProb } -> { selection: { prob, fairOdds, odds } }
+export function priceMarket(selections, margin, method) {
+    const names = Object.keys(selections);
+    const probs = names.map(n => selections[n]);
+    const adjusted = applyMargin(probs, margin, method);
+
+    let priced = {};
+    names.forEach((n, i) => {
+        priced[n] = { prob: probs[i], fairOdds: getOdds(probs[i]), odds: getOdds(adjusted[i]) };
+    });
+    return priced;
+}
+
+const yesNo = (p) => ({ Yes: p, No: 1 - p });
+
+// Single-period markets derived from one grid
+function buildPeriodBook(markets, margin, method, lines) {
+    let book = {};
+    const add = (name, selections) => book[name] = priceMarket(selections, margin, method);
+
+    add('1X2', { Home: markets.homeWin, Draw: markets.draw, Away: markets.awayWin });
+    add('BTTS', { Yes: markets.bttsYes, No: markets.bttsNo });
+    add('Win to Nil (Home)', yesNo(markets.winToNilHome));
+
+    lines.goals.forEach(line => {
+        const pOver = markets.overs[line];
+        add(`Over/Under ${line}`, { Over: pOver, Under: 1 - pOver });
+    });
+
+    markets.asianHandicap.lines.forEach(entry => {
+        add(`Asian Handicap ${entry.line > 0 ? '+' : ''}${entry.line}`, { Home: entry.sideA, Away: entry.sideB });
+    });
+    markets.asianTotals.lines.forEach(entry => {
+        add(`Asian Total ${entry.line}`, { Over: entry.sideA, Under: entry.sideB });
+    });
+
+    add('Exact Total Goals', { ...markets.exactTotals });
+    add('Correct Score', markets.map);
+
+    add('Win to Nil (Away)', yesNo(markets.winToNilAway));
+    ['home', 'away'].forEach(side => {
+        const team = side === 'home' ? 'Home' : 'Away';
+        lines.team.forEach(line => {
+            const pOver = markets.teamOvers[side][line];
+            add(`${team} Over/Under ${line}`, { Over: pOver, Under: 1 - pOver });
+        });
+        add(`${team} Exact Goals`, cappedBuckets(markets.teamGoals[side], TEAM_GOALS_CAP));
+    });
+    add('Odd/Even', { Odd: markets.oddTotal, Even: 1 - markets.oddTotal });
+    MULTI_GOAL_RANGES.forEach(([lo, hi]) => add(`Multi Goals ${lo}-${hi}`, yesNo(markets.multiGoals[`${lo}-${hi}`])));
+
+    const marginLabel = (i) => `by ${i + 1}${i + 1 === WINNING_MARGIN_CAP ? '+' : ''}`;
+    let winningMargin = {};
+    markets.winningMargin.home.forEach((p, i) => winningMargin[`Home ${marginLabel(i)}`] = p);
+    winningMargin.Draw = markets.draw;
+    markets.winningMargin.away.forEach((p, i) => winningMargin[`Away ${marginLabel(i)}`] = p);
+    add('Winning Margin', winningMargin);
+    return book;
+}
+
+// Counts 0..cap-1 plus a "cap+" bucket: { '0': p0, ..., 'cap+': rest }
+function cappedBuckets(probs, cap) {
+    let buckets = {};
+    for (let k = 0; k < cap; k++) buckets[k] = 0;
+    buckets[`${cap}+`] = 0;
+    probs.forEach((p, k) => buckets[k >= cap ? `${cap}+` : k] += p);
+    return buckets;
+}
+
+// Full time combination markets built from the FT grid and the H1 x H2 convolution
+function buildCombinationBook(combinations, margin, method, lines) {
+    let book = {};
+    const add = (name, selections) => book[name] = priceMarket(selections, margin, method);
+    const htftLabels = {
+        'H-H': 'Home/Home', 'H-D': 'Home/Draw', 'H-A': 'Home/Away',
+        'D-H': 'Draw/Home', 'D-D': 'Draw/Draw', 'D-A': 'Draw/Away',
+        'A-H': 'Away/Home', 'A-D': 'Away/Draw', 'A-A': 'Away/Away'
+    };
+    const dcLabels = { '1X': 'Home or Draw', 'X2': 'Draw or Away', '12': 'Home or Away' };
+
+    let htft = {};
+    Object.keys(htftLabels).forEach(k => htft[htftLabels[k]] = combinations.htft[k]);
+    add('HT/FT', htft);
+    const halves = combinations.halves;
+    add('Both Halves Over 0.5', yesNo(halves.bothHalvesOver));
+    add('Highest Scoring Half', { '1st Half': halves.highestScoringHalf.first, '2nd Half': halves.highestScoringHalf.second, Tie: halves.highestScoringHalf.tie });
+    [['home', 'Home'], ['away', 'Away']].forEach(([side, team]) => {
+        add(`${team} Win Both Halves`, yesNo(halves.winBothHalves[side]));
+        add(`${team} Win Either Half`, yesNo(halves.winEitherHalf[side]));
+        add(`${team} Score Both Halves`, yesNo(halves.scoreBothHalves[side]));
+    });
+
+    let htftScores = {};
+    Object.keys(halves.htftScores).forEach(ht => Object.keys(halves.htftScores[ht]).forEach(ft => {
+        htftScores[`${ht} / ${ft}`] = halves.htftScores[ht][ft];
+    }));
+    htftScores['Any Other'] = halves.htftScoresOther;
+    add('HT/FT Correct Score', htftScores);
+
+    lines.goals.forEach(line => {
+        let htftGoals = {};
+        Object.keys(htftLabels).forEach(k => {
+            htftGoals[`${htftLabels[k]} & Over`] = combinations.htftGoals[line][k].over;
+            htftGoals[`${htftLabels[k]} & Under`] = combinations.htftGoals[line][k].under;
+        });
+        add(`HT/FT & O/U ${line}`, htftGoals);
+
+        // Result & O/U outcomes partition the grid, so they form one market
+        let resultGoals = {};
+        ['Home', 'Draw', 'Away'].forEach(result => {
+            resultGoals[`${result} & Over`] = combinations.result1X2Goals[line][result].over;
+            resultGoals[`${result} & Under`] = combinations.result1X2Goals[line][result].under;
+        });
+        add(`Result & O/U ${line}`, resultGoals);
+
+        // Double chance outcomes overlap, so each one is its own yes/no market
+        Object.keys(dcLabels).forEach(dc => {
+            add(`${dcLabels[dc]} & Over ${line}`, yesNo(combinations.dcGoals[line][dc].over));
+            add(`${dcLabels[dc]} & Under ${line}`, yesNo(combinations.dcGoals[line][dc].under));
+        });
+    });
+    return book;
+}
+
+// Cup tie markets (single match or two legs), priced with the full time margin
+function buildCupBook(cup, margin, method) {
+    let book = {};
+    const add = (name, selections) => book[name] = priceMarket(selections, margin, method);
+
+    add('To Qualify', { Home: cup.toQualify.home, Away: cup.toQualify.away });
+    let methodOfVictory = {};
+    [['home', 'Home'], ['away', 'Away']].forEach(([side, label]) => {
+        methodOfVictory[`${label} 90 Minutes`] = cup.method[side].regular;
+        if ('awayGoals' in cup.method[side]) methodOfVictory[`${label} Away Goals`] = cup.method[side].awayGoals;
+        methodOfVictory[`${label} Extra Time`] = cup.method[side].extraTime;
+        methodOfVictory[`${label} Penalties`] = cup.method[side].penalties;
+    });
+    add('Method of Victory', methodOfVictory);
+    add('Extra Time', yesNo(cup.extraTime));
+    add('Penalty Shootout', yesNo(cup.penalties));
+
+    // Scores up to cap each, everything else in "Any Other"
+    const cappedScores = (map, cap) => {
+        let scores = {};
+        for (let h = 0; h <= cap; h++) {
+            for (let a = 0; a <= cap; a++) {
+                if (map[`${h}-${a}`] !== undefined) scores[`${h}-${a}`] = 0;
+            }
+        }
+        scores['Any Other'] = 0;
+        Object.entries(map).forEach(([key, p]) => scores[key in scores ? key : 'Any Other'] += p);
+        return scores;
+    };
+    if (cup.aggregate) {
+        add('Aggregate Score', cappedScores(cup.aggregate, AGGREGATE_SCORE_CAP));
+    } else {
+        add('Score After Extra Time', { ...cappedScores(cup.afterExtraTime, ET_SCORE_CAP), 'No Extra Time': 1 - cup.extraTime });
+    }
+    return book;
+}
+
+function pricePeriod(joint, margin, method, lines) {
+    const markets = deriveMarkets(joint, lines);
+    return { ...joint, markets, book: buildPeriodBook(markets, margin, method, lines) };
+}
+
+// Sorted, de-duplicated goal lines; every line must be a half-goal line (0.5, 1.5, ...)
+function normalizeLines(lines, fallback) {
+    if (!lines) return [...fallback];
+    const sorted = [...new Set(lines.map(Number))].sort((a, b) => a - b);
+    if (!sorted.length || !sorted.every(l => l > 0 && Number.isInteger(l - 0.5))) {
+        throw new RangeError("Goal lines must be half-goal lines (0.5, 1.5, ...).");
+    }
+    return sorted;
+}
+
+/**
+ * Price a match from model inputs.
+ * params: {
+ *   lambdas: { home, away },          // full time expected goals
+ *   pi: { home, away },               // zero-inflation (default 0), used by the zip and zinb families
+ *   marginal: { family, dispersion, zero, one },  // goal distribution, each parameter { home, away }:
+ *                                     //   'zip' (default), 'poisson', 'negbin' / 'zinb' (dispersion r),
+ *                                     //   'hurdle' (zero = P(0)) or 'oneInflated' (one = extra P(1));
+ *                                     //   halves keep r, the hurdle's zero modification and the 1-inflation
+ *   halfFactor,                       // 1st half share of goals: number or { home, away } (default 0.45)
+ *   halfPi: { mode, h1, h2 },         // 'same' (default), 'derived' or 'manual' with { home, away } per half
+ *   margins: { full, h1, h2 },        // percent (default 0)
+ *   marginMethod,                     // see applyMargin (default 'proportional')
+ *   dependence: { model, rho, lambda3 },
+ *   tailEpsilon,
+ *   lines: { goals, team },           // Over/Under lines priced in every period (default STANDARD_LINES / TEAM_LINES)
+ *   state: { minute, score, halfTime, redCards }  // optional in-play state, each score/count { home, away }
+ *   cup: { etShare, penaltyHome }     // optional knockout tie: extra time share of the 90 minute
+ *                                     //   lambdas and home shootout win probability (CUP_DEFAULTS)
+ *   twoLeg: { firstLeg, awayGoals }   // optional: this match is the second leg; firstLeg is { score }
+ *                                     //   or { lambdas, pi }, each { home, away } for this match's sides
+ * }
+ * Returns a plain JSON market book: per period the grid, derived markets and
+ * priced selections ({ prob, fairOdds, odds }), plus the full time combinations
+ * and the FT vs H1 x H2 consistency readout. With a state, every period is
+ * the remaining-goal distribution shifted by the goals already scored.
+ * With cup, `cup` is the extra time grid with its deriveCupMarkets() result
+ * and the cup markets join the full time book; otherwise it is null. A
+ * two-legged tie implies cup and settles it with deriveTwoLegTie(), adding
+ * the first leg grid as `cup.firstLeg`.
+ * Throws a RangeError when the inputs are out of range.
+ */
+export function price(params) {
+    const halfFactor = params.halfFactor === undefined ? 0.45 : params.halfFactor;
+    const inputs = {
+        lambdas: { home: params.lambdas.home, away: params.lambdas.away },
+        pi: { home: 0, away: 0, ...params.pi },
+        halfFactor: typeof halfFactor === 'number' ? { home: halfFactor, away: halfFactor } : { ...halfFactor },
+        halfPi: { mode: 'same', ...params.halfPi },
+        marginal: {
+            family: (params.marginal || {}).family || 'zip',
+            dispersion: { ...(params.marginal || {}).dispersion },
+            zero: { ...(params.marginal || {}).zero },
+            one: { ...(params.marginal || {}).one }
+        },
+        margins: { full: 0, h1: 0, h2: 0, ...params.margins },
+        marginMethod: params.marginMethod || 'proportional',
+        dependence: { model: 'independent', rho: 0, lambda3: 0, ...params.dependence },
+        tailEpsilon: params.tailEpsilon || DEFAULT_TAIL_EPSILON,
+        lines: {
+            goals: normalizeLines((params.lines || {}).goals, STANDARD_LINES),
+            team: normalizeLines((params.lines || {}).team, TEAM_LINES)
+        },
+        state: params.state ? { ...params.state } : null,
+        cup: params.cup || params.twoLeg ? { ...CUP_DEFAULTS, ...params.cup } : null,
+        twoLeg: params.twoLeg ? { awayGoals: false, ...params.twoLeg } : null
+    };
+    // Families without zero-inflation ignore pi and keep the full time shape in each half
+    if (!FAMILIES_WITH_PI.includes(inputs.marginal.family)) {
+        inputs.pi = { home: 0, away: 0 };
+        inputs.halfPi = { mode: 'same' };
+    }
+    const { lambdas, pi, marginal, margins, marginMethod, dependence, tailEpsilon, lines } = inputs;
+    const factors = inputs.halfFactor;
+    const isProb = (v) => v >= 0 && v <= 1;
+
+    if (!(lambdas.home >= 0 && lambdas.away >= 0)) throw new RangeError("Lambdas must be non-negative.");
+    if (!(isProb(pi.home) && isProb(pi.away))) throw new RangeError("Pi must be 0-1.");
+    if (!(isProb(factors.home) && isProb(factors.away))) throw new RangeError("Half factor must be 0-1.");
+    const dependenceError = getDependenceError(dependence, lambdas.home, lambdas.away);
+    if (dependenceError) throw new RangeError(dependenceError);
+    const marginalError = getMarginalError(marginal, lambdas, dependence, inputs.state);
+    if (marginalError) throw new RangeError(marginalError);
+
+    const { pi: modelPi, shapes } = resolveMarginal(marginal, lambdas, pi);
+    const halfPi = resolveHalfPi(inputs.halfPi, lambdas, modelPi, factors, shapes);
+    if (inputs.halfPi.mode === 'manual' && ![halfPi.h1, halfPi.h2].every(p => isProb(p.home) && isProb(p.away))) {
+        throw new RangeError("Half pi must be 0-1.");
+    }
+    inputs.halfPi = { ...inputs.halfPi, ...halfPi };
+    if (inputs.state) {
+        const stateError = getInPlayError(inputs.state);
+        if (stateError) throw new RangeError(stateError);
+    }
+    if (inputs.cup) {
+        const cupError = getCupError(inputs.cup);
+        if (cupError) throw new RangeError(cupError);
+    }
+    if (inputs.twoLeg) {
+        const twoLegError = getTwoLegError(inputs.twoLeg);
+        if (twoLegError) throw new RangeError(twoLegError);
+        const leg1Lambdas = inputs.twoLeg.firstLeg.lambdas;
+        const leg1Error = leg1Lambdas && !inputs.twoLeg.firstLeg.score
+            ? getDependenceError(dependence, leg1Lambdas.home, leg1Lambdas.away) || getMarginalError(marginal, leg1Lambdas, dependence)
+            : '';
+        if (leg1Error) throw new RangeError(`First leg: ${leg1Error}`);
+    }
+
+    const jointFor = (shareH, shareA, piH, piA) => computeAdaptiveJoint(
+        lambdas.home * shareH, lambdas.away * shareA, piH, piA,
+        scaleDependence(dependence, (shareH + shareA) / 2), tailEpsilon, shapes
+    );
+
+    const joints = inputs.state
+        ? inPlayJoints(lambdas, modelPi, factors, halfPi, dependence, inputs.state, tailEpsilon, shapes)
+        : {
+            full: jointFor(1, 1, modelPi.home, modelPi.away),
+            h1: jointFor(factors.home, factors.away, halfPi.h1.home, halfPi.h1.away),
+            h2: jointFor(1 - factors.home, 1 - factors.away, halfPi.h2.home, halfPi.h2.away)
+        };
+    const full = pricePeriod(joints.full, margins.full, marginMethod, lines);
+    const h1 = pricePeriod(joints.h1, margins.h1, marginMethod, lines);
+    const h2 = pricePeriod(joints.h2, margins.h2, marginMethod, lines);
+
+    const htftData = deriveHalfTimeFullTime(h1, h2, lines.goals);
+    const combinations = {
+        htft: htftData.htft,
+        htftGoals: htftData.htftGoals,
+        dcGoals: deriveDoubleChanceGoals(full, lines.goals),
+        result1X2Goals: derive1X2Goals(full, lines.goals),
+        halves: deriveHalfCombinations(h1, h2),
+        scoresByGoals: deriveFinalScoreByGoals(full)
+    };
+    full.book = { ...full.book, ...buildCombinationBook(combinations, margins.full, marginMethod, lines) };
+
+    // Extra time plays like a short extra half: the 2nd half pi, at the kick-off
+    // rates (red cards and in-play pi updates stop at 90 minutes)
+    let cup = null;
+    if (inputs.cup) {
+        const etShare = inputs.cup.etShare;
+        cup = jointFor(etShare, etShare, halfPi.h2.home, halfPi.h2.away);
+        if (inputs.twoLeg) {
+            cup.firstLeg = firstLegJoint(inputs.twoLeg.firstLeg, marginal, dependence, tailEpsilon);
+            cup.markets = deriveTwoLegTie(cup.firstLeg, joints.full, cup, inputs.cup.penaltyHome, inputs.twoLeg.awayGoals);
+        } else {
+            cup.markets = deriveCupMarkets(joints.full, cup, inputs.cup.penaltyHome);
+        }
+        full.book = { ...full.book, ...buildCupBook(cup.markets, margins.full, marginMethod) };
+    }
+
+    return { inputs, full, h1, h2, combinations, cup, consistency: halfConsistency(full, h1, h2) };
+}
@@ -0,0 +1,112 @@
+/**
+ * ZIP Football Calculator - Export
+ * * Flattens a price() result into CSV, JSON and a print-friendly
+ * HTML price sheet. DOM-free: callers handle downloads and windows.
+ */
+
+export const PERIOD_LABELS = { full: 'Full Time', h1: '1st Half', h2: '2nd Half' };
+export const CSV_COLUMNS = ['period', 'market', 'selection', 'probability', 'fair_odds', 'odds'];
+
+// One row per priced selection, in book order: FT (incl. combinations), H1, H2
+export function bookToRows(book) {
+    let rows = [];
+    Object.keys(PERIOD_LABELS).forEach(period => {
+        const markets = book[period].book;
+        Object.keys(markets).forEach(market => {
+            Object.keys(markets[market]).forEach(selection => {
+                const { prob, fairOdds, odds } = markets[market][selection];
+                rows.push({ period, market, selection, prob, fairOdds, odds });
+            });
+        });
+    });
+    return rows;
+}
+
+const csvField = (value) => {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+// One CSV line, quoting fields that need it
+export const csvLine = (values) => values.map(csvField).join(',');
+// getOdds() returns 0 for selections too unlikely to price
+const oddsField = (o) => o > 0 ? o.toFixed(3) : '';
+
+export function toCSV(book) {
+    const lines = [CSV_COLUMNS.join(',')];
+    bookToRows(book).forEach(r => {
+        lines.push(csvLine([r.period, r.market, r.selection, r.prob.toFixed(6), oddsField(r.fairOdds), oddsField(r.odds)]));
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * JSON export: model inputs, every priced market per period and the
+ * correct score matrices (matrix[h][a] = probability, renormalised grid).
+ */
+export function toJSON(book, match = {}) {
+    let periods = {};
+    Object.keys(PERIOD_LABELS).forEach(period => {
+        const { matrix, maxGoals, tailProb } = book[period];
+        periods[period] = { markets: book[period].book, correctScoreMatrix: matrix, maxGoals, tailProb };
+    });
+    return JSON.stringify({ match, exportedAt: new Date().toISOString(), inputs: book.inputs, periods }, null, 2);
+}
+
+// Text for innerHTML: team names and other user input must not become markup
+export const escapeHtml = (t) => String(t).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+
+// Correct score matrix as an HTML table (home goals down, away goals across)
+function matrixTable(matrix, homeTeam, awayTeam) {
+    let html = `<table class="matrix"><thead><tr><th>${escapeHtml(homeTeam)} \\ ${escapeHtml(awayTeam)}</th>`;
+    matrix.forEach((_, a) => html += `<th>${a}</th>`);
+    html += `</tr></thead><tbody>`;
+    matrix.forEach((row, h) => {
+        html += `<tr><th>${h}</th>` + row.map(p => `<td>${(p * 100).toFixed(2)}</td>`).join('') + `</tr>`;
+    });
+    return html + `</tbody></table>`;
+}
+
+// Standalone HTML document with every market and the CS matrices, styled for print
+export function toPriceSheetHTML(book, match = {}) {
+    const homeTeam = match.homeTeam || 'Home';
+    const awayTeam = match.awayTeam || 'Away';
+    const { lambdas, pi, margins, marginMethod } = book.inputs;
+    const title = `${homeTeam} v ${awayTeam}`;
+
+    let html = `<!DOCTYPE html><html lang="en"><head><meta charset="UTF-8"><title>${escapeHtml(title)} - Price Sheet</title>
+<style>
+body { font-family: Arial, sans-serif; font-size: 10pt; color: #000; margin: 16px; }
+h1 { font-size: 14pt; margin: 0 0 4px 0; }
+h2 { font-size: 12pt; margin: 16px 0 6px 0; border-bottom: 1px solid #000; page-break-after: avoid; }
+.meta { font-size: 9pt; margin-bottom: 8px; }
+.markets { columns: 3; column-gap: 16px; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 8px; break-inside: avoid; }
+th, td { padding: 1px 4px; border-bottom: 1px solid #ccc; text-align: right; }
+th:first-child, td:first-child { text-align: left; }
+caption { text-align: left; font-weight: bold; padding-top: 4px; }
+.matrix { width: auto; font-size: 8pt; }
+.matrix td, .matrix th { text-align: right; }
+@media print { body { margin: 0; } .period { page-break-before: always; } .period:first-of-type { page-break-before: auto; } }
+</style></head><body>
+<h1>${escapeHtml(title)}</h1>
+<div class="meta">λ ${lambdas.home.toFixed(3)} / ${lambdas.away.toFixed(3)} · π ${pi.home.toFixed(3)} / ${pi.away.toFixed(3)} · ` +
+        `Margins FT ${margins.full}% · H1 ${margins.h1}% · H2 ${margins.h2}% (${escapeHtml(marginMethod)})</div>`;
+
+    Object.keys(PERIOD_LABELS).forEach(period => {
+        const markets = book[period].book;
+        html += `<section class="period"><h2>${PERIOD_LABELS[period]}</h2><div class="markets">`;
+        Object.keys(markets).filter(m => m !== 'Correct Score').forEach(market => {
+            html += `<table><caption>${escapeHtml(market)}</caption><thead><tr><th></th><th>Prob</th><th>Fair</th><th>Odds</th></tr></thead><tbody>`;
+            Object.keys(markets[market]).forEach(selection => {
+                const { prob, fairOdds, odds } = markets[market][selection];
+                html += `<tr><td>${escapeHtml(selection)}</td><td>${(prob * 100).toFixed(2)}%</td>` +
+                    `<td>${oddsField(fairOdds) || '-'}</td><td>${oddsField(odds) || '-'}</td></tr>`;
+            });
+            html += `</tbody></table>`;
+        });
+        html += `</div><h2>Correct Score (%) - ${PERIOD_LABELS[period]}</h2>`;
+        html += matrixTable(book[period].matrix, homeTeam, awayTeam) + `</section>`;
+    });
+
+    return html + `</body></html>`;
+}
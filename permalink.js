@@ -0,0 +1,201 @@
+/**
+ * ZIP Football Calculator - Permalinks
+ * * Encodes a getInputs() snapshot, the active results tab and the grid
+ * selections as URL parameters (used in the hash), and decodes them back,
+ * so a link reproduces the same prices and view.
+ *
+ *   #mode=xg&home=Reds&xgh=1.6&xga=1.1&fam=zip&pih=0.05&...&cup=0.333,0.5&tab=h1&full=1-0,2-1
+ *
+ * Numbers are written at full precision, so decoding gives back the exact
+ * values that were priced.
+ */
+
+import { MARGINAL_FAMILIES } from './engine.js';
+
+// Flat getInputs() fields: [parameter, field, type, allowed values]
+const FIELDS = [
+    ['mode', 'inputMode', 'choice', ['xg', 'sup']],
+    ['home', 'homeTeam', 'text'],
+    ['away', 'awayTeam', 'text'],
+    ['xgh', 'lambdaHomeFull', 'number'],
+    ['xga', 'lambdaAwayFull', 'number'],
+    ['pih', 'piHome', 'number'],
+    ['pia', 'piAway', 'number'],
+    ['hfh', 'halfFactorHome', 'number'],
+    ['hfa', 'halfFactorAway', 'number'],
+    ['mf', 'marginFull', 'number'],
+    ['mh1', 'marginH1', 'number'],
+    ['mh2', 'marginH2', 'number'],
+    ['mm', 'marginMethod', 'choice', ['proportional', 'additive', 'shin', 'power', 'oddsRatio', 'logarithmic']],
+    ['eps', 'tailEpsilon', 'number']
+];
+
+// Goal distribution parameters: [parameter, marginal key, families that use it]
+const MARGINAL_PARAMS = [
+    ['r', 'dispersion', ['negbin', 'zinb']],
+    ['p0', 'zero', ['hurdle']],
+    ['w', 'one', ['oneInflated']]
+];
+const HALF_PI_MODES = ['same', 'derived', 'manual'];
+const DEPENDENCE_MODELS = ['independent', 'dixonColes', 'bivariate'];
+const PERIODS = ['full', 'h1', 'h2'];
+
+/**
+ * URL parameters (without the leading "#" or "?") for
+ * { inputs, tab, selections } where selections are Sets of "h-a" keys.
+ */
+export function encodePermalink({ inputs, tab, selections }) {
+    let params = new URLSearchParams();
+    FIELDS.forEach(([name, field]) => params.set(name, String(inputs[field])));
+
+    const marginal = inputs.marginal;
+    params.set('fam', marginal.family);
+    MARGINAL_PARAMS.forEach(([name, key, families]) => {
+        if (families.includes(marginal.family)) params.set(name, `${marginal[key].home},${marginal[key].away}`);
+    });
+
+    params.set('hpi', inputs.halfPi.mode);
+    if (inputs.halfPi.mode === 'manual') {
+        params.set('hpi1', `${inputs.halfPi.h1.home},${inputs.halfPi.h1.away}`);
+        params.set('hpi2', `${inputs.halfPi.h2.home},${inputs.halfPi.h2.away}`);
+    }
+
+    const { model, rho, lambda3 } = inputs.dependence;
+    params.set('dep', model);
+    if (model === 'dixonColes') params.set('rho', String(rho));
+    if (model === 'bivariate') params.set('l3', String(lambda3));
+
+    // In-play: the minute, then "home-away" score, half-time score and red cards
+    const inPlay = inputs.inPlay;
+    if (inPlay) {
+        params.set('min', String(inPlay.minute));
+        params.set('score', `${inPlay.score.home}-${inPlay.score.away}`);
+        params.set('ht', `${inPlay.halfTime.home}-${inPlay.halfTime.away}`);
+        params.set('red', `${inPlay.redCards.home}-${inPlay.redCards.away}`);
+    }
+
+    // Knockout tie: extra time share, then the home shootout win probability
+    if (inputs.cup) params.set('cup', `${inputs.cup.etShare},${inputs.cup.penaltyHome}`);
+
+    // Two-legged tie: the first leg as a "home-away" score or xG and pi pairs, and the away goals rule
+    const twoLeg = inputs.twoLeg;
+    if (twoLeg) {
+        const { score, lambdas, pi } = twoLeg.firstLeg;
+        if (score) {
+            params.set('leg1', `${score.home}-${score.away}`);
+        } else {
+            params.set('leg1xg', `${lambdas.home},${lambdas.away}`);
+            params.set('leg1pi', `${pi.home},${pi.away}`);
+        }
+        if (twoLeg.awayGoals) params.set('ag', '1');
+    }
+
+    if (tab) params.set('tab', tab);
+    PERIODS.forEach(period => {
+        const keys = selections && selections[period] ? [...selections[period]] : [];
+        if (keys.length) params.set(period, keys.join(','));
+    });
+    return params.toString();
+}
+
+/**
+ * Read a link made by encodePermalink ("#..." or "?..." accepted).
+ * Fields missing from the link keep their value in `defaults` (a getInputs()
+ * snapshot). Returns { inputs, tab, selections } with selections as Sets,
+ * or null when the link carries no calculator state. Throws an Error
+ * naming the first unreadable parameter.
+ */
+export function decodePermalink(text, defaults) {
+    const params = new URLSearchParams(text.replace(/^[#?]/, ''));
+    const known = ['fam', ...MARGINAL_PARAMS.map(p => p[0]), 'hpi', 'hpi1', 'hpi2', 'dep', 'rho', 'l3', 'min', 'score', 'ht', 'red', 'cup', 'leg1', 'leg1xg', 'leg1pi', 'ag', 'tab', ...PERIODS, ...FIELDS.map(f => f[0])];
+    if (!known.some(name => params.has(name))) return null;
+
+    const number = (name) => {
+        const value = Number(params.get(name));
+        if (params.get(name).trim() === '' || !isFinite(value)) throw new Error(`Link parameter "${name}" is not a number.`);
+        return value;
+    };
+    const choice = (name, allowed) => {
+        const value = params.get(name);
+        if (!allowed.includes(value)) throw new Error(`Link parameter "${name}" must be one of: ${allowed.join(', ')}.`);
+        return value;
+    };
+    const pair = (name, separator) => {
+        const parts = params.get(name).split(separator);
+        if (parts.length !== 2) throw new Error(`Link parameter "${name}" needs two values.`);
+        const [home, away] = parts.map(Number);
+        if (parts.some(p => p.trim() === '') || !isFinite(home) || !isFinite(away)) {
+            throw new Error(`Link parameter "${name}" is not a number pair.`);
+        }
+        return { home, away };
+    };
+
+    let inputs = JSON.parse(JSON.stringify(defaults));
+    FIELDS.forEach(([name, field, type, allowed]) => {
+        if (!params.has(name)) return;
+        if (type === 'number') inputs[field] = number(name);
+        else if (type === 'choice') inputs[field] = choice(name, allowed);
+        else inputs[field] = params.get(name);
+    });
+
+    if (params.has('fam')) {
+        inputs.marginal = { ...inputs.marginal, family: choice('fam', MARGINAL_FAMILIES) };
+        MARGINAL_PARAMS.forEach(([name, key]) => {
+            if (params.has(name)) inputs.marginal[key] = pair(name, ',');
+        });
+    }
+
+    if (params.has('hpi')) {
+        inputs.halfPi = { mode: choice('hpi', HALF_PI_MODES) };
+        if (inputs.halfPi.mode === 'manual') {
+            if (!params.has('hpi1') || !params.has('hpi2')) throw new Error('Link parameter "hpi" manual needs "hpi1" and "hpi2".');
+            inputs.halfPi.h1 = pair('hpi1', ',');
+            inputs.halfPi.h2 = pair('hpi2', ',');
+        }
+    }
+
+    if (params.has('dep')) {
+        const model = choice('dep', DEPENDENCE_MODELS);
+        inputs.dependence = {
+            model,
+            rho: model === 'dixonColes' && params.has('rho') ? number('rho') : 0,
+            lambda3: model === 'bivariate' && params.has('l3') ? number('l3') : 0
+        };
+    }
+
+    // No minute means pricing from kick-off
+    const zero = { home: 0, away: 0 };
+    inputs.inPlay = params.has('min') ? {
+        minute: number('min'),
+        score: params.has('score') ? pair('score', '-') : zero,
+        halfTime: params.has('ht') ? pair('ht', '-') : zero,
+        redCards: params.has('red') ? pair('red', '-') : zero
+    } : null;
+
+    // No cup means a league match
+    if (params.has('cup')) {
+        const { home: etShare, away: penaltyHome } = pair('cup', ',');
+        inputs.cup = { etShare, penaltyHome };
+    } else {
+        inputs.cup = null;
+    }
+
+    // No first leg means a single match
+    const zeroPi = { home: 0, away: 0 };
+    if (params.has('leg1')) {
+        inputs.twoLeg = { firstLeg: { score: pair('leg1', '-') }, awayGoals: params.get('ag') === '1' };
+    } else if (params.has('leg1xg')) {
+        const firstLeg = { lambdas: pair('leg1xg', ','), pi: params.has('leg1pi') ? pair('leg1pi', ',') : zeroPi };
+        inputs.twoLeg = { firstLeg, awayGoals: params.get('ag') === '1' };
+    } else {
+        inputs.twoLeg = null;
+    }
+
+    let selections = {};
+    PERIODS.forEach(period => {
+        const keys = (params.get(period) || '').split(',').filter(k => /^\d+\+?-\d+\+?$/.test(k));
+        selections[period] = new Set(keys);
+    });
+
+    return { inputs, tab: params.get('tab'), selections };
+}
@@ -0,0 +1,221 @@
+/**
+ * ZIP Football Calculator - Team Ratings
+ * * Fits attack/defence strengths and home advantage to past results
+ * (time-decayed Poisson likelihood), then per-team zero-inflation by
+ * maximising the ZIP likelihood of computePoissonPMF. The fitted
+ * ratings turn any pairing into xG and pi inputs for the calculator.
+ */
+
+import { computePoissonPMF } from './engine.js';
+import { parseCSV } from './batch.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_TEAM_PI = 0.9;
+
+// Accepted header spellings (lower-case, separators stripped); football-data.co.uk names included
+const RESULT_ALIASES = {
+    date: ['date', 'matchdate', 'kickoff'],
+    home: ['home', 'hometeam'],
+    away: ['away', 'awayteam'],
+    homeGoals: ['homegoals', 'hg', 'fthg', 'homescore'],
+    awayGoals: ['awaygoals', 'ag', 'ftag', 'awayscore'],
+    score: ['goals', 'score', 'result', 'ft']
+};
+
+// ISO (2024-08-17) or day-first (17/08/2024, 17.08.24) dates -> UTC milliseconds
+export function parseMatchDate(text) {
+    let m = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+    if (m) return Date.UTC(+m[1], +m[2] - 1, +m[3]);
+    m = /^(\d{1,2})[/.](\d{1,2})[/.](\d{2}|\d{4})$/.exec(text);
+    if (m) {
+        const year = m[3].length === 2 ? 2000 + +m[3] : +m[3];
+        return Date.UTC(year, +m[2] - 1, +m[1]);
+    }
+    return NaN;
+}
+
+/**
+ * Parse a results CSV with a header row: date, home, away and either
+ * home_goals/away_goals columns or a single score column ("2-1").
+ * Returns { matches: [{ date, home, away, homeGoals, awayGoals }], skipped: [{ line, reason }] }.
+ */
+export function parseResults(text) {
+    const [header, ...rows] = parseCSV(text);
+    if (!header) throw new Error("CSV is empty.");
+    const normalized = header.map(h => h.toLowerCase().replace(/[^a-z0-9]/g, ''));
+    let columns = {};
+    Object.keys(RESULT_ALIASES).forEach(key => {
+        const index = normalized.findIndex(h => RESULT_ALIASES[key].includes(h));
+        if (index >= 0) columns[key] = index;
+    });
+    const hasGoals = (columns.homeGoals !== undefined && columns.awayGoals !== undefined) || columns.score !== undefined;
+    if (columns.date === undefined || columns.home === undefined || columns.away === undefined || !hasGoals) {
+        throw new Error("CSV needs date, home, away and goal columns.");
+    }
+
+    let matches = [];
+    let skipped = [];
+    rows.forEach((row, i) => {
+        const cell = (key) => columns[key] === undefined ? '' : (row[columns[key]] || '').trim();
+        let homeGoals, awayGoals;
+        if (columns.homeGoals !== undefined && cell('homeGoals') !== '') {
+            homeGoals = Number(cell('homeGoals'));
+            awayGoals = Number(cell('awayGoals'));
+        } else {
+            const score = /^(\d+)\s*[-:]\s*(\d+)$/.exec(cell('score'));
+            homeGoals = score ? +score[1] : NaN;
+            awayGoals = score ? +score[2] : NaN;
+        }
+        const date = parseMatchDate(cell('date'));
+        const home = cell('home');
+        const away = cell('away');
+
+        if (isNaN(date)) skipped.push({ line: i + 2, reason: "Unreadable date." });
+        else if (!home || !away) skipped.push({ line: i + 2, reason: "Missing team." });
+        else if (!(Number.isInteger(homeGoals) && Number.isInteger(awayGoals) && homeGoals >= 0 && awayGoals >= 0)) {
+            skipped.push({ line: i + 2, reason: "Unreadable score." });
+        } else {
+            matches.push({ date, home, away, homeGoals, awayGoals });
+        }
+    });
+    return { matches, skipped };
+}
+
+// Largest point of a unimodal function on [lo, hi]
+function goldenSectionMax(fn, lo, hi, iterations = 60) {
+    const ratio = (Math.sqrt(5) - 1) / 2;
+    let a = lo, b = hi;
+    let c = b - ratio * (b - a), d = a + ratio * (b - a);
+    let fc = fn(c), fd = fn(d);
+    for (let i = 0; i < iterations; i++) {
+        if (fc > fd) { b = d; d = c; fd = fc; c = b - ratio * (b - a); fc = fn(c); }
+        else { a = c; c = d; fc = fd; d = a + ratio * (b - a); fd = fn(d); }
+    }
+    return (a + b) / 2;
+}
+
+// Weighted ZIP log-likelihood of one team's goal counts. The Poisson part is
+// scaled by 1 / (1 - pi) so every match keeps its fitted mean.
+function zipLogLikelihood(samples, pi) {
+    let total = 0;
+    samples.forEach(({ goals, mean, weight }) => {
+        const p = computePoissonPMF(mean / (1 - pi), goals, pi).probs[goals];
+        total += weight * Math.log(Math.max(p, 1e-300));
+    });
+    return total;
+}
+
+/**
+ * Fit ratings to matches [{ date, home, away, homeGoals, awayGoals }].
+ * Stage 1 - weighted Poisson MLE (cyclic closed-form updates):
+ *   lambdaHome = base * homeAdv * attack[home] * weakness[away]
+ *   lambdaAway = base * attack[away] * weakness[home]
+ * with weights 0.5^(age / halfLifeDays) (halfLifeDays 0 = no decay) and
+ * `shrinkage` pseudo-goals pulling sparse teams toward average.
+ * Stage 2 - per-team pi maximising the ZIP likelihood of the goals each
+ * team scored, holding the fitted means fixed.
+ * Returns { teams: { name: { attack, defence, pi, matches } }, base, homeAdvantage, referenceDate, iterations }
+ * where attack / defence are log-strengths (0 = average, higher = better).
+ */
+export function fitRatings(matches, options = {}) {
+    const { halfLifeDays = 180, shrinkage = 1, maxIterations = 500, tolerance = 1e-10 } = options;
+    if (!matches.length) throw new Error("No matches to fit.");
+    const referenceDate = options.referenceDate === undefined ? Math.max(...matches.map(m => m.date)) : options.referenceDate;
+
+    const names = [...new Set(matches.flatMap(m => [m.home, m.away]))].sort();
+    const index = Object.fromEntries(names.map((n, i) => [n, i]));
+    const games = matches.map(m => ({
+        h: index[m.home], a: index[m.away], hg: m.homeGoals, ag: m.awayGoals,
+        w: halfLifeDays > 0 ? Math.pow(0.5, Math.max(0, referenceDate - m.date) / DAY_MS / halfLifeDays) : 1
+    }));
+
+    const n = names.length;
+    let attack = new Array(n).fill(1);
+    let weakness = new Array(n).fill(1);
+    let base = 1, homeAdv = 1;
+    let totalHome = 0, totalAway = 0, totalWeight = 0;
+    games.forEach(g => { totalHome += g.w * g.hg; totalAway += g.w * g.ag; totalWeight += g.w; });
+    base = Math.max((totalHome + totalAway) / (2 * totalWeight), 1e-6);
+    homeAdv = totalAway > 0 ? Math.max(totalHome / totalAway, 1e-6) : 1;
+
+    let iterations = 0;
+    for (; iterations < maxIterations; iterations++) {
+        const previous = [...attack, ...weakness, homeAdv, base];
+
+        // Attack: goals scored / expected goals at attack = 1
+        let scored = new Array(n).fill(shrinkage), expected = new Array(n).fill(shrinkage);
+        games.forEach(g => {
+            scored[g.h] += g.w * g.hg; expected[g.h] += g.w * base * homeAdv * weakness[g.a];
+            scored[g.a] += g.w * g.ag; expected[g.a] += g.w * base * weakness[g.h];
+        });
+        attack = attack.map((_, i) => Math.max(scored[i] / expected[i], 1e-6));
+
+        // Defensive weakness: goals conceded / expected conceded at weakness = 1
+        let conceded = new Array(n).fill(shrinkage), expConceded = new Array(n).fill(shrinkage);
+        games.forEach(g => {
+            conceded[g.a] += g.w * g.hg; expConceded[g.a] += g.w * base * homeAdv * attack[g.h];
+            conceded[g.h] += g.w * g.ag; expConceded[g.h] += g.w * base * attack[g.a];
+        });
+        weakness = weakness.map((_, i) => Math.max(conceded[i] / expConceded[i], 1e-6));
+
+        // Home advantage, then the base rate
+        let homeExpected = 0;
+        games.forEach(g => homeExpected += g.w * base * attack[g.h] * weakness[g.a]);
+        if (totalHome > 0) homeAdv = totalHome / homeExpected;
+
+        // Identify the model: geometric mean of attack and weakness = 1, absorbed by base
+        const gmA = Math.exp(attack.reduce((s, v) => s + Math.log(v), 0) / n);
+        const gmW = Math.exp(weakness.reduce((s, v) => s + Math.log(v), 0) / n);
+        attack = attack.map(v => v / gmA);
+        weakness = weakness.map(v => v / gmW);
+        let allExpected = 0;
+        games.forEach(g => allExpected += g.w * (homeAdv * attack[g.h] * weakness[g.a] + attack[g.a] * weakness[g.h]));
+        base = (totalHome + totalAway) / allExpected;
+
+        // Converged once a full sweep moves no parameter by more than `tolerance` (log scale)
+        const current = [...attack, ...weakness, homeAdv, base];
+        if (current.every((v, i) => Math.abs(Math.log(v / previous[i])) < tolerance)) break;
+    }
+
+    // Stage 2: zero-inflation from each team's scoring record
+    let samples = names.map(() => []);
+    games.forEach(g => {
+        samples[g.h].push({ goals: g.hg, mean: base * homeAdv * attack[g.h] * weakness[g.a], weight: g.w });
+        samples[g.a].push({ goals: g.ag, mean: base * attack[g.a] * weakness[g.h], weight: g.w });
+    });
+
+    let teams = {};
+    names.forEach((name, i) => {
+        const pi = goldenSectionMax(p => zipLogLikelihood(samples[i], p), 0, MAX_TEAM_PI);
+        teams[name] = {
+            attack: Math.log(attack[i]),
+            defence: -Math.log(weakness[i]),
+            pi: pi < 1e-4 ? 0 : pi,
+            matches: samples[i].length
+        };
+    });
+
+    return { teams, base, homeAdvantage: homeAdv, referenceDate, iterations };
+}
+
+/**
+ * Calculator inputs for a pairing. lambda* are the Poisson parts the
+ * calculator's xG fields expect (mean / (1 - pi)); mean* are expected goals.
+ */
+export function predictMatch(ratings, home, away) {
+    const h = ratings.teams[home];
+    const a = ratings.teams[away];
+    if (!h) throw new Error(`No rating for "${home}".`);
+    if (!a) throw new Error(`No rating for "${away}".`);
+
+    const meanHome = ratings.base * ratings.homeAdvantage * Math.exp(h.attack - a.defence);
+    const meanAway = ratings.base * Math.exp(a.attack - h.defence);
+    return {
+        meanHome,
+        meanAway,
+        lambdaHome: meanHome / (1 - h.pi),
+        lambdaAway: meanAway / (1 - a.pi),
+        piHome: h.pi,
+        piAway: a.pi
+    };
+}
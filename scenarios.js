@@ -0,0 +1,104 @@
+/**
+ * ZIP Football Calculator - Scenarios
+ * * Named match scenarios (form inputs + grid selections) kept in
+ * localStorage, and per-market comparison of two priced books.
+ */
+
+export const SCENARIO_STORAGE_KEY = 'zipCalculator.scenarios';
+
+// All saved scenarios, oldest first. Unreadable storage counts as empty.
+export function readScenarios(storage) {
+    try {
+        const parsed = JSON.parse(storage.getItem(SCENARIO_STORAGE_KEY) || '[]');
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function writeScenarios(storage, scenarios) {
+    storage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
+    return scenarios;
+}
+
+export function findScenario(storage, name) {
+    return readScenarios(storage).find(s => s.name === name) || null;
+}
+
+// Selections are Sets of "h-a" keys per period; storage needs plain arrays
+export function serializeSelections(selections) {
+    let out = {};
+    Object.keys(selections).forEach(period => out[period] = [...selections[period]]);
+    return out;
+}
+
+export function deserializeSelections(saved) {
+    let out = {};
+    ['full', 'h1', 'h2'].forEach(period => out[period] = new Set((saved && saved[period]) || []));
+    return out;
+}
+
+// Save (or overwrite) a scenario under its name
+export function saveScenario(storage, name, inputs, selections) {
+    const trimmed = (name || '').trim();
+    if (!trimmed) throw new Error("Scenario name is required.");
+
+    const scenario = {
+        name: trimmed,
+        savedAt: new Date().toISOString(),
+        inputs: { ...inputs },
+        selections: serializeSelections(selections)
+    };
+    const others = readScenarios(storage).filter(s => s.name !== trimmed);
+    writeScenarios(storage, [...others, scenario]);
+    return scenario;
+}
+
+export function deleteScenario(storage, name) {
+    return writeScenarios(storage, readScenarios(storage).filter(s => s.name !== name));
+}
+
+// First free "<name> (copy)", "<name> (copy 2)", ...
+function copyName(existing, name) {
+    const names = new Set(existing.map(s => s.name));
+    let candidate = `${name} (copy)`;
+    for (let i = 2; names.has(candidate); i++) candidate = `${name} (copy ${i})`;
+    return candidate;
+}
+
+export function duplicateScenario(storage, name) {
+    const scenarios = readScenarios(storage);
+    const source = scenarios.find(s => s.name === name);
+    if (!source) throw new Error(`Scenario "${name}" not found.`);
+
+    const copy = { ...JSON.parse(JSON.stringify(source)), name: copyName(scenarios, name), savedAt: new Date().toISOString() };
+    writeScenarios(storage, [...scenarios, copy]);
+    return copy;
+}
+
+/**
+ * Per-selection probability deltas between two price() results.
+ * Returns rows { period, market, selection, a, b, diff } (diff = b - a) for
+ * every market priced in either book; a selection missing from one side
+ * counts as probability 0 there (e.g. a score outside the smaller grid).
+ */
+export function compareBooks(bookA, bookB) {
+    let rows = [];
+    ['full', 'h1', 'h2'].forEach(period => {
+        const marketsA = bookA[period].book;
+        const marketsB = bookB[period].book;
+        const marketNames = [...new Set([...Object.keys(marketsA), ...Object.keys(marketsB)])];
+
+        marketNames.forEach(market => {
+            const selA = marketsA[market] || {};
+            const selB = marketsB[market] || {};
+            const names = [...new Set([...Object.keys(selA), ...Object.keys(selB)])];
+            names.forEach(selection => {
+                const a = selA[selection] ? selA[selection].prob : 0;
+                const b = selB[selection] ? selB[selection].prob : 0;
+                rows.push({ period, market, selection, a, b, diff: b - a });
+            });
+        });
+    });
+    return rows;
+}
@@ -1,20 +1,45 @@
 /**
  * ZIP Football Calculator
- * * Implements Zero-Inflated Poisson distribution for football score modelling.
+ * * Browser UI for the Zero-Inflated Poisson pricing engine (engine.js).
  * Features:
  * - Conversion between xG inputs and Supremacy/Expectancy
- * - Zero-Inflation parameter handling
- * - Market derivation (1X2, O/U, BTTS, Correct Score)
- * - Multi-clickable grid (Dutching)
+ * - Goal distributions (Poisson, ZIP, negative binomial, ZINB, hurdle, 1-inflated) and dependence
+ * - Market cards for Full Time, 1st Half and 2nd Half
+ * - Multi-clickable grid with a dutching stake calculator
  * - Independent Margins for Periods
+ * - Odds solver (1X2, O/U 2.5, BTTS prices -> lambdas and pi)
+ * - Saved scenarios (localStorage) with side-by-side comparison
+ * - Market book export (CSV, JSON, printable price sheet)
+ * - Batch pricing of fixture lists imported from CSV
+ * - Value finder (entered bookmaker odds -> edge and Kelly stake)
+ * - Team ratings fitted to past results (attack/defence/pi -> xG and pi)
+ * - Monte Carlo match simulation (goal timing, in-play state, model check)
+ * - In-play repricing from the score, minute and red cards
+ * - Cup ties: to qualify, method of victory and the score after extra time
+ * - Two-legged ties: aggregate score, away goals and leg 2 required results
+ * - Per-card goal line pickers (lines beyond 5.5 where the grid can price them)
+ * - Half-by-half markets, HT/FT & O/U and the HT -> FT correct score grid
+ * - Bet builder: boolean expressions over the FT and half grids
+ * - Shareable permalinks (inputs, tab and grid selections in the URL)
+ * - Sensitivity of the key markets to supremacy, expectancy, pi and half share
  */
 
-// --- Constants & Config ---
-const MAX_GOALS = 7; // Grid size 0-7
-const STANDARD_LINES = [0.5, 1.5, 2.5, 3.5, 4.5, 5.5];
+import { STANDARD_LINES, TEAM_LINES, MULTI_GOAL_RANGES, HTFT_SCORE_CAPS, HALF_MINUTES, price, getDependenceError, getInPlayError, getMarginalError, getCupError, getTwoLegError, aggregateGrid, applyMargin, getOdds, sumOf } from './engine.js';
+import { buildSolverTargets, solveFromOdds } from './solver.js';
+import { PERIOD_LABELS, escapeHtml, toCSV, toJSON, toPriceSheetHTML } from './export.js';
+import { assessValue, findValueBets } from './value.js';
+import { parseResults, fitRatings, predictMatch } from './ratings.js';
+import { parseFixtures, headlineMarkets, batchToCSV } from './batch.js';
+import { simulateMatches, compareToModel } from './simulator.js';
+import { compileBet, priceBet } from './betbuilder.js';
+import { encodePermalink, decodePermalink } from './permalink.js';
+import { SENSITIVITY_INPUTS, keyMarkets, computeSensitivities, sweepInput } from './sensitivity.js';
+import { dutchStakes, settleDutch, dutchToCSV } from './dutching.js';
+import { readScenarios, findScenario, saveScenario, deleteScenario, duplicateScenario, deserializeSelections, compareBooks } from './scenarios.js';
 
 // Store calculation results globally
 let appState = {
+    book: null,
     jointFull: null,
     jointH1: null,
     jointH2: null,
@@ -22,7 +47,10 @@ let appState = {
     htftData: null,
     scoresByGoals: null,
     dcGoals: null,
-    result1X2Goals: null
+    result1X2Goals: null,
+    comparison: null,
+    batch: null,
+    ratings: null
 };
 
 // Store current selections for each grid: 'period' -> Set of "h-a" strings
@@ -32,8 +60,35 @@ let selections = {
     h2: new Set()
 };
 
+// Bookmaker odds entered in the value finder: "period|market|selection" -> decimal odds
+let offeredOdds = {};
+// Model probability and label behind every rendered odds entry, rebuilt on each render
+let valueRegistry = {};
+
+// Goal lines shown per period and card family; 'goals' also feeds the combination cards
+let lineSelections = {
+    full: { goals: [...STANDARD_LINES], dcGoals: [2.5], resultGoals: [2.5], htftGoals: [2.5], team: [...TEAM_LINES] },
+    h1: { goals: [...STANDARD_LINES], team: [...TEAM_LINES] },
+    h2: { goals: [...STANDARD_LINES], team: [...TEAM_LINES] }
+};
+
+// Dutching per selection panel: the grid it was built on and the last valid plan
+let dutching = {
+    full: { grid: null, plan: null, settlement: null },
+    h1: { grid: null, plan: null, settlement: null },
+    h2: { grid: null, plan: null, settlement: null }
+};
+
+// Compiled bet builder expression, repriced on every render (null = none)
+let builderBet = null;
+
+// Last sensitivity run: { params, markets, sensitivities, sweeps: input -> sweep } (null = none)
+let sensitivityState = null;
+
 document.addEventListener('DOMContentLoaded', () => {
     initEventListeners();
+    refreshScenarioLists();
+    restoreFromUrl();
     calculateAndRender();
 });
 
@@ -44,23 +99,113 @@ function initEventListeners() {
         radio.addEventListener('change', (e) => toggleInputMode(e.target.value));
     });
 
-    // ZIP Toggle
-    document.getElementById('useZip').addEventListener('change', (e) => toggleZipInputs(e.target.checked));
+    // Goal Distribution
+    document.getElementById('marginalFamily').addEventListener('change', (e) => toggleMarginalInputs(e.target.value));
+
+    // Grid display buckets only change rendering
+    document.getElementById('gridDisplay').addEventListener('change', () => {
+        if (appState.jointFull) renderAllMarkets();
+    });
+
+    // Half Pi Mode Toggle
+    document.getElementById('halfPiMode').addEventListener('change', (e) => toggleHalfPiInputs(e.target.value));
+
+    // In-Play Toggle
+    document.getElementById('inPlay').addEventListener('change', (e) => toggleInPlayInputs(e.target.checked));
+
+    // Cup Tie Toggle
+    document.getElementById('cupTie').addEventListener('change', (e) => toggleCupInputs(e.target.checked));
+    document.getElementById('twoLeg').addEventListener('change', (e) => toggleTwoLegInputs(e.target.checked));
+    document.getElementById('firstLegMode').addEventListener('change', (e) => toggleFirstLegMode(e.target.value));
+
+    // Dependence Model Toggle
+    document.getElementById('dependenceModel').addEventListener('change', (e) => toggleDependenceInputs(e.target.value));
 
     // Calculate Button
     document.getElementById('calcBtn').addEventListener('click', calculateAndRender);
 
-    // Margin Changes (Re-render odds without full recalc)
-    ['marginFull', 'marginH1', 'marginH2'].forEach(id => {
+    // Odds Solver
+    document.getElementById('solveBtn').addEventListener('click', solveAndApply);
+
+    // Export
+    document.getElementById('exportCsvBtn').addEventListener('click', () => exportBook('csv'));
+    document.getElementById('exportJsonBtn').addEventListener('click', () => exportBook('json'));
+    document.getElementById('exportPrintBtn').addEventListener('click', openPriceSheet);
+    document.getElementById('copyLinkBtn').addEventListener('click', copyPermalink);
+
+    // A pasted link only changes the hash, which does not reload the page
+    window.addEventListener('hashchange', () => {
+        restoreFromUrl();
+        calculateAndRender();
+    });
+
+    // Batch Pricing
+    document.getElementById('batchFile').addEventListener('change', loadBatchFile);
+    document.getElementById('batchRunBtn').addEventListener('click', () => runBatch(document.getElementById('batchText').value));
+    document.getElementById('batchExportBtn').addEventListener('click', exportBatch);
+
+    // Scenarios
+    document.getElementById('saveScenarioBtn').addEventListener('click', saveCurrentScenario);
+    document.getElementById('loadScenarioBtn').addEventListener('click', loadSelectedScenario);
+    document.getElementById('duplicateScenarioBtn').addEventListener('click', duplicateSelectedScenario);
+    document.getElementById('deleteScenarioBtn').addEventListener('click', deleteSelectedScenario);
+    document.getElementById('compareScenariosBtn').addEventListener('click', compareSelectedScenarios);
+
+    // Margin Changes (re-price so the market book carries the new odds)
+    ['marginFull', 'marginH1', 'marginH2', 'marginMethod'].forEach(id => {
         document.getElementById(id).addEventListener('input', () => {
-            if(appState.jointFull) {
-                // Update inputs state
-                appState.inputs = getInputs(); 
-                if(appState.inputs.isValid) renderAllMarkets();
-            }
+            if(appState.jointFull) calculateAndRender();
         });
     });
 
+    // Team Ratings
+    document.getElementById('ratingsFile').addEventListener('change', loadRatingsFile);
+    document.getElementById('ratingsHalfLife').addEventListener('change', () => {
+        if (appState.ratings) fitAndRenderRatings(appState.ratings.matches, appState.ratings.skipped);
+    });
+    document.getElementById('applyRatingsBtn').addEventListener('click', applyRatings);
+
+    // Match Simulation
+    document.getElementById('simInPlay').addEventListener('change', (e) => {
+        document.getElementById('sim-inplay').classList.toggle('hidden', !e.target.checked);
+    });
+    document.getElementById('simRunBtn').addEventListener('click', runSimulation);
+
+    // Sensitivity
+    document.getElementById('sensRunBtn').addEventListener('click', runSensitivity);
+    ['sensInput', 'sensGroup'].forEach(id => {
+        document.getElementById(id).addEventListener('change', renderSensitivityChart);
+    });
+
+    // Bet Builder
+    document.getElementById('builderPriceBtn').addEventListener('click', priceBuilderExpression);
+    document.getElementById('builderExpr').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') priceBuilderExpression();
+    });
+    document.getElementById('builderClearBtn').addEventListener('click', clearBetBuilder);
+
+    // Value Finder
+    document.getElementById('showOffers').addEventListener('change', (e) => {
+        document.getElementById('results-panel').classList.toggle('value-mode', e.target.checked);
+        renderValuePanel();
+    });
+    ['valueThreshold', 'bankroll', 'kellyMultiplier'].forEach(id => {
+        document.getElementById(id).addEventListener('input', refreshValueDisplay);
+    });
+    document.getElementById('results-panel').addEventListener('input', (e) => {
+        if (e.target.classList.contains('offer-input')) onOfferInput(e.target);
+        if (e.target.classList.contains('dutch-amount')) refreshDutching(e.target.id.split('-')[1]);
+    });
+
+    // HT/FT Correct Score
+    document.getElementById('htftScoreHt').addEventListener('change', renderHtftScoreGrid);
+
+    // Line Pickers
+    document.getElementById('results-panel').addEventListener('change', (e) => {
+        if (e.target.classList.contains('line-choice')) onLinePick(e.target);
+        if (e.target.classList.contains('dutch-mode')) refreshDutching(e.target.id.split('-')[1]);
+    });
+
     // Tabs
     document.querySelectorAll('.tab-btn').forEach(tab => {
         tab.addEventListener('click', (e) => {
@@ -69,6 +214,7 @@ function initEventListeners() {
             
             e.target.classList.add('active');
             document.getElementById(`tab-${e.target.dataset.tab}`).classList.add('active');
+            syncUrl();
         });
     });
 }
@@ -83,35 +229,95 @@ function toggleInputMode(mode) {
     }
 }
 
-function toggleZipInputs(enabled) {
-    const ids = ['piHome', 'piAway'];
-    const container = document.getElementById('zip-inputs');
+const FAMILY_LABELS = {
+    poisson: 'Poisson', zip: 'ZIP', negbin: 'Negative Binomial', zinb: 'ZINB',
+    hurdle: 'Hurdle Poisson', oneInflated: '1-Inflated Poisson'
+};
+
+// Zero-inflation (pi and half pi) only applies to the ZIP and ZINB families
+const familyUsesPi = (family) => family === 'zip' || family === 'zinb';
+
+function toggleMarginalInputs(family) {
+    const enabled = familyUsesPi(family);
+    const ids = ['piHome', 'piAway', 'halfPiMode', 'piHomeH1', 'piAwayH1', 'piHomeH2', 'piAwayH2'];
+    const containers = ['zip-inputs', 'half-pi-inputs'].map(id => document.getElementById(id));
     if (enabled) {
-        container.classList.remove('disabled');
+        containers.forEach(c => c.classList.remove('disabled'));
         ids.forEach(id => document.getElementById(id).disabled = false);
     } else {
-        container.classList.add('disabled');
+        containers.forEach(c => c.classList.add('disabled'));
         ids.forEach(id => document.getElementById(id).disabled = true);
     }
+    document.getElementById('dispersion-inputs').classList.toggle('active', family === 'negbin' || family === 'zinb');
+    document.getElementById('hurdle-inputs').classList.toggle('active', family === 'hurdle');
+    document.getElementById('one-inputs').classList.toggle('active', family === 'oneInflated');
+}
+
+const IN_PLAY_IDS = ['inPlayMinute', 'inPlayScoreHome', 'inPlayScoreAway', 'inPlayHtHome', 'inPlayHtAway', 'inPlayRedHome', 'inPlayRedAway'];
+
+function toggleInPlayInputs(enabled) {
+    document.getElementById('inplay-inputs').classList.toggle('disabled', !enabled);
+    IN_PLAY_IDS.forEach(id => document.getElementById(id).disabled = !enabled);
+    if (!enabled) document.getElementById('inplay-status').textContent = '';
+}
+
+const CUP_IDS = ['cupEtShare', 'cupPenaltyHome', 'twoLeg'];
+const TWO_LEG_IDS = ['firstLegMode', 'awayGoalsRule', 'firstLegScoreHome', 'firstLegScoreAway',
+    'firstLegXgHome', 'firstLegXgAway', 'firstLegPiHome', 'firstLegPiAway'];
+
+function toggleCupInputs(enabled) {
+    document.getElementById('cup-inputs').classList.toggle('disabled', !enabled);
+    CUP_IDS.forEach(id => document.getElementById(id).disabled = !enabled);
+    toggleTwoLegInputs(enabled && document.getElementById('twoLeg').checked);
+}
+
+function toggleTwoLegInputs(enabled) {
+    document.getElementById('twoleg-inputs').classList.toggle('disabled', !enabled);
+    TWO_LEG_IDS.forEach(id => document.getElementById(id).disabled = !enabled);
+}
+
+function toggleFirstLegMode(mode) {
+    document.getElementById('firstLeg-score').classList.toggle('active', mode === 'score');
+    document.getElementById('firstLeg-xg').classList.toggle('active', mode === 'xg');
+}
+
+function toggleHalfPiInputs(mode) {
+    document.getElementById('halfPi-manual').classList.toggle('active', mode === 'manual');
+}
+
+function toggleDependenceInputs(model) {
+    document.getElementById('dixonColes-inputs').classList.toggle('active', model === 'dixonColes');
+    document.getElementById('bivariate-inputs').classList.toggle('active', model === 'bivariate');
 }
 
 // --- Input Handling & Validation ---
 
 function getInputs() {
     const mode = document.querySelector('input[name="inputMode"]:checked').value;
-    const useZip = document.getElementById('useZip').checked;
+    const marginal = getMarginalInputs();
+    const usesPi = familyUsesPi(marginal.family);
     
     let data = {
+        inputMode: mode,
+        marginal,
         homeTeam: document.getElementById('homeTeam').value || 'Home',
         awayTeam: document.getElementById('awayTeam').value || 'Away',
         lambdaHomeFull: 0,
         lambdaAwayFull: 0,
         piHome: 0,
         piAway: 0,
-        halfFactor: parseFloat(document.getElementById('halfFactor').value),
+        halfFactorHome: parseFloat(document.getElementById('halfFactorHome').value),
+        halfFactorAway: parseFloat(document.getElementById('halfFactorAway').value),
+        halfPi: { mode: 'same' },
         marginFull: parseFloat(document.getElementById('marginFull').value) || 0,
         marginH1: parseFloat(document.getElementById('marginH1').value) || 0,
         marginH2: parseFloat(document.getElementById('marginH2').value) || 0,
+        marginMethod: document.getElementById('marginMethod').value,
+        tailEpsilon: parseFloat(document.getElementById('tailEpsilon').value),
+        dependence: getDependenceInputs(),
+        inPlay: getInPlayInputs(),
+        cup: getCupInputs(),
+        twoLeg: getTwoLegInputs(),
         isValid: true,
         errorMsg: ''
     };
@@ -120,31 +326,89 @@ function getInputs() {
     if (mode === 'xg') {
         data.lambdaHomeFull = parseFloat(document.getElementById('xgHome').value);
         data.lambdaAwayFull = parseFloat(document.getElementById('xgAway').value);
-        if (data.lambdaHomeFull < 0 || data.lambdaAwayFull < 0) {
+        if (!(data.lambdaHomeFull >= 0) || !(data.lambdaAwayFull >= 0)) {
             data.isValid = false; data.errorMsg = "xG values must be non-negative.";
         }
     } else {
         const sup = parseFloat(document.getElementById('supremacy').value);
         const exp = parseFloat(document.getElementById('expectancy').value);
-        if (exp <= 0) {
+        if (!(exp > 0)) {
             data.isValid = false; data.errorMsg = "Total expectancy must be > 0.";
         } else {
             data.lambdaHomeFull = (exp + sup) / 2;
             data.lambdaAwayFull = (exp - sup) / 2;
-            if (data.lambdaHomeFull < 0 || data.lambdaAwayFull < 0) {
+            if (!(data.lambdaHomeFull >= 0) || !(data.lambdaAwayFull >= 0)) {
                 data.isValid = false; data.errorMsg = "Implied team goals negative.";
             }
         }
     }
 
-    if (useZip) {
+    if (usesPi) {
         data.piHome = parseFloat(document.getElementById('piHome').value);
         data.piAway = parseFloat(document.getElementById('piAway').value);
         if (data.piHome < 0 || data.piHome > 1 || data.piAway < 0 || data.piAway > 1) {
             data.isValid = false; data.errorMsg = "Pi must be 0-1.";
         }
     }
-    
+
+    const dependenceError = getDependenceError(data.dependence, data.lambdaHomeFull, data.lambdaAwayFull);
+    if (dependenceError) {
+        data.isValid = false; data.errorMsg = dependenceError;
+    }
+
+    const lambdas = { home: data.lambdaHomeFull, away: data.lambdaAwayFull };
+    const marginalError = getMarginalError(marginal, lambdas, data.dependence, data.inPlay);
+    if (marginalError) {
+        data.isValid = false; data.errorMsg = marginalError;
+    }
+
+    if (usesPi) {
+        data.halfPi.mode = document.getElementById('halfPiMode').value;
+        if (data.halfPi.mode === 'manual') {
+            const read = (id) => parseFloat(document.getElementById(id).value);
+            data.halfPi.h1 = { home: read('piHomeH1'), away: read('piAwayH1') };
+            data.halfPi.h2 = { home: read('piHomeH2'), away: read('piAwayH2') };
+            const halfPis = [data.halfPi.h1.home, data.halfPi.h1.away, data.halfPi.h2.home, data.halfPi.h2.away];
+            if (!halfPis.every(p => p >= 0 && p <= 1)) {
+                data.isValid = false; data.errorMsg = "Half pi must be 0-1.";
+            }
+        }
+    }
+
+    if (!(data.halfFactorHome >= 0 && data.halfFactorHome <= 1 && data.halfFactorAway >= 0 && data.halfFactorAway <= 1)) {
+        data.isValid = false; data.errorMsg = "1st half shares must be 0-1.";
+    }
+
+    if (data.inPlay) {
+        const inPlayError = getInPlayError(data.inPlay);
+        if (inPlayError) {
+            data.isValid = false; data.errorMsg = inPlayError;
+        }
+    }
+
+    if (data.cup) {
+        const cupError = getCupError(data.cup);
+        if (cupError) {
+            data.isValid = false; data.errorMsg = cupError;
+        }
+    }
+
+    if (data.twoLeg) {
+        // Until the first leg has a score, it is priced with the match's dependence and distribution
+        const { score, lambdas: leg1 } = data.twoLeg.firstLeg;
+        const leg1Error = !score && leg1
+            ? getDependenceError(data.dependence, leg1.home, leg1.away) || getMarginalError(marginal, leg1, data.dependence)
+            : '';
+        const twoLegError = getTwoLegError(data.twoLeg) || (leg1Error && `First leg: ${leg1Error}`);
+        if (twoLegError) {
+            data.isValid = false; data.errorMsg = twoLegError;
+        }
+    }
+
+    if (isNaN(data.tailEpsilon) || data.tailEpsilon <= 0 || data.tailEpsilon > 0.01) {
+        data.isValid = false; data.errorMsg = "Tail epsilon must be between 0 and 0.01.";
+    }
+
     // Safety clamp on margins
     if (data.marginFull < 0) data.marginFull = 0;
     if (data.marginH1 < 0) data.marginH1 = 0;
@@ -153,47 +417,146 @@ function getInputs() {
     return data;
 }
 
-// --- Math Model ---
+// Goal distribution and the parameters of every family (price() reads the ones it needs)
+function getMarginalInputs() {
+    const read = (id) => parseFloat(document.getElementById(id).value);
+    return {
+        family: document.getElementById('marginalFamily').value,
+        dispersion: { home: read('dispersionHome'), away: read('dispersionAway') },
+        zero: { home: read('hurdleHome'), away: read('hurdleAway') },
+        one: { home: read('oneHome'), away: read('oneAway') }
+    };
+}
+
+function getDependenceInputs() {
+    const model = document.getElementById('dependenceModel').value;
+    return {
+        model,
+        rho: model === 'dixonColes' ? parseFloat(document.getElementById('dcRho').value) : 0,
+        lambda3: model === 'bivariate' ? parseFloat(document.getElementById('bpLambda3').value) : 0
+    };
+}
 
-const factorialCache = [1, 1, 2, 6, 24, 120, 720, 5040];
-function factorial(n) {
-    if (n < 0) return 1;
-    if (n < factorialCache.length) return factorialCache[n];
-    let res = factorialCache[factorialCache.length - 1];
-    for (let i = factorialCache.length; i <= n; i++) res *= i;
-    return res;
+// Match state for in-play pricing, or null when pricing from kick-off
+function getInPlayInputs() {
+    if (!document.getElementById('inPlay').checked) return null;
+    const read = (id) => Number(document.getElementById(id).value);
+    return {
+        minute: read('inPlayMinute'),
+        score: { home: read('inPlayScoreHome'), away: read('inPlayScoreAway') },
+        halfTime: { home: read('inPlayHtHome'), away: read('inPlayHtAway') },
+        redCards: { home: read('inPlayRedHome'), away: read('inPlayRedAway') }
+    };
 }
 
-function computePoissonPMF(lambda, maxGoals, pi) {
-    let probs = [];
-    let sum = 0;
-    const expLambda = Math.exp(-lambda);
+// Extra time and shootout settings for a knockout tie, or null for a league match
+function getCupInputs() {
+    if (!document.getElementById('cupTie').checked) return null;
+    return {
+        etShare: parseFloat(document.getElementById('cupEtShare').value),
+        penaltyHome: parseFloat(document.getElementById('cupPenaltyHome').value)
+    };
+}
 
-    for (let k = 0; k <= maxGoals; k++) {
-        let pStandard = (expLambda * Math.pow(lambda, k)) / factorial(k);
-        let pZip = k === 0 ? pi + (1 - pi) * pStandard : (1 - pi) * pStandard;
-        probs.push(pZip);
-        sum += pZip;
-    }
-    return { probs, tail: 1 - sum };
+// First leg of a two-legged tie (this match is the second), or null
+function getTwoLegInputs() {
+    if (!document.getElementById('cupTie').checked || !document.getElementById('twoLeg').checked) return null;
+    const read = (id) => Number(document.getElementById(id).value);
+    const firstLeg = document.getElementById('firstLegMode').value === 'score'
+        ? { score: { home: read('firstLegScoreHome'), away: read('firstLegScoreAway') } }
+        : {
+            lambdas: { home: read('firstLegXgHome'), away: read('firstLegXgAway') },
+            pi: { home: read('firstLegPiHome'), away: read('firstLegPiAway') }
+        };
+    return { firstLeg, awayGoals: document.getElementById('awayGoalsRule').checked };
 }
 
-function computeJointDistribution(lambdaH, lambdaA, piH, piA, maxGoals) {
-    const distH = computePoissonPMF(lambdaH, maxGoals, piH);
-    const distA = computePoissonPMF(lambdaA, maxGoals, piA);
+// Write a getInputs() snapshot back into the form (inverse of getInputs)
+function applyInputs(inputs) {
+    const setValue = (id, v) => document.getElementById(id).value = v;
+    const round = (v) => String(+v.toFixed(6));
+
+    setValue('homeTeam', inputs.homeTeam);
+    setValue('awayTeam', inputs.awayTeam);
+
+    document.querySelector(`input[name="inputMode"][value="${inputs.inputMode}"]`).checked = true;
+    toggleInputMode(inputs.inputMode);
+    setValue('xgHome', round(inputs.lambdaHomeFull));
+    setValue('xgAway', round(inputs.lambdaAwayFull));
+    setValue('supremacy', round(inputs.lambdaHomeFull - inputs.lambdaAwayFull));
+    setValue('expectancy', round(inputs.lambdaHomeFull + inputs.lambdaAwayFull));
+
+    const { marginal } = inputs;
+    setValue('marginalFamily', marginal.family);
+    toggleMarginalInputs(marginal.family);
+    [['dispersion', 'dispersion'], ['zero', 'hurdle'], ['one', 'one']].forEach(([key, prefix]) => {
+        if (!marginal[key]) return;
+        setValue(`${prefix}Home`, marginal[key].home);
+        setValue(`${prefix}Away`, marginal[key].away);
+    });
+    setValue('piHome', round(inputs.piHome));
+    setValue('piAway', round(inputs.piAway));
+    setValue('halfPiMode', inputs.halfPi.mode);
+    toggleHalfPiInputs(inputs.halfPi.mode);
+    if (inputs.halfPi.mode === 'manual') {
+        setValue('piHomeH1', round(inputs.halfPi.h1.home));
+        setValue('piAwayH1', round(inputs.halfPi.h1.away));
+        setValue('piHomeH2', round(inputs.halfPi.h2.home));
+        setValue('piAwayH2', round(inputs.halfPi.h2.away));
+    }
 
-    let matrix = [];
-    let totalProb = 0;
+    const { model, rho, lambda3 } = inputs.dependence;
+    setValue('dependenceModel', model);
+    toggleDependenceInputs(model);
+    if (model === 'dixonColes') setValue('dcRho', rho);
+    if (model === 'bivariate') setValue('bpLambda3', lambda3);
+
+    setValue('halfFactorHome', inputs.halfFactorHome);
+    setValue('halfFactorAway', inputs.halfFactorAway);
+    setValue('tailEpsilon', inputs.tailEpsilon);
+    setValue('marginMethod', inputs.marginMethod);
+    setValue('marginFull', inputs.marginFull);
+    setValue('marginH1', inputs.marginH1);
+    setValue('marginH2', inputs.marginH2);
+
+    // Snapshots saved before in-play pricing existed have no state
+    const inPlay = inputs.inPlay || null;
+    document.getElementById('inPlay').checked = !!inPlay;
+    toggleInPlayInputs(!!inPlay);
+    if (inPlay) {
+        setValue('inPlayMinute', inPlay.minute);
+        setValue('inPlayScoreHome', inPlay.score.home);
+        setValue('inPlayScoreAway', inPlay.score.away);
+        setValue('inPlayHtHome', inPlay.halfTime.home);
+        setValue('inPlayHtAway', inPlay.halfTime.away);
+        setValue('inPlayRedHome', inPlay.redCards.home);
+        setValue('inPlayRedAway', inPlay.redCards.away);
+    }
 
-    for (let i = 0; i <= maxGoals; i++) {
-        matrix[i] = [];
-        for (let j = 0; j <= maxGoals; j++) {
-            let jointP = distH.probs[i] * distA.probs[j];
-            matrix[i][j] = jointP;
-            totalProb += jointP;
+    const cup = inputs.cup || null;
+    const twoLeg = inputs.twoLeg || null;
+    document.getElementById('cupTie').checked = !!cup;
+    document.getElementById('twoLeg').checked = !!twoLeg;
+    toggleCupInputs(!!cup);
+    if (cup) {
+        setValue('cupEtShare', round(cup.etShare));
+        setValue('cupPenaltyHome', cup.penaltyHome);
+    }
+    if (twoLeg) {
+        const { score, lambdas, pi } = twoLeg.firstLeg;
+        setValue('firstLegMode', score ? 'score' : 'xg');
+        toggleFirstLegMode(score ? 'score' : 'xg');
+        if (score) {
+            setValue('firstLegScoreHome', score.home);
+            setValue('firstLegScoreAway', score.away);
+        } else {
+            setValue('firstLegXgHome', lambdas.home);
+            setValue('firstLegXgAway', lambdas.away);
+            setValue('firstLegPiHome', pi.home);
+            setValue('firstLegPiAway', pi.away);
         }
+        document.getElementById('awayGoalsRule').checked = twoLeg.awayGoals;
     }
-    return { matrix, tailProb: 1 - totalProb };
 }
 
 // --- Calculations ---
@@ -207,327 +570,609 @@ function calculateAndRender() {
         errorBox.classList.remove('hidden');
         return;
     }
+    // Full Time, 1st Half (per-team share) and 2nd Half (remainder) in one pass
+    let book;
+    try {
+        book = price(toPriceParams(inputs));
+    } catch (err) {
+        errorBox.textContent = err.message;
+        errorBox.classList.remove('hidden');
+        return;
+    }
     errorBox.classList.add('hidden');
     appState.inputs = inputs;
-
-    // 1. Full Time
-    appState.jointFull = computeJointDistribution(inputs.lambdaHomeFull, inputs.lambdaAwayFull, inputs.piHome, inputs.piAway, MAX_GOALS);
-
-    // 2. 1st Half (Inputs Factor)
-    // Common default 0.45
-    const factorH1 = inputs.halfFactor; 
-    appState.jointH1 = computeJointDistribution(inputs.lambdaHomeFull * factorH1, inputs.lambdaAwayFull * factorH1, inputs.piHome, inputs.piAway, MAX_GOALS);
-
-    // 3. 2nd Half (Remainder)
-    // 2nd half usually higher scoring. 1 - 0.45 = 0.55
-    const factorH2 = 1.0 - factorH1;
-    appState.jointH2 = computeJointDistribution(inputs.lambdaHomeFull * factorH2, inputs.lambdaAwayFull * factorH2, inputs.piHome, inputs.piAway, MAX_GOALS);
-
+    appState.book = book;
+    appState.jointFull = book.full;
+    appState.jointH1 = book.h1;
+    appState.jointH2 = book.h2;
+    appState.htftData = { htft: book.combinations.htft, htftGoals: book.combinations.htftGoals };
+    appState.scoresByGoals = book.combinations.scoresByGoals;
+    appState.dcGoals = book.combinations.dcGoals;
+    appState.result1X2Goals = book.combinations.result1X2Goals;
+
+    renderInPlayStatus(inputs.inPlay, book.full);
     renderAllMarkets();
+    syncUrl();
 }
 
-// --- Market Derivation ---
+// Current state and the goals still expected from it
+function renderInPlayStatus(state, full) {
+    const el = document.getElementById('inplay-status');
+    if (!state) {
+        el.textContent = '';
+        return;
+    }
+    let meanHome = 0, meanAway = 0;
+    full.matrix.forEach((row, h) => row.forEach((p, a) => { meanHome += h * p; meanAway += a * p; }));
+    const halfTime = state.minute > HALF_MINUTES ? ` (HT ${state.halfTime.home}-${state.halfTime.away})` : '';
+    el.textContent = `${state.score.home}-${state.score.away} at ${state.minute}'${halfTime}: ` +
+        `${(meanHome - state.score.home).toFixed(2)} - ${(meanAway - state.score.away).toFixed(2)} goals still expected.`;
+}
 
-function deriveMarkets(jointDist) {
-    const matrix = jointDist.matrix;
-    const size = matrix.length;
-    let m = {
-        homeWin: 0, draw: 0, awayWin: 0,
-        bttsYes: 0, bttsNo: 0,
-        winToNilHome: 0, winToNilAway: 0,
-        cleanSheetHome: 0, cleanSheetAway: 0,
-        overs: {}, exactTotals: [],
-        map: {} // Map "h-a" -> prob for quick access
+// Map validated form inputs onto the engine's price() parameters
+function toPriceParams(inputs) {
+    return {
+        lambdas: { home: inputs.lambdaHomeFull, away: inputs.lambdaAwayFull },
+        pi: { home: inputs.piHome, away: inputs.piAway },
+        marginal: inputs.marginal,
+        halfFactor: { home: inputs.halfFactorHome, away: inputs.halfFactorAway },
+        halfPi: inputs.halfPi,
+        margins: { full: inputs.marginFull, h1: inputs.marginH1, h2: inputs.marginH2 },
+        marginMethod: inputs.marginMethod,
+        dependence: inputs.dependence,
+        tailEpsilon: inputs.tailEpsilon,
+        lines: pricedLines(),
+        state: inputs.inPlay || undefined,
+        cup: inputs.cup || undefined,
+        twoLeg: inputs.twoLeg || undefined
     };
+}
 
-    let maxTotal = (size - 1) * 2;
-    for(let t=0; t<=maxTotal; t++) m.exactTotals[t] = 0;
-
-    for (let h = 0; h < size; h++) {
-        for (let a = 0; a < size; a++) {
-            const p = matrix[h][a];
-            m.map[`${h}-${a}`] = p;
+const formatProb = (p) => (p * 100).toFixed(2) + '%';
+const formatOddsVal = (o) => o > 0 ? o.toFixed(2) : '-';
 
-            if (h > a) m.homeWin += p;
-            else if (h === a) m.draw += p;
-            else m.awayWin += p;
+// --- Odds Solver (Market Odds -> Model Parameters) ---
 
-            if (h > 0 && a > 0) m.bttsYes += p;
-            if (h > 0 && a === 0) m.winToNilHome += p;
-            if (a > 0 && h === 0) m.winToNilAway += p;
-            if (a === 0) m.cleanSheetHome += p;
-            if (h === 0) m.cleanSheetAway += p;
+const SOLVER_ODDS_FIELDS = {
+    home: 'solverOddsHome', draw: 'solverOddsDraw', away: 'solverOddsAway',
+    over: 'solverOddsOver', under: 'solverOddsUnder',
+    bttsYes: 'solverOddsBttsYes', bttsNo: 'solverOddsBttsNo'
+};
 
-            const total = h + a;
-            if (total <= maxTotal) m.exactTotals[total] += p;
+function getSolverOdds() {
+    let data = { odds: {}, isValid: true, errorMsg: '' };
 
-            STANDARD_LINES.forEach(line => {
-                if (total > line) m.overs[line] = (m.overs[line] || 0) + p;
-            });
+    Object.keys(SOLVER_ODDS_FIELDS).forEach(key => {
+        const odd = parseFloat(document.getElementById(SOLVER_ODDS_FIELDS[key]).value);
+        data.odds[key] = odd;
+        if (!(odd > 1)) {
+            data.isValid = false; data.errorMsg = "All market odds must be greater than 1.00.";
         }
-    }
-    m.bttsNo = 1 - m.bttsYes;
+    });
+    return data;
+}
+
+function solveAndApply() {
+    const input = getSolverOdds();
+    const resultEl = document.getElementById('solver-result');
+    const errorBox = document.getElementById('error-box');
 
-    // Normalization for 1X2 (ignoring tail)
-    const sum1x2 = m.homeWin + m.draw + m.awayWin;
-    if (sum1x2 > 0) {
-        m.homeWin /= sum1x2; m.draw /= sum1x2; m.awayWin /= sum1x2;
+    if (!input.isValid) {
+        errorBox.textContent = input.errorMsg;
+        errorBox.classList.remove('hidden');
+        return;
     }
-    return m;
+    errorBox.classList.add('hidden');
+
+    const { targets, overrounds } = buildSolverTargets(input.odds, document.getElementById('marginMethod').value);
+    // Fit under the currently selected dependence model
+    const solution = solveFromOdds(targets, getDependenceInputs());
+    const { lambdaH, lambdaA, piH, piA } = solution.params;
+
+    // Fill the existing inputs (Mode A + ZIP) and recalculate
+    document.querySelector('input[name="inputMode"][value="xg"]').checked = true;
+    toggleInputMode('xg');
+    document.getElementById('xgHome').value = lambdaH.toFixed(3);
+    document.getElementById('xgAway').value = lambdaA.toFixed(3);
+    document.getElementById('supremacy').value = (lambdaH - lambdaA).toFixed(3);
+    document.getElementById('expectancy').value = (lambdaH + lambdaA).toFixed(3);
+    document.getElementById('marginalFamily').value = 'zip';
+    toggleMarginalInputs('zip');
+    document.getElementById('piHome').value = piH.toFixed(3);
+    document.getElementById('piAway').value = piA.toFixed(3);
+
+    renderSolverResult(solution, overrounds);
+    resultEl.classList.remove('hidden');
+    calculateAndRender();
 }
 
-// Calculate Halftime/Full Time markets
-function deriveHalfTimeFullTime(jointH1, jointH2) {
-    const matrixH1 = jointH1.matrix;
-    const matrixH2 = jointH2.matrix;
-    const size = matrixH1.length;
+function renderSolverResult(solution, overrounds) {
+    const { lambdaH, lambdaA, piH, piA } = solution.params;
+    const fmtResidual = (r) => (r >= 0 ? '+' : '') + (r * 100).toFixed(2) + '%';
 
-    // 9 possible outcomes: HT result / FT result
-    let htft = {
-        'H-H': 0, 'H-D': 0, 'H-A': 0,
-        'D-H': 0, 'D-D': 0, 'D-A': 0,
-        'A-H': 0, 'A-D': 0, 'A-A': 0
-    };
+    let html = `<div class="solver-params">
+        λH ${lambdaH.toFixed(3)} · λA ${lambdaA.toFixed(3)} · πH ${piH.toFixed(3)} · πA ${piA.toFixed(3)}
+    </div>`;
+    html += `<div class="solver-overround">Overround: ` +
+        Object.keys(overrounds).map(k => `${k} ${(overrounds[k] * 100).toFixed(2)}%`).join(' · ') +
+        `</div>`;
 
-    // Also track HT/FT with goal totals for combination markets
-    let htftGoals = {};
-    STANDARD_LINES.forEach(line => {
-        htftGoals[line] = {};
-        Object.keys(htft).forEach(key => {
-            htftGoals[line][key] = { over: 0, under: 0 };
-        });
+    html += `<table class="simple-table"><thead><tr><th>Market</th><th>Target</th><th>Model</th><th>Resid.</th></tr></thead><tbody>`;
+    solution.residuals.forEach(r => {
+        html += `<tr><td>${r.label}</td><td>${formatProb(r.target)}</td><td>${formatProb(r.model)}</td><td>${fmtResidual(r.residual)}</td></tr>`;
     });
+    html += `</tbody></table>`;
+    html += `<div class="solver-overround">RMSE: ${(solution.rmse * 100).toFixed(3)}%</div>`;
+
+    document.getElementById('solver-result').innerHTML = html;
+}
 
-    // Iterate through all combinations of HT and 2H scores
-    for (let h1_h = 0; h1_h < size; h1_h++) {
-        for (let h1_a = 0; h1_a < size; h1_a++) {
-            const pHT = matrixH1[h1_h][h1_a];
-            if (pHT === 0) continue;
+// --- Export ---
 
-            // Determine HT result
-            let htResult = h1_h > h1_a ? 'H' : h1_h === h1_a ? 'D' : 'A';
+function exportFileName(extension, suffix = 'prices') {
+    const { homeTeam, awayTeam } = appState.inputs;
+    const slug = `${homeTeam}-v-${awayTeam}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${slug || 'match'}-${suffix}.${extension}`;
+}
+
+function downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Exports the last successful calculation, i.e. what is on screen
+function exportBook(format) {
+    if (!appState.book) return;
+    const match = { homeTeam: appState.inputs.homeTeam, awayTeam: appState.inputs.awayTeam };
+    if (format === 'csv') {
+        downloadFile(exportFileName('csv'), toCSV(appState.book), 'text/csv;charset=utf-8');
+    } else {
+        downloadFile(exportFileName('json'), toJSON(appState.book, match), 'application/json');
+    }
+}
 
-            for (let h2_h = 0; h2_h < size; h2_h++) {
-                for (let h2_a = 0; h2_a < size; h2_a++) {
-                    const p2H = matrixH2[h2_h][h2_a];
-                    if (p2H === 0) continue;
+function openPriceSheet() {
+    if (!appState.book) return;
+    const html = toPriceSheetHTML(appState.book, { homeTeam: appState.inputs.homeTeam, awayTeam: appState.inputs.awayTeam });
+    const sheet = window.open('', '_blank');
+    if (!sheet) {
+        // Pop-up blocked: hand over the file instead
+        downloadFile(exportFileName('html'), html, 'text/html;charset=utf-8');
+        return;
+    }
+    sheet.document.open();
+    sheet.document.write(html);
+    sheet.document.close();
+    sheet.focus();
+    sheet.print();
+}
 
-                    // Calculate full-time score
-                    const ft_h = h1_h + h2_h;
-                    const ft_a = h1_a + h2_a;
-                    const ftTotal = ft_h + ft_a;
+// --- Permalinks ---
 
-                    // Determine FT result
-                    let ftResult = ft_h > ft_a ? 'H' : ft_h === ft_a ? 'D' : 'A';
+function setLinkStatus(message) {
+    document.getElementById('link-status').textContent = message;
+}
 
-                    // Combined probability (assuming independence)
-                    const prob = pHT * p2H;
+function activeTab() {
+    const button = document.querySelector('.tab-btn.active');
+    return button ? button.dataset.tab : 'full';
+}
 
-                    // Add to HT/FT market
-                    const key = `${htResult}-${ftResult}`;
-                    htft[key] += prob;
+// Keep the address bar on the priced state without adding history entries
+function syncUrl() {
+    if (!appState.inputs) return;
+    const hash = encodePermalink({ inputs: appState.inputs, tab: activeTab(), selections });
+    history.replaceState(null, '', `#${hash}`);
+}
 
-                    // Add to HT/FT + Goals markets
-                    STANDARD_LINES.forEach(line => {
-                        if (ftTotal > line) {
-                            htftGoals[line][key].over += prob;
-                        } else {
-                            htftGoals[line][key].under += prob;
-                        }
-                    });
-                }
-            }
-        }
+// Apply the state carried by the URL hash, if any (before calculateAndRender)
+function restoreFromUrl() {
+    let state;
+    try {
+        state = decodePermalink(window.location.hash, getInputs());
+    } catch (err) {
+        setLinkStatus(`Link not applied: ${err.message}`);
+        return;
     }
+    if (!state) return;
+    applyInputs(state.inputs);
+    selections = state.selections;
+    const tab = Array.from(document.querySelectorAll('.tab-btn')).find(b => b.dataset.tab === state.tab);
+    if (tab) tab.click();
+}
 
-    return { htft, htftGoals };
+function copyPermalink() {
+    if (!appState.inputs) return;
+    syncUrl();
+    const url = window.location.href;
+    // Clipboard access needs a secure context; otherwise let the user copy it by hand
+    if (!navigator.clipboard) {
+        window.prompt('Copy this link:', url);
+        return;
+    }
+    navigator.clipboard.writeText(url)
+        .then(() => setLinkStatus('Link copied.'))
+        .catch(() => window.prompt('Copy this link:', url));
 }
 
-// Calculate Final Score grouped by total goals
-function deriveFinalScoreByGoals(jointDist) {
-    const matrix = jointDist.matrix;
-    const size = matrix.length;
+// --- Batch Pricing ---
+
+// Sortable batch table columns; value() is what the column sorts on
+const BATCH_COLUMNS = [
+    { label: 'Match', value: r => `${r.inputs.homeTeam} v ${r.inputs.awayTeam}`, format: v => v },
+    { label: 'xG H', value: r => r.inputs.lambdaHomeFull, format: v => v.toFixed(2) },
+    { label: 'xG A', value: r => r.inputs.lambdaAwayFull, format: v => v.toFixed(2) },
+    { label: '1', value: r => r.headline && r.headline.home.odds, format: formatOddsVal },
+    { label: 'X', value: r => r.headline && r.headline.draw.odds, format: formatOddsVal },
+    { label: '2', value: r => r.headline && r.headline.away.odds, format: formatOddsVal },
+    { label: 'O 2.5', value: r => r.headline && r.headline.over25.odds, format: formatOddsVal },
+    { label: 'U 2.5', value: r => r.headline && r.headline.under25.odds, format: formatOddsVal },
+    { label: 'BTTS Y', value: r => r.headline && r.headline.bttsYes.odds, format: formatOddsVal },
+    { label: 'BTTS N', value: r => r.headline && r.headline.bttsNo.odds, format: formatOddsVal },
+    { label: 'Top CS', value: r => r.headline && r.headline.topScoreProb, format: (v, r) => `${r.headline.topScore} (${formatProb(v)})` }
+];
+
+function loadBatchFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then(text => {
+        document.getElementById('batchText').value = text;
+        runBatch(text);
+    });
+}
 
-    let scoresByGoals = {};
-    for (let t = 0; t <= (size - 1) * 2; t++) {
-        scoresByGoals[t] = [];
+// Price every fixture through the same pipeline as the single-match form
+function runBatch(text) {
+    const status = document.getElementById('batch-status');
+    let fixtures;
+    try {
+        fixtures = parseFixtures(text, getInputs());
+    } catch (e) {
+        status.textContent = e.message;
+        return;
     }
 
-    for (let h = 0; h < size; h++) {
-        for (let a = 0; a < size; a++) {
-            const p = matrix[h][a];
-            const total = h + a;
-            scoresByGoals[total].push({
-                score: `${h}-${a}`,
-                prob: p
-            });
+    const results = fixtures.map(f => {
+        let result = { line: f.line, inputs: f.inputs, headline: null, errorMsg: f.errorMsg };
+        if (!f.isValid) return result;
+        try {
+            result.headline = headlineMarkets(price(toPriceParams(f.inputs)));
+        } catch (err) {
+            result.errorMsg = err.message;
         }
-    }
+        return result;
+    });
+
+    appState.batch = { results, sortColumn: null, sortDir: 1 };
+    const failed = results.filter(r => !r.headline).length;
+    status.textContent = `Priced ${results.length - failed} of ${results.length} fixtures` +
+        (failed ? ` (${failed} with errors).` : '.');
+    renderBatchTable();
+}
 
-    // Sort each group by probability descending
-    Object.keys(scoresByGoals).forEach(t => {
-        scoresByGoals[t].sort((a, b) => b.prob - a.prob);
+function renderBatchTable() {
+    const table = document.getElementById('batch-table');
+    const { results, sortColumn, sortDir } = appState.batch;
+
+    // Rows that failed to price always sink to the bottom; the rest keep file order until sorted
+    const col = sortColumn === null ? null : BATCH_COLUMNS[sortColumn];
+    let order = results.map((r, i) => i);
+    order.sort((i, j) => {
+        const failed = !results[i].headline - !results[j].headline;
+        if (failed || !col) return failed || i - j;
+        const a = col.value(results[i]);
+        const b = col.value(results[j]);
+        if (a == null || b == null) return (a == null) - (b == null);
+        return (typeof a === 'string' ? a.localeCompare(b) : a - b) * sortDir;
     });
 
-    return scoresByGoals;
+    let html = `<thead><tr>`;
+    BATCH_COLUMNS.forEach((col, c) => {
+        const cls = c === sortColumn ? (sortDir > 0 ? 'sorted-asc' : 'sorted-desc') : '';
+        html += `<th class="${cls}" data-col="${c}">${col.label}</th>`;
+    });
+    html += `</tr></thead><tbody>`;
+    order.forEach(i => {
+        const r = results[i];
+        if (!r.headline) {
+            html += `<tr class="batch-error" data-index="${i}"><td>${escapeHtml(BATCH_COLUMNS[0].value(r))}</td>` +
+                `<td colspan="${BATCH_COLUMNS.length - 1}">Line ${r.line}: ${escapeHtml(r.errorMsg)}</td></tr>`;
+            return;
+        }
+        html += `<tr data-index="${i}">` + BATCH_COLUMNS.map(col => `<td>${escapeHtml(col.format(col.value(r), r))}</td>`).join('') + `</tr>`;
+    });
+    html += `</tbody>`;
+    table.innerHTML = html;
+
+    table.querySelectorAll('th').forEach(th => th.addEventListener('click', () => {
+        const c = parseInt(th.dataset.col);
+        appState.batch.sortDir = appState.batch.sortColumn === c ? -appState.batch.sortDir : 1;
+        appState.batch.sortColumn = c;
+        renderBatchTable();
+    }));
+    table.querySelectorAll('tbody tr').forEach(tr => tr.addEventListener('click', () => {
+        openBatchFixture(results[parseInt(tr.dataset.index)]);
+    }));
 }
 
-// Calculate Double Chance + Goals combinations
-function deriveDoubleChanceGoals(markets) {
-    let dcGoals = {};
+// Load one fixture into the form and show the full single-match view
+function openBatchFixture(result) {
+    applyInputs(result.inputs);
+    selections = { full: new Set(), h1: new Set(), h2: new Set() };
+    calculateAndRender();
+    document.querySelector('.tab-btn[data-tab="full"]').click();
+}
 
-    STANDARD_LINES.forEach(line => {
-        const pOver = markets.overs[line] || 0;
-        const pUnder = 1 - pOver;
+function exportBatch() {
+    if (!appState.batch) return;
+    downloadFile('batch-prices.csv', batchToCSV(appState.batch.results), 'text/csv;charset=utf-8');
+}
 
-        dcGoals[line] = {
-            '1X': { over: 0, under: 0 },  // Home or Draw
-            'X2': { over: 0, under: 0 },  // Draw or Away
-            '12': { over: 0, under: 0 }   // Home or Away
+// --- Scenarios (localStorage) ---
+
+// localStorage can be blocked (privacy settings, opaque origins); fall back to
+// an in-memory store so the scenario tools still work for this session
+let scenarioStorage = null;
+function getScenarioStorage() {
+    if (scenarioStorage) return scenarioStorage;
+    try {
+        scenarioStorage = window.localStorage;
+        scenarioStorage.getItem('');
+    } catch (e) {
+        const memory = new Map();
+        scenarioStorage = {
+            getItem: (key) => memory.has(key) ? memory.get(key) : null,
+            setItem: (key, value) => memory.set(key, String(value))
         };
-    });
+    }
+    return scenarioStorage;
+}
 
-    const matrix = appState.jointFull.matrix;
-    const size = matrix.length;
+function setScenarioStatus(message) {
+    document.getElementById('scenario-status').textContent = message;
+}
 
-    for (let h = 0; h < size; h++) {
-        for (let a = 0; a < size; a++) {
-            const p = matrix[h][a];
-            const total = h + a;
-            const isHome = h > a;
-            const isDraw = h === a;
-            const isAway = h < a;
+// Fill the saved-scenario and compare dropdowns, keeping current picks where possible
+function refreshScenarioLists(selectName) {
+    const names = readScenarios(getScenarioStorage()).map(s => s.name);
+    ['scenarioList', 'compareA', 'compareB'].forEach(id => {
+        const select = document.getElementById(id);
+        const previous = id === 'scenarioList' && selectName ? selectName : select.value;
+        select.replaceChildren(...names.map(n => new Option(n, n)));
+        if (names.includes(previous)) select.value = previous;
+        else if (id === 'compareB' && names.length > 1) select.value = names[names.length - 1];
+        else if (names.length) select.value = names[0];
+    });
+}
 
-            STANDARD_LINES.forEach(line => {
-                const isOver = total > line;
+function saveCurrentScenario() {
+    const inputs = getInputs();
+    const name = document.getElementById('scenarioName').value.trim() ||
+        `${inputs.homeTeam} v ${inputs.awayTeam}`;
 
-                if (isHome || isDraw) {
-                    dcGoals[line]['1X'][isOver ? 'over' : 'under'] += p;
-                }
-                if (isDraw || isAway) {
-                    dcGoals[line]['X2'][isOver ? 'over' : 'under'] += p;
-                }
-                if (isHome || isAway) {
-                    dcGoals[line]['12'][isOver ? 'over' : 'under'] += p;
-                }
-            });
-        }
+    if (!inputs.isValid) {
+        setScenarioStatus(`Not saved: ${inputs.errorMsg}`);
+        return;
     }
+    const { isValid, errorMsg, ...state } = inputs;
+    saveScenario(getScenarioStorage(), name, state, selections);
+    refreshScenarioLists(name);
+    setScenarioStatus(`Saved "${name}".`);
+}
 
-    return dcGoals;
+function loadSelectedScenario() {
+    const name = document.getElementById('scenarioList').value;
+    const scenario = name && findScenario(getScenarioStorage(), name);
+    if (!scenario) {
+        setScenarioStatus('No scenario selected.');
+        return;
+    }
+    applyInputs(scenario.inputs);
+    selections = deserializeSelections(scenario.selections);
+    document.getElementById('scenarioName').value = scenario.name;
+    calculateAndRender();
+    setScenarioStatus(`Loaded "${scenario.name}".`);
 }
 
-// Calculate 1X2 + Goals combinations
-function derive1X2Goals(markets) {
-    let result1X2Goals = {};
+function duplicateSelectedScenario() {
+    const name = document.getElementById('scenarioList').value;
+    if (!name) return setScenarioStatus('No scenario selected.');
+    const copy = duplicateScenario(getScenarioStorage(), name);
+    refreshScenarioLists(copy.name);
+    setScenarioStatus(`Duplicated as "${copy.name}".`);
+}
 
-    STANDARD_LINES.forEach(line => {
-        result1X2Goals[line] = {
-            'Home': { over: 0, under: 0 },
-            'Draw': { over: 0, under: 0 },
-            'Away': { over: 0, under: 0 }
-        };
-    });
+function deleteSelectedScenario() {
+    const name = document.getElementById('scenarioList').value;
+    if (!name) return setScenarioStatus('No scenario selected.');
+    deleteScenario(getScenarioStorage(), name);
+    refreshScenarioLists();
+    setScenarioStatus(`Deleted "${name}".`);
+}
 
-    const matrix = appState.jointFull.matrix;
-    const size = matrix.length;
+function compareSelectedScenarios() {
+    const storage = getScenarioStorage();
+    const a = findScenario(storage, document.getElementById('compareA').value);
+    const b = findScenario(storage, document.getElementById('compareB').value);
+    if (!a || !b) {
+        setScenarioStatus('Pick two saved scenarios to compare.');
+        return;
+    }
 
-    for (let h = 0; h < size; h++) {
-        for (let a = 0; a < size; a++) {
-            const p = matrix[h][a];
-            const total = h + a;
-            const isHome = h > a;
-            const isDraw = h === a;
-            const isAway = h < a;
-
-            STANDARD_LINES.forEach(line => {
-                const isOver = total > line;
-                const bucket = isOver ? 'over' : 'under';
-
-                if (isHome) result1X2Goals[line]['Home'][bucket] += p;
-                else if (isDraw) result1X2Goals[line]['Draw'][bucket] += p;
-                else result1X2Goals[line]['Away'][bucket] += p;
-            });
-        }
+    try {
+        const bookA = price(toPriceParams(a.inputs));
+        const bookB = price(toPriceParams(b.inputs));
+        appState.comparison = { a, b, rows: compareBooks(bookA, bookB) };
+    } catch (e) {
+        setScenarioStatus(`Cannot compare: ${e.message}`);
+        return;
     }
 
-    return result1X2Goals;
+    renderScenarioComparison();
+    document.querySelector('.tab-btn[data-tab="compare"]').click();
 }
 
-function applyMargin(probs, marginPct) {
-    const marginDecimal = marginPct / 100;
-    const targetSum = 1 + marginDecimal;
-    const currentSum = probs.reduce((a, b) => a + b, 0);
-    return probs.map(p => (currentSum === 0 ? 0 : (p / currentSum) * targetSum));
-}
+// Inputs side by side, then per-selection probability deltas (B - A)
+function renderScenarioComparison() {
+    const container = document.getElementById('scenario-compare');
+    const { a, b, rows } = appState.comparison;
+    const period = document.getElementById('comparePeriod') ? document.getElementById('comparePeriod').value : 'full';
+    const changedOnly = document.getElementById('compareChangedOnly') ? document.getElementById('compareChangedOnly').checked : true;
+    const fmtDiff = (d) => (d >= 0 ? '+' : '') + (d * 100).toFixed(2) + '%';
+
+    const inputRows = [
+        ['Match', s => `${s.inputs.homeTeam} v ${s.inputs.awayTeam}`],
+        ['xG (H / A)', s => `${s.inputs.lambdaHomeFull.toFixed(2)} / ${s.inputs.lambdaAwayFull.toFixed(2)}`],
+        ['Distribution', s => FAMILY_LABELS[s.inputs.marginal.family]],
+        ['π (H / A)', s => `${s.inputs.piHome.toFixed(3)} / ${s.inputs.piAway.toFixed(3)}`],
+        ['1st Half Share (H / A)', s => `${s.inputs.halfFactorHome} / ${s.inputs.halfFactorAway}`],
+        ['Dependence', s => s.inputs.dependence.model],
+        ['Cup Tie', s => s.inputs.cup ? `ET share ${+s.inputs.cup.etShare.toFixed(3)}, home pens ${s.inputs.cup.penaltyHome}` : 'No'],
+        ['First Leg', s => firstLegLabel(s.inputs.twoLeg)],
+        ['State', s => s.inputs.inPlay ? `${s.inputs.inPlay.score.home}-${s.inputs.inPlay.score.away} at ${s.inputs.inPlay.minute}'` : 'Pre-match'],
+        ['Margins (FT / H1 / H2)', s => `${s.inputs.marginFull} / ${s.inputs.marginH1} / ${s.inputs.marginH2} (${s.inputs.marginMethod})`]
+    ];
+
+    let html = `<table class="simple-table"><thead><tr><th>Input</th><th>A: ${escapeHtml(a.name)}</th><th>B: ${escapeHtml(b.name)}</th></tr></thead><tbody>`;
+    inputRows.forEach(([label, fn]) => {
+        html += `<tr><td>${label}</td><td>${escapeHtml(fn(a))}</td><td>${escapeHtml(fn(b))}</td></tr>`;
+    });
+    html += `</tbody></table>`;
+
+    html += `<div class="compare-controls">
+        <select id="comparePeriod">
+            <option value="full">Full Time</option>
+            <option value="h1">1st Half</option>
+            <option value="h2">2nd Half</option>
+        </select>
+        <label><input type="checkbox" id="compareChangedOnly"> Changed only (|Δ| ≥ 0.01%)</label>
+    </div>`;
+
+    const visible = rows.filter(r => r.period === period && (!changedOnly || Math.abs(r.diff) >= 0.0001));
+    html += `<div class="compare-scroll"><table class="simple-table"><thead><tr><th>Market</th><th>Selection</th><th>A</th><th>B</th><th>Δ (B − A)</th></tr></thead><tbody>`;
+    visible.forEach(r => {
+        const cls = r.diff > 0 ? 'delta-up' : (r.diff < 0 ? 'delta-down' : '');
+        html += `<tr><td>${r.market}</td><td>${r.selection}</td><td>${formatProb(r.a)}</td><td>${formatProb(r.b)}</td><td class="${cls}">${fmtDiff(r.diff)}</td></tr>`;
+    });
+    if (!visible.length) html += `<tr><td colspan="5">No differences.</td></tr>`;
+    html += `</tbody></table></div>`;
 
-const getOdds = (prob) => (prob <= 0.0001 ? 0 : 1 / prob);
-const formatProb = (p) => (p * 100).toFixed(2) + '%';
-const formatOddsVal = (o) => o > 0 ? o.toFixed(2) : '-';
+    container.innerHTML = html;
+    document.getElementById('comparePeriod').value = period;
+    document.getElementById('compareChangedOnly').checked = changedOnly;
+    document.getElementById('comparePeriod').addEventListener('change', renderScenarioComparison);
+    document.getElementById('compareChangedOnly').addEventListener('change', renderScenarioComparison);
+}
 
 // --- Rendering ---
 
 function renderAllMarkets() {
     const { marginFull, marginH1, marginH2 } = appState.inputs;
+    valueRegistry = {};
 
     // Full Time
-    const marketsFull = deriveMarkets(appState.jointFull);
+    const marketsFull = appState.jointFull.markets;
     renderListMarkets(marketsFull, 'summary', marginFull, true);
     renderListMarkets(marketsFull, 'tab-full', marginFull, true);
-    renderGrid('cs-grid-full', appState.jointFull, 'full', 'warning-full');
-    updateSelectionPanel('full', marketsFull.map, marginFull);
-
-    // Calculate new combination markets
-    appState.htftData = deriveHalfTimeFullTime(appState.jointH1, appState.jointH2);
-    appState.scoresByGoals = deriveFinalScoreByGoals(appState.jointFull);
-    appState.dcGoals = deriveDoubleChanceGoals(marketsFull);
-    appState.result1X2Goals = derive1X2Goals(marketsFull);
+    renderAsianMarkets(marketsFull, 'full', marginFull);
+    const gridFull = renderGrid('cs-grid-full', appState.jointFull, 'full', 'warning-full');
+    updateSelectionPanel('full', gridFull.map, marginFull);
 
     // H1
-    const marketsH1 = deriveMarkets(appState.jointH1);
+    const marketsH1 = appState.jointH1.markets;
     renderListMarkets(marketsH1, 'tab-h1', marginH1, false);
-    renderGrid('cs-grid-h1', appState.jointH1, 'h1', 'warning-h1');
-    updateSelectionPanel('h1', marketsH1.map, marginH1);
+    renderAsianMarkets(marketsH1, 'h1', marginH1);
+    const gridH1 = renderGrid('cs-grid-h1', appState.jointH1, 'h1', 'warning-h1');
+    updateSelectionPanel('h1', gridH1.map, marginH1);
 
     // H2
-    const marketsH2 = deriveMarkets(appState.jointH2);
+    const marketsH2 = appState.jointH2.markets;
     renderListMarkets(marketsH2, 'tab-h2', marginH2, false);
-    renderGrid('cs-grid-h2', appState.jointH2, 'h2', 'warning-h2');
-    updateSelectionPanel('h2', marketsH2.map, marginH2);
+    renderAsianMarkets(marketsH2, 'h2', marginH2);
+    const gridH2 = renderGrid('cs-grid-h2', appState.jointH2, 'h2', 'warning-h2');
+    updateSelectionPanel('h2', gridH2.map, marginH2);
+    renderBetBuilder();
+
+    renderHalfConsistency(appState.book);
+    renderLinePickers();
+    renderValuePanel();
+}
+
+// FT grid vs. convolution of the H1 and H2 grids
+function renderHalfConsistency(book) {
+    const c = book.consistency;
+    const { h1, h2 } = book.inputs.halfPi;
+    const fmtDiff = (d) => (d >= 0 ? '+' : '') + (d * 100).toFixed(3) + '%';
+    const rows = [
+        ['Home P(0)', c.pZeroHome, formatProb],
+        ['Away P(0)', c.pZeroAway, formatProb],
+        ['Home Goals', c.meanHome, v => v.toFixed(3)],
+        ['Away Goals', c.meanAway, v => v.toFixed(3)],
+        ['Home Win', c.homeWin, formatProb],
+        ['Draw', c.draw, formatProb],
+        ['Away Win', c.awayWin, formatProb]
+    ];
+
+    let html = `<div>Half π: H1 ${h1.home.toFixed(3)} / ${h1.away.toFixed(3)} · H2 ${h2.home.toFixed(3)} / ${h2.away.toFixed(3)}</div>`;
+    html += `<table class="simple-table"><thead><tr><th>FT vs H1⊗H2</th><th>FT</th><th>Halves</th><th>Diff</th></tr></thead><tbody>`;
+    rows.forEach(([label, r, fmt]) => {
+        const diff = label.includes('Goals') ? (r.diff >= 0 ? '+' : '') + r.diff.toFixed(3) : fmtDiff(r.diff);
+        html += `<tr><td>${label}</td><td>${fmt(r.ft)}</td><td>${fmt(r.convolved)}</td><td>${diff}</td></tr>`;
+    });
+    html += `</tbody></table>`;
+    html += `<div>Grid total variation: ${(c.totalVariation * 100).toFixed(3)}%</div>`;
+
+    document.getElementById('half-consistency').innerHTML = html;
 }
 
 function renderListMarkets(markets, context, margin, isFullTime) {
-    const row = (lbl, p, ap) => `
-        <div class="market-item">
-            <span>${lbl}</span>
+    const method = appState.inputs.marginMethod;
+    const period = context === 'summary' ? 'full' : context.split('-')[1];
+    // market/selection name the book entry, e.g. ('1X2', 'Home'), for the value finder
+    const row = (lbl, p, ap, market, selection) => {
+        const key = `${period}|${market}|${selection}`;
+        return `
+        <div class="market-item ${valueClass(key)}">
+            <span>${escapeHtml(lbl)}</span>
             <div class="market-vals">
                 <span class="prob-val">${formatProb(p)}</span>
                 <span class="odds-val">${formatOddsVal(getOdds(ap))}</span>
+                ${offerCell(key, p, lbl)}
             </div>
         </div>`;
+    };
 
     // 1X2
     const p1x2 = [markets.homeWin, markets.draw, markets.awayWin];
-    const a1x2 = applyMargin(p1x2, margin);
+    const a1x2 = applyMargin(p1x2, margin, method);
 
     if (context.includes('summary')) {
         const el = document.getElementById('summary-1x2');
-        if(el) el.innerHTML = row(appState.inputs.homeTeam, p1x2[0], a1x2[0]) +
-                              row('Draw', p1x2[1], a1x2[1]) +
-                              row(appState.inputs.awayTeam, p1x2[2], a1x2[2]);
+        if(el) el.innerHTML = row(appState.inputs.homeTeam, p1x2[0], a1x2[0], '1X2', 'Home') +
+                              row('Draw', p1x2[1], a1x2[1], '1X2', 'Draw') +
+                              row(appState.inputs.awayTeam, p1x2[2], a1x2[2], '1X2', 'Away');
 
         // Summary OU
         const pO = markets.overs[2.5] || 0;
-        const aOU = applyMargin([pO, 1-pO], margin);
-        document.getElementById('summary-ou').innerHTML = row('Over 2.5', pO, aOU[0]) + row('Under 2.5', 1-pO, aOU[1]);
+        const aOU = applyMargin([pO, 1-pO], margin, method);
+        document.getElementById('summary-ou').innerHTML = row('Over 2.5', pO, aOU[0], 'Over/Under 2.5', 'Over') +
+            row('Under 2.5', 1-pO, aOU[1], 'Over/Under 2.5', 'Under');
 
         // Summary BTTS
         const pB = [markets.bttsYes, markets.bttsNo];
-        const aB = applyMargin(pB, margin);
-        document.getElementById('summary-btts').innerHTML = row('Yes', pB[0], aB[0]) + row('No', pB[1], aB[1]);
+        const aB = applyMargin(pB, margin, method);
+        document.getElementById('summary-btts').innerHTML = row('Yes', pB[0], aB[0], 'BTTS', 'Yes') + row('No', pB[1], aB[1], 'BTTS', 'No');
         return;
     }
 
+    renderTeamMarkets(period, row);
+
     if (isFullTime) {
         // For Full Time, render into card-based layout
         renderFullTimeMarketsToCards(markets, margin, row);
@@ -542,22 +1187,22 @@ function renderListMarkets(markets, context, margin, isFullTime) {
     let html = '';
 
     // 1X2 Section
-    html += row('Home Win', p1x2[0], a1x2[0]);
-    html += row('Draw', p1x2[1], a1x2[1]);
-    html += row('Away Win', p1x2[2], a1x2[2]);
+    html += row('Home Win', p1x2[0], a1x2[0], '1X2', 'Home');
+    html += row('Draw', p1x2[1], a1x2[1], '1X2', 'Draw');
+    html += row('Away Win', p1x2[2], a1x2[2], '1X2', 'Away');
 
     // BTTS
     const pB = [markets.bttsYes, markets.bttsNo];
-    const aB = applyMargin(pB, margin);
-    html += row('BTTS Yes', pB[0], aB[0]);
-    html += row('BTTS No', pB[1], aB[1]);
+    const aB = applyMargin(pB, margin, method);
+    html += row('BTTS Yes', pB[0], aB[0], 'BTTS', 'Yes');
+    html += row('BTTS No', pB[1], aB[1], 'BTTS', 'No');
 
     // Goals
-    STANDARD_LINES.forEach(line => {
-        const pO = markets.overs[line] || 0;
-        const aO = applyMargin([pO, 1-pO], margin);
-        html += row(`Over ${line}`, pO, aO[0]);
-        html += row(`Under ${line}`, 1-pO, aO[1]);
+    lineSelections[period].goals.forEach(line => {
+        const pO = markets.overs[line];
+        const aO = applyMargin([pO, 1-pO], margin, method);
+        html += row(`Over ${line}`, pO, aO[0], `Over/Under ${line}`, 'Over');
+        html += row(`Under ${line}`, 1-pO, aO[1], `Over/Under ${line}`, 'Under');
     });
 
     container.innerHTML = html;
@@ -565,28 +1210,29 @@ function renderListMarkets(markets, context, margin, isFullTime) {
 
 // Render Full Time markets into card-based layout
 function renderFullTimeMarketsToCards(markets, margin, row) {
+    const method = appState.inputs.marginMethod;
     const p1x2 = [markets.homeWin, markets.draw, markets.awayWin];
-    const a1x2 = applyMargin(p1x2, margin);
+    const a1x2 = applyMargin(p1x2, margin, method);
     const pB = [markets.bttsYes, markets.bttsNo];
-    const aB = applyMargin(pB, margin);
+    const aB = applyMargin(pB, margin, method);
 
     // Basic Markets Card
     let basicHtml = '';
-    basicHtml += row('Home Win', p1x2[0], a1x2[0]);
-    basicHtml += row('Draw', p1x2[1], a1x2[1]);
-    basicHtml += row('Away Win', p1x2[2], a1x2[2]);
-    basicHtml += row('BTTS Yes', pB[0], aB[0]);
-    basicHtml += row('BTTS No', pB[1], aB[1]);
+    basicHtml += row('Home Win', p1x2[0], a1x2[0], '1X2', 'Home');
+    basicHtml += row('Draw', p1x2[1], a1x2[1], '1X2', 'Draw');
+    basicHtml += row('Away Win', p1x2[2], a1x2[2], '1X2', 'Away');
+    basicHtml += row('BTTS Yes', pB[0], aB[0], 'BTTS', 'Yes');
+    basicHtml += row('BTTS No', pB[1], aB[1], 'BTTS', 'No');
 
     const pWTN = [markets.winToNilHome, 1-markets.winToNilHome];
-    const aWTN = applyMargin(pWTN, margin);
-    basicHtml += row('Win to Nil (Home)', pWTN[0], aWTN[0]);
-
-    STANDARD_LINES.forEach(line => {
-        const pO = markets.overs[line] || 0;
-        const aO = applyMargin([pO, 1-pO], margin);
-        basicHtml += row(`Over ${line}`, pO, aO[0]);
-        basicHtml += row(`Under ${line}`, 1-pO, aO[1]);
+    const aWTN = applyMargin(pWTN, margin, method);
+    basicHtml += row('Win to Nil (Home)', pWTN[0], aWTN[0], 'Win to Nil (Home)', 'Yes');
+
+    lineSelections.full.goals.forEach(line => {
+        const pO = markets.overs[line];
+        const aO = applyMargin([pO, 1-pO], margin, method);
+        basicHtml += row(`Over ${line}`, pO, aO[0], `Over/Under ${line}`, 'Over');
+        basicHtml += row(`Under ${line}`, 1-pO, aO[1], `Over/Under ${line}`, 'Under');
     });
     document.getElementById('basic-markets-full').innerHTML = basicHtml;
 
@@ -600,25 +1246,28 @@ function renderFullTimeMarketsToCards(markets, margin, row) {
             'A-H': 'Away/Home', 'A-D': 'Away/Draw', 'A-A': 'Away/Away'
         };
         const htftProbs = htftOrder.map(k => appState.htftData.htft[k]);
-        const htftAdjusted = applyMargin(htftProbs, margin);
+        const htftAdjusted = applyMargin(htftProbs, margin, method);
         htftOrder.forEach((k, i) => {
-            htftHtml += row(htftLabels[k], htftProbs[i], htftAdjusted[i]);
+            htftHtml += row(htftLabels[k], htftProbs[i], htftAdjusted[i], 'HT/FT', htftLabels[k]);
         });
         document.getElementById('htft-markets-full').innerHTML = htftHtml;
     }
 
+    renderHalfCombinationCards(row);
+    renderCupCards(row);
+
     // Double Chance + Goals Card
     if (appState.dcGoals) {
         let dcHtml = '';
         const dcLabels = { '1X': 'Home or Draw', 'X2': 'Draw or Away', '12': 'Home or Away' };
-        [2.5].forEach(line => {
+        lineSelections.full.dcGoals.forEach(line => {
             const dcData = appState.dcGoals[line];
+            // Double chance outcomes overlap, so each combination is priced as yes/no
             ['1X', 'X2', '12'].forEach(dc => {
                 const pOver = dcData[dc].over;
                 const pUnder = dcData[dc].under;
-                const adjusted = applyMargin([pOver, pUnder], margin);
-                dcHtml += row(`${dcLabels[dc]} & Over ${line}`, pOver, adjusted[0]);
-                dcHtml += row(`${dcLabels[dc]} & Under ${line}`, pUnder, adjusted[1]);
+                dcHtml += row(`${dcLabels[dc]} & Over ${line}`, pOver, applyMargin([pOver, 1 - pOver], margin, method)[0], `${dcLabels[dc]} & Over ${line}`, 'Yes');
+                dcHtml += row(`${dcLabels[dc]} & Under ${line}`, pUnder, applyMargin([pUnder, 1 - pUnder], margin, method)[0], `${dcLabels[dc]} & Under ${line}`, 'Yes');
             });
         });
         document.getElementById('dc-goals-full').innerHTML = dcHtml;
@@ -627,14 +1276,15 @@ function renderFullTimeMarketsToCards(markets, margin, row) {
     // 1X2 + Goals Card
     if (appState.result1X2Goals) {
         let resultGoalsHtml = '';
-        [2.5].forEach(line => {
+        lineSelections.full.resultGoals.forEach(line => {
             const data = appState.result1X2Goals[line];
-            ['Home', 'Draw', 'Away'].forEach(result => {
-                const pOver = data[result].over;
-                const pUnder = data[result].under;
-                const adjusted = applyMargin([pOver, pUnder], margin);
-                resultGoalsHtml += row(`${result} & Over ${line}`, pOver, adjusted[0]);
-                resultGoalsHtml += row(`${result} & Under ${line}`, pUnder, adjusted[1]);
+            // The six result/goals outcomes partition the grid: one market
+            const results = ['Home', 'Draw', 'Away'];
+            const probs = results.flatMap(result => [data[result].over, data[result].under]);
+            const adjusted = applyMargin(probs, margin, method);
+            results.forEach((result, i) => {
+                resultGoalsHtml += row(`${result} & Over ${line}`, probs[2 * i], adjusted[2 * i], `Result & O/U ${line}`, `${result} & Over`);
+                resultGoalsHtml += row(`${result} & Under ${line}`, probs[2 * i + 1], adjusted[2 * i + 1], `Result & O/U ${line}`, `${result} & Under`);
             });
         });
         document.getElementById('result-goals-full').innerHTML = resultGoalsHtml;
@@ -642,12 +1292,20 @@ function renderFullTimeMarketsToCards(markets, margin, row) {
 
     // Exact Goals Table
     const goalsTable = document.getElementById('goals-full');
-    let gHtml = `<thead><tr><th>Total</th><th>Prob</th><th>Odds</th></tr></thead><tbody>`;
-    for(let t=0; t<=MAX_GOALS; t++) {
-        const p = markets.exactTotals[t];
-        const odd = getOdds(p * (1 + margin/100));
-        gHtml += `<tr><td>${t}</td><td>${formatProb(p)}</td><td>${formatOddsVal(odd)}</td></tr>`;
-    }
+    let gHtml = `<thead><tr><th>Total</th><th>Prob</th><th>Odds</th><th class="offer-col">Offered</th></tr></thead><tbody>`;
+    // Totals at or above the display cap are merged into one "cap+" bucket,
+    // after margining the full list as the book does
+    const cap = getGridDisplayCap(markets.exactTotals.length - 1);
+    const bucket = (list) => list.length > cap ? [...list.slice(0, cap), sumOf(list.slice(cap))] : list.slice(0, cap);
+    const totals = bucket(markets.exactTotals);
+    const adjustedTotals = bucket(applyMargin(markets.exactTotals, margin, method));
+    totals.forEach((p, t) => {
+        const label = t === cap ? `${t}+` : t;
+        const odd = getOdds(adjustedTotals[t]);
+        const key = `full|Exact Total Goals|${label}`;
+        gHtml += `<tr class="${valueClass(key)}"><td>${label}</td><td>${formatProb(p)}</td><td>${formatOddsVal(odd)}</td>` +
+            `<td class="offer-col">${offerCell(key, p, `${label} Goals`)}</td></tr>`;
+    });
     goalsTable.innerHTML = gHtml + `</tbody>`;
 
     // Render Scores by Goals breakdown
@@ -656,13 +1314,287 @@ function renderFullTimeMarketsToCards(markets, margin, row) {
     }
 }
 
+// Row renderer reading a priced selection from the book. Margined odds are
+// carried in the book; row() wants the margined probability.
+function bookRowFor(period, row) {
+    const book = appState.book[period].book;
+    return (lbl, market, selection) => {
+        const s = book[market][selection];
+        return row(lbl, s.prob, s.odds > 0 ? 1 / s.odds : 0, market, selection);
+    };
+}
+
+// Team totals, exact team goals, goal ranges and winning margin from the priced book
+function renderTeamMarkets(period, row) {
+    const book = appState.book[period].book;
+    const { homeTeam, awayTeam } = appState.inputs;
+    const bookRow = bookRowFor(period, row);
+    const fill = (id, html) => {
+        const el = document.getElementById(`${id}-${period}`);
+        if (el) el.innerHTML = html;
+    };
+
+    let teamHtml = '';
+    [['Home', homeTeam], ['Away', awayTeam]].forEach(([side, name]) => {
+        lineSelections[period].team.forEach(line => {
+            teamHtml += bookRow(`${name} Over ${line}`, `${side} Over/Under ${line}`, 'Over');
+            teamHtml += bookRow(`${name} Under ${line}`, `${side} Over/Under ${line}`, 'Under');
+        });
+    });
+    fill('team-goals', teamHtml);
+
+    let exactHtml = '';
+    [['Home', homeTeam], ['Away', awayTeam]].forEach(([side, name]) => {
+        Object.keys(book[`${side} Exact Goals`]).forEach(goals => {
+            exactHtml += bookRow(`${name} ${goals}`, `${side} Exact Goals`, goals);
+        });
+    });
+    fill('team-exact', exactHtml);
+
+    let rangesHtml = bookRow('Odd', 'Odd/Even', 'Odd') + bookRow('Even', 'Odd/Even', 'Even');
+    MULTI_GOAL_RANGES.forEach(([lo, hi]) => {
+        rangesHtml += bookRow(`${lo}-${hi} Goals`, `Multi Goals ${lo}-${hi}`, 'Yes');
+    });
+    fill('goal-ranges', rangesHtml);
+
+    let marginHtml = '';
+    Object.keys(book['Winning Margin']).forEach(selection => {
+        const lbl = selection.replace(/^Home/, homeTeam).replace(/^Away/, awayTeam);
+        marginHtml += bookRow(lbl, 'Winning Margin', selection);
+    });
+    marginHtml += bookRow(`${homeTeam} to Nil`, 'Win to Nil (Home)', 'Yes');
+    marginHtml += bookRow(`${awayTeam} to Nil`, 'Win to Nil (Away)', 'Yes');
+    fill('winning-margin', marginHtml);
+}
+
+// --- Line Pickers ---
+
+// Engine line family behind each picker family
+const LINE_FAMILIES = { goals: 'goals', dcGoals: 'goals', resultGoals: 'goals', htftGoals: 'goals', team: 'team' };
+const MAX_LINE_CHOICE = { goals: 10.5, team: 6.5 };
+
+// Every line any card shows, per engine family, so the book prices them all
+function pricedLines() {
+    let lines = { goals: new Set(STANDARD_LINES), team: new Set(TEAM_LINES) };
+    Object.values(lineSelections).forEach(families => Object.keys(families).forEach(family => {
+        families[family].forEach(line => lines[LINE_FAMILIES[family]].add(line));
+    }));
+    return { goals: [...lines.goals], team: [...lines.team] };
+}
+
+// Half-goal lines up to the most goals the period grid holds (totals: both teams)
+function lineChoices(period, family) {
+    const size = appState.book ? appState.book[period].matrix.length : 8;
+    const gridMax = LINE_FAMILIES[family] === 'team' ? size - 1 : 2 * (size - 1);
+    const top = Math.min(gridMax - 0.5, MAX_LINE_CHOICE[LINE_FAMILIES[family]]);
+    let choices = [];
+    for (let line = 0.5; line <= top; line++) choices.push(line);
+    return choices;
+}
+
+function renderLinePickers() {
+    document.querySelectorAll('.line-picker').forEach(picker => {
+        const { period, family } = picker.dataset;
+        const selected = lineSelections[period][family];
+        picker.querySelector('.line-chips').innerHTML = lineChoices(period, family).map(line => `
+            <label class="line-chip"><input type="checkbox" class="line-choice" value="${line}"
+                data-period="${period}" data-family="${family}" ${selected.includes(line) ? 'checked' : ''}> ${line}</label>`).join('');
+    });
+}
+
+function onLinePick(input) {
+    const { period, family } = input.dataset;
+    const line = parseFloat(input.value);
+    const current = lineSelections[period][family].filter(l => l !== line);
+    lineSelections[period][family] = input.checked ? [...current, line].sort((a, b) => a - b) : current;
+    calculateAndRender();
+}
+
+// HT/FT & O/U and half-by-half cards (H1 x H2 convolution, full time margin)
+function renderHalfCombinationCards(row) {
+    const bookRow = bookRowFor('full', row);
+    const { homeTeam, awayTeam } = appState.inputs;
+    const htftLabels = ['Home/Home', 'Home/Draw', 'Home/Away', 'Draw/Home', 'Draw/Draw', 'Draw/Away', 'Away/Home', 'Away/Draw', 'Away/Away'];
+
+    let htftGoalsHtml = '';
+    lineSelections.full.htftGoals.forEach(line => {
+        htftLabels.forEach(label => {
+            htftGoalsHtml += bookRow(`${label} & Over ${line}`, `HT/FT & O/U ${line}`, `${label} & Over`);
+            htftGoalsHtml += bookRow(`${label} & Under ${line}`, `HT/FT & O/U ${line}`, `${label} & Under`);
+        });
+    });
+    document.getElementById('htft-goals-full').innerHTML = htftGoalsHtml;
+
+    let halvesHtml = '';
+    ['1st Half', '2nd Half', 'Tie'].forEach(half => {
+        halvesHtml += bookRow(`Highest Scoring: ${half}`, 'Highest Scoring Half', half);
+    });
+    [['Home', homeTeam], ['Away', awayTeam]].forEach(([side, name]) => {
+        halvesHtml += bookRow(`${name} Win Both Halves`, `${side} Win Both Halves`, 'Yes');
+        halvesHtml += bookRow(`${name} Win Either Half`, `${side} Win Either Half`, 'Yes');
+        halvesHtml += bookRow(`${name} Score Both Halves`, `${side} Score Both Halves`, 'Yes');
+    });
+    halvesHtml += bookRow('Both Halves Over 0.5', 'Both Halves Over 0.5', 'Yes');
+    document.getElementById('half-markets-full').innerHTML = halvesHtml;
+
+    renderHtftScoreGrid();
+}
+
+// Knockout markets; the cards stay hidden for a league match
+function renderCupCards(row) {
+    const cup = appState.book.cup;
+    const twoLeg = !!appState.book.inputs.twoLeg;
+    document.querySelectorAll('.cup-card').forEach(card => card.classList.toggle('hidden', !cup));
+    document.querySelectorAll('.twoleg-card').forEach(card => card.classList.toggle('hidden', !twoLeg));
+    if (!cup) return;
+    const book = appState.book.full.book;
+    const bookRow = bookRowFor('full', row);
+    const { homeTeam, awayTeam } = appState.inputs;
+
+    let html = '';
+    [['Home', homeTeam], ['Away', awayTeam]].forEach(([side, name]) => {
+        html += bookRow(`${name} to Qualify`, 'To Qualify', side);
+    });
+    // "90 Minutes" is over both legs in a two-legged tie
+    [['Home', homeTeam], ['Away', awayTeam]].forEach(([side, name]) => {
+        ['90 Minutes', 'Away Goals', 'Extra Time', 'Penalties'].forEach(method => {
+            const selection = `${side} ${method}`;
+            if (!book['Method of Victory'][selection]) return;
+            html += bookRow(`${name} ${method === 'Away Goals' ? 'on' : 'in'} ${method}`, 'Method of Victory', selection);
+        });
+    });
+    html += bookRow('Extra Time: Yes', 'Extra Time', 'Yes');
+    html += bookRow('Penalty Shootout: Yes', 'Penalty Shootout', 'Yes');
+    document.getElementById('cup-markets-full').innerHTML = html;
+
+    const market = twoLeg ? 'Aggregate Score' : 'Score After Extra Time';
+    document.getElementById('cup-scores-title').textContent = market;
+    document.getElementById('cup-scores-full').innerHTML = Object.keys(book[market])
+        .map(score => bookRow(score.replace(/^(\d+)-(\d+)$/, '$1:$2'), market, score))
+        .join('');
+
+    if (twoLeg) renderRequiredResults(cup.markets.requiredResults);
+}
+
+// Who goes through for each leg 2 score: a letter after a played first leg,
+// otherwise the home side's chance of qualifying in 180 minutes
+function renderRequiredResults(requiredResults) {
+    const { homeTeam, awayTeam } = appState.inputs;
+    const keys = Object.keys(requiredResults);
+    const size = Math.max(...keys.map(k => +k.split('-')[0])) + 1;
+    const decided = keys.every(k => [0, 1].includes(requiredResults[k].home) && [0, 1].includes(requiredResults[k].away));
+
+    let html = `<thead><tr><th>${escapeHtml(homeTeam)} \\ ${escapeHtml(awayTeam)}</th>`;
+    for (let a = 0; a < size; a++) html += `<th>${a}</th>`;
+    html += '</tr></thead><tbody>';
+    for (let h = 0; h < size; h++) {
+        html += `<tr><th>${h}</th>`;
+        for (let a = 0; a < size; a++) {
+            const r = requiredResults[`${h}-${a}`];
+            if (!r) {
+                html += '<td></td>';
+                continue;
+            }
+            const leader = r.home >= r.away && r.home >= r.extraTime ? 'home' : (r.away >= r.extraTime ? 'away' : 'et');
+            const text = decided ? { home: 'H', away: 'A', et: 'ET' }[leader] : formatProb(r.home);
+            const title = `${escapeHtml(homeTeam)} ${formatProb(r.home)}, ${escapeHtml(awayTeam)} ${formatProb(r.away)}, extra time ${formatProb(r.extraTime)}`;
+            html += `<td class="req-${leader}" title="${title}">${text}<span class="cell-odds">${formatProb(r.prob)}</span></td>`;
+        }
+        html += '</tr>';
+    }
+    document.getElementById('required-results').innerHTML = html + '</tbody>';
+    document.getElementById('required-legend').textContent = decided
+        ? `Leg 2 score (${homeTeam} goals down, ${awayTeam} across): H = ${homeTeam} through, A = ${awayTeam} through, ET = extra time; small figure = chance of that score.`
+        : `Leg 2 score (${homeTeam} goals down, ${awayTeam} across): ${homeTeam}'s chance of going through in 180 minutes given it (hover for the split); small figure = chance of that score.`;
+}
+
+function firstLegLabel(twoLeg) {
+    if (!twoLeg) return 'No';
+    const { score, lambdas } = twoLeg.firstLeg;
+    const leg = score ? `${score.home}-${score.away}` : `xG ${lambdas.home} / ${lambdas.away}`;
+    return twoLeg.awayGoals ? `${leg}, away goals` : leg;
+}
+
+// FT correct score grid given the chosen half-time score
+function renderHtftScoreGrid() {
+    const market = appState.book.full.book['HT/FT Correct Score'];
+    const htScores = Object.keys(appState.book.combinations.halves.htftScores);
+    const select = document.getElementById('htftScoreHt');
+    const previous = select.value;
+    select.replaceChildren(...htScores.map(k => new Option(k, k)));
+    select.value = htScores.includes(previous) ? previous : htScores[0];
+    const ht = select.value;
+    if (!ht) return;
+
+    const [htHome, htAway] = ht.split('-').map(Number);
+    const pHt = appState.jointH1.markets.map[ht] || 0;
+    const other = market['Any Other'];
+    document.getElementById('htft-score-info').textContent =
+        `P(HT ${ht}) ${formatProb(pHt)} · Any Other ${formatProb(other.prob)} @ ${formatOddsVal(other.odds)}`;
+
+    let html = `<thead><tr><th>FT H \\ A</th>`;
+    for (let a = 0; a <= HTFT_SCORE_CAPS.ft; a++) html += `<th>${a}</th>`;
+    html += `</tr></thead><tbody>`;
+    for (let h = 0; h <= HTFT_SCORE_CAPS.ft; h++) {
+        html += `<tr><th>${h}</th>`;
+        for (let a = 0; a <= HTFT_SCORE_CAPS.ft; a++) {
+            const selection = `${ht} / ${h}-${a}`;
+            const s = market[selection];
+            if (h < htHome || a < htAway || !s) {
+                html += `<td class="impossible"></td>`;
+                continue;
+            }
+            const key = `full|HT/FT Correct Score|${selection}`;
+            html += `<td class="${valueClass(key)}">${formatProb(s.prob)}<span class="cell-odds">${formatOddsVal(s.odds)}</span>` +
+                `${offerCell(key, s.prob, `HT/FT ${selection}`)}</td>`;
+        }
+        html += `</tr>`;
+    }
+    document.getElementById('htft-score-grid').innerHTML = html + `</tbody>`;
+}
+
+const formatHandicap = (line) => (line > 0 ? '+' : '') + line;
+
+// Render Asian Handicap and Asian Totals cards for a period
+function renderAsianMarkets(markets, period, margin) {
+    const method = appState.inputs.marginMethod;
+    const table = (market, labelA, labelB, lineLabel) => {
+        const fair = market.fairLine;
+        let html = `<div class="asian-fair">Fair line: ${lineLabel(fair.line)}</div>`;
+        html += `<div class="asian-scroll"><table class="simple-table asian-table">
+            <thead><tr><th>Line</th><th>${labelA}</th><th>${labelB}</th></tr></thead><tbody>`;
+        market.lines.forEach(entry => {
+            const adjusted = applyMargin([entry.sideA, entry.sideB], margin, method);
+            const pushInfo = `Push ${formatProb(entry.push)} · Half win ${formatProb(entry.halfWin)} · Half loss ${formatProb(entry.halfLoss)}`;
+            html += `<tr class="${entry === fair ? 'fair-line' : ''}" title="${pushInfo}">
+                <td>${lineLabel(entry.line)}</td>
+                <td>${formatOddsVal(getOdds(adjusted[0]))}</td>
+                <td>${formatOddsVal(getOdds(adjusted[1]))}</td>
+            </tr>`;
+        });
+        return html + `</tbody></table></div>`;
+    };
+
+    const ahEl = document.getElementById(`asian-handicap-${period}`);
+    if (ahEl) ahEl.innerHTML = table(markets.asianHandicap, 'Home', 'Away', line => `Home ${formatHandicap(line)}`);
+
+    const atEl = document.getElementById(`asian-totals-${period}`);
+    if (atEl) atEl.innerHTML = table(markets.asianTotals, 'Over', 'Under', line => `${line}`);
+}
+
 // Render Final Score by Goals breakdown
 function renderScoresByGoals(scoresByGoals, margin) {
     const container = document.getElementById('scores-by-goals-full');
     if (!container) return;
 
+    // Margin is spread across the whole correct score market
+    const allScores = Object.values(scoresByGoals).flat();
+    const adjusted = applyMargin(allScores.map(s => s.prob), margin, appState.inputs.marginMethod);
+    let adjustedByScore = {};
+    allScores.forEach((s, i) => adjustedByScore[s.score] = adjusted[i]);
+
     let html = '';
-    for (let total = 0; total <= MAX_GOALS; total++) {
+    for (let total = 0; total <= getGridDisplayCap(Object.keys(scoresByGoals).length - 1); total++) {
         const scores = scoresByGoals[total];
         if (!scores || scores.length === 0) continue;
 
@@ -675,8 +1607,7 @@ function renderScoresByGoals(scoresByGoals, margin) {
             <div class="score-list">`;
 
         significantScores.slice(0, 10).forEach(item => {
-            const adjustedProb = item.prob * (1 + margin/100);
-            const odds = getOdds(adjustedProb);
+            const odds = getOdds(adjustedByScore[item.score]);
             html += `<div class="score-item">
                 <span class="score-label">${item.score}</span>
                 <span class="score-prob">${formatProb(item.prob)}</span>
@@ -690,42 +1621,535 @@ function renderScoresByGoals(scoresByGoals, margin) {
     container.innerHTML = html;
 }
 
+// --- Team Ratings ---
+
+function setRatingsStatus(message) {
+    document.getElementById('ratings-status').textContent = message;
+}
+
+function loadRatingsFile(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+    file.text().then(text => {
+        let parsed;
+        try {
+            parsed = parseResults(text);
+        } catch (err) {
+            setRatingsStatus(err.message);
+            return;
+        }
+        if (!parsed.matches.length) {
+            setRatingsStatus(`No usable results (${parsed.skipped.length} rows skipped).`);
+            return;
+        }
+        fitAndRenderRatings(parsed.matches, parsed.skipped);
+    });
+}
+
+function fitAndRenderRatings(matches, skipped) {
+    const halfLife = parseFloat(document.getElementById('ratingsHalfLife').value);
+    if (!(halfLife >= 0)) {
+        setRatingsStatus("Half-life must be 0 or more days.");
+        return;
+    }
+    const fit = fitRatings(matches, { halfLifeDays: halfLife });
+    appState.ratings = { matches, skipped, fit };
+
+    // Team pickers keep their current choice across refits
+    const names = Object.keys(fit.teams);
+    ['ratingsHome', 'ratingsAway'].forEach((id, i) => {
+        const select = document.getElementById(id);
+        const previous = select.value;
+        select.replaceChildren(...names.map(n => new Option(n, n)));
+        select.value = names.includes(previous) ? previous : names[Math.min(i, names.length - 1)];
+        select.disabled = false;
+    });
+    document.getElementById('applyRatingsBtn').disabled = false;
+
+    setRatingsStatus(`${matches.length} results, ${names.length} teams` +
+        (skipped.length ? `, ${skipped.length} rows skipped (first: line ${skipped[0].line}, ${skipped[0].reason})` : '') + '.');
+    renderRatingsTable(fit);
+}
+
+function renderRatingsTable(fit) {
+    const asOf = new Date(fit.referenceDate).toISOString().slice(0, 10);
+    document.getElementById('ratings-summary').textContent =
+        `Base rate ${fit.base.toFixed(3)} goals · home advantage ×${fit.homeAdvantage.toFixed(3)} · weighted to ${asOf}`;
+
+    // Strongest overall (attack + defence) first
+    const names = Object.keys(fit.teams).sort((a, b) =>
+        (fit.teams[b].attack + fit.teams[b].defence) - (fit.teams[a].attack + fit.teams[a].defence));
+    let html = `<thead><tr><th>Team</th><th>Attack</th><th>Defence</th><th>π</th><th>Matches</th></tr></thead><tbody>`;
+    names.forEach(name => {
+        const t = fit.teams[name];
+        const signed = (v) => (v >= 0 ? '+' : '') + v.toFixed(3);
+        html += `<tr><td></td><td>${signed(t.attack)}</td><td>${signed(t.defence)}</td><td>${t.pi.toFixed(3)}</td><td>${t.matches}</td></tr>`;
+    });
+    const table = document.getElementById('ratings-table');
+    table.innerHTML = html + `</tbody>`;
+    table.querySelectorAll('tbody tr').forEach((tr, i) => tr.cells[0].textContent = names[i]);
+}
+
+// Prefill Mode A xG, pi and team names from the fitted ratings
+function applyRatings() {
+    const home = document.getElementById('ratingsHome').value;
+    const away = document.getElementById('ratingsAway').value;
+    if (home === away) {
+        setRatingsStatus("Pick two different teams.");
+        return;
+    }
+    const p = predictMatch(appState.ratings.fit, home, away);
+
+    document.getElementById('homeTeam').value = home;
+    document.getElementById('awayTeam').value = away;
+    document.querySelector('input[name="inputMode"][value="xg"]').checked = true;
+    toggleInputMode('xg');
+    document.getElementById('xgHome').value = p.lambdaHome.toFixed(3);
+    document.getElementById('xgAway').value = p.lambdaAway.toFixed(3);
+    document.getElementById('supremacy').value = (p.lambdaHome - p.lambdaAway).toFixed(3);
+    document.getElementById('expectancy').value = (p.lambdaHome + p.lambdaAway).toFixed(3);
+    document.getElementById('marginalFamily').value = 'zip';
+    toggleMarginalInputs('zip');
+    document.getElementById('piHome').value = p.piHome.toFixed(3);
+    document.getElementById('piAway').value = p.piAway.toFixed(3);
+
+    setRatingsStatus(`${home} v ${away}: expected goals ${p.meanHome.toFixed(2)} - ${p.meanAway.toFixed(2)}.`);
+    calculateAndRender();
+}
+
+// --- Match Simulation ---
+
+function setSimulationStatus(message) {
+    document.getElementById('sim-status').textContent = message;
+}
+
+function getSimulationState() {
+    if (!document.getElementById('simInPlay').checked) return null;
+    const read = (id) => parseInt(document.getElementById(id).value, 10);
+    return {
+        minute: read('simMinute'),
+        score: { home: read('simScoreHome'), away: read('simScoreAway') },
+        halfTime: { home: read('simHtHome'), away: read('simHtAway') },
+        lastScorer: document.getElementById('simLastScorer').value || undefined
+    };
+}
+
+function runSimulation() {
+    const inputs = getInputs();
+    if (!inputs.isValid) {
+        setSimulationStatus(inputs.errorMsg);
+        return;
+    }
+    if (!['poisson', 'zip'].includes(inputs.marginal.family)) {
+        setSimulationStatus(`The simulator draws Poisson or ZIP goals; switch from ${FAMILY_LABELS[inputs.marginal.family]} to run it.`);
+        return;
+    }
+    const runs = parseInt(document.getElementById('simRuns').value, 10);
+    const seed = parseInt(document.getElementById('simSeed').value, 10);
+    const ramp = parseFloat(document.getElementById('simRamp').value);
+    if (!(runs >= 1000 && runs <= 200000)) {
+        setSimulationStatus("Runs must be 1,000-200,000.");
+        return;
+    }
+    if (!(ramp >= 0)) {
+        setSimulationStatus("Ramp must be 0 or more.");
+        return;
+    }
+
+    const state = getSimulationState();
+    const params = {
+        lambdas: { home: inputs.lambdaHomeFull, away: inputs.lambdaAwayFull },
+        pi: { home: inputs.piHome, away: inputs.piAway },
+        halfFactor: { home: inputs.halfFactorHome, away: inputs.halfFactorAway },
+        dependence: inputs.dependence,
+        ramp,
+        state
+    };
+
+    let simulation;
+    try {
+        simulation = simulateMatches(params, { runs, seed: isNaN(seed) ? 1 : seed });
+    } catch (err) {
+        setSimulationStatus(err.message);
+        return;
+    }
+    // The analytic grid is pre-match, so the check only applies from kick-off
+    const check = state ? null : compareToModel(simulation, params);
+    setSimulationStatus(`${runs.toLocaleString()} simulated matches` +
+        (state ? ` from ${state.score.home}-${state.score.away} at ${state.minute}'.` : '.'));
+    renderSimulation(simulation, check, inputs);
+}
+
+function renderSimulation(sim, check, inputs) {
+    const table = (title, head, rows) => `<div><h4 class="section-title">${title}</h4>
+        <table class="simple-table"><thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead>
+        <tbody>${rows.map(r => `<tr>${r.map(c => `<td>${c}</td>`).join('')}</tr>`).join('')}</tbody></table></div>`;
+    const probRow = (label, p) => [label, formatProb(p), formatOddsVal(getOdds(p))];
+    const home = escapeHtml(inputs.homeTeam);
+    const away = escapeHtml(inputs.awayTeam);
+
+    const first = sim.firstGoal;
+    let firstRows = [probRow(home, first.home), probRow(away, first.away), probRow('No goal', first.none)];
+    if (first.before > 0) firstRows = [probRow('Already scored', first.before)];
+    const timing = table('Time of First Goal', ['Minutes', 'Prob', 'Odds'],
+        first.bands.map(b => probRow(b.band, b.prob)).concat(first.meanMinute ? [['Mean minute', first.meanMinute.toFixed(1), '']] : []));
+
+    const last = sim.lastTeam;
+    let lastRows = [probRow(home, last.home), probRow(away, last.away), probRow('No goal', last.none)];
+    if (last.unknown > 0) lastRows.push(probRow('Unknown (no further goal)', last.unknown));
+
+    let html = table('First Team to Score', ['Team', 'Prob', 'Odds'], firstRows);
+    if (!first.before) html += timing;
+    html += table('Goals by 15 Minutes', ['Minutes', 'Any goal', 'Goals', home, away],
+        sim.bands.map(b => [b.band, formatProb(b.anyGoal), b.goals.toFixed(3), b.home.toFixed(3), b.away.toFixed(3)]));
+    html += table('Last Team to Score', ['Team', 'Prob', 'Odds'], lastRows);
+    html += table('Score in Both Halves', ['Selection', 'Prob', 'Odds'], [
+        probRow(home, sim.scoreBothHalves.home),
+        probRow(away, sim.scoreBothHalves.away),
+        probRow('Goal in both halves', sim.scoreBothHalves.match)
+    ]);
+
+    // Most likely final scores
+    const scores = Object.entries(sim.correctScore).sort((a, b) => b[1] - a[1]).slice(0, 10);
+    html += table('Final Score (simulated)', ['Score', 'Prob', 'Odds'], scores.map(([k, p]) => probRow(k, p)));
+
+    if (check) {
+        html += `<p class="sim-check">Check against the analytic Full Time grid: total variation ${(check.totalVariation * 100).toFixed(2)}%,
+            largest cell gap ${(check.maxDiff * 100).toFixed(2)}% (${check.worst}), max |z| ${check.maxZ.toFixed(2)}` +
+            (check.maxZ > 4 ? ' - larger than sampling noise explains.' : ' - within sampling noise.') + `</p>`;
+    }
+    document.getElementById('sim-results').innerHTML = html;
+}
+
+// --- Sensitivity ---
+
+const SENSITIVITY_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#9333ea', '#ea580c', '#0891b2', '#ca8a04', '#db2777', '#4b5563', '#65a30d', '#7c3aed', '#0f766e'];
+
+function setSensitivityStatus(message) {
+    document.getElementById('sens-status').textContent = message;
+}
+
+function runSensitivity() {
+    const inputs = getInputs();
+    if (!inputs.isValid) {
+        setSensitivityStatus(inputs.errorMsg);
+        return;
+    }
+    const topScores = parseInt(document.getElementById('sensTopScores').value, 10);
+    if (!(topScores >= 1 && topScores <= 12)) {
+        setSensitivityStatus("Top scores must be 1-12.");
+        return;
+    }
+
+    const params = toPriceParams(inputs);
+    try {
+        const base = price(params);
+        const markets = keyMarkets(base, topScores);
+        sensitivityState = { params, base, markets, sensitivities: computeSensitivities(params, markets), sweeps: {} };
+    } catch (err) {
+        sensitivityState = null;
+        setSensitivityStatus(err.message);
+        return;
+    }
+    const { supremacy, expectancy } = sensitivityState.sensitivities;
+    setSensitivityStatus(`At supremacy ${supremacy.value.toFixed(2)}, expectancy ${expectancy.value.toFixed(2)}` +
+        ` (${FAMILY_LABELS[inputs.marginal.family]}${inputs.inPlay ? `, in-play ${inputs.inPlay.minute}'` : ''}).` +
+        ' Recompute after changing inputs.');
+    renderSensitivityTable();
+    renderSensitivityChart();
+}
+
+// Probability change (percentage points) for one display step of each input
+function renderSensitivityTable() {
+    const { base, markets, sensitivities } = sensitivityState;
+    const inputs = Object.keys(SENSITIVITY_INPUTS);
+    const head = ['Market', 'Prob', ...inputs.map(k => `${SENSITIVITY_INPUTS[k].label} +${SENSITIVITY_INPUTS[k].step}`)];
+
+    const rows = markets.map(m => {
+        const cells = inputs.map(input => {
+            const s = sensitivities[input];
+            if (!s.used) return '<td>-</td>';
+            const delta = s.slopes[m.key] * SENSITIVITY_INPUTS[input].step * 100;
+            const cls = delta > 0.005 ? 'delta-up' : (delta < -0.005 ? 'delta-down' : '');
+            return `<td class="${cls}">${delta >= 0 ? '+' : ''}${delta.toFixed(2)}</td>`;
+        });
+        return `<tr><td>${m.label}</td><td>${formatProb(m.read(base))}</td>${cells.join('')}</tr>`;
+    });
+    document.getElementById('sens-table').innerHTML =
+        `<thead><tr>${head.map(h => `<th>${h}</th>`).join('')}</tr></thead><tbody>${rows.join('')}</tbody>`;
+}
+
+// Line chart of the selected market group across a sweep of the selected input
+function renderSensitivityChart() {
+    const chart = document.getElementById('sens-chart');
+    if (!sensitivityState) return;
+    const input = document.getElementById('sensInput').value;
+    const group = document.getElementById('sensGroup').value;
+    const { params, markets, sensitivities } = sensitivityState;
+    const label = SENSITIVITY_INPUTS[input].label;
+
+    if (!sensitivities[input].used) {
+        chart.innerHTML = `<p class="batch-hint">${label} does not move prices under ${FAMILY_LABELS[params.marginal.family]}.</p>`;
+        return;
+    }
+    if (!sensitivityState.sweeps[input]) {
+        try {
+            sensitivityState.sweeps[input] = sweepInput(params, input, markets);
+        } catch (err) {
+            chart.innerHTML = `<p class="batch-hint">${err.message}</p>`;
+            return;
+        }
+    }
+    const sweep = sensitivityState.sweeps[input];
+    const shown = markets.filter(m => m.group === group);
+    const probs = shown.flatMap(m => sweep.series[m.key]).filter(p => p !== null);
+    if (!shown.length || !probs.length) {
+        chart.innerHTML = '<p class="batch-hint">No prices across this sweep.</p>';
+        return;
+    }
+
+    const width = 640, height = 260, left = 48, right = 12, top = 12, bottom = 30;
+    const xMin = sweep.values[0], xMax = sweep.values[sweep.values.length - 1];
+    let yMin = Math.min(...probs), yMax = Math.max(...probs);
+    if (yMax - yMin < 0.01) { yMin -= 0.005; yMax += 0.005; }
+    const x = (v) => left + (v - xMin) / (xMax - xMin) * (width - left - right);
+    const y = (p) => top + (yMax - p) / (yMax - yMin) * (height - top - bottom);
+
+    // Gaps (rejected points) start a new segment
+    const path = (series) => series.map((p, i) => {
+        if (p === null) return '';
+        const move = i === 0 || series[i - 1] === null ? 'M' : 'L';
+        return `${move}${x(sweep.values[i]).toFixed(1)},${y(p).toFixed(1)}`;
+    }).join(' ');
+
+    const yTicks = [yMin, (yMin + yMax) / 2, yMax].map(p =>
+        `<text x="${left - 6}" y="${y(p) + 4}" text-anchor="end">${(p * 100).toFixed(1)}%</text>`).join('');
+    const xTicks = [xMin, sweep.value, xMax].map(v =>
+        `<text x="${x(v)}" y="${height - 10}" text-anchor="middle">${v.toFixed(2)}</text>`).join('');
+    const lines = shown.map((m, i) =>
+        `<path d="${path(sweep.series[m.key])}" fill="none" stroke="${SENSITIVITY_COLORS[i % SENSITIVITY_COLORS.length]}" stroke-width="2"/>`).join('');
+
+    chart.innerHTML = `<svg viewBox="0 0 ${width} ${height}" role="img" aria-label="${group} against ${label}">
+        <line class="axis" x1="${left}" y1="${height - bottom}" x2="${width - right}" y2="${height - bottom}"/>
+        <line class="axis" x1="${left}" y1="${top}" x2="${left}" y2="${height - bottom}"/>
+        <line class="current" x1="${x(sweep.value)}" y1="${top}" x2="${x(sweep.value)}" y2="${height - bottom}"/>
+        ${yTicks}${xTicks}${lines}
+        </svg>
+        <div class="sens-legend">${shown.map((m, i) =>
+            `<span><span class="swatch" style="background:${SENSITIVITY_COLORS[i % SENSITIVITY_COLORS.length]}"></span>${m.label}</span>`).join('')}
+            <span>x: ${label}</span></div>`;
+}
+
+// --- Bet Builder ---
+
+function priceBuilderExpression() {
+    const text = document.getElementById('builderExpr').value;
+    const errorEl = document.getElementById('builder-error');
+    if (!text.trim()) {
+        clearBetBuilder();
+        return;
+    }
+    try {
+        builderBet = compileBet(text);
+        errorEl.classList.add('hidden');
+    } catch (err) {
+        builderBet = null;
+        errorEl.textContent = err.message;
+        errorEl.classList.remove('hidden');
+    }
+    renderBetBuilder();
+}
+
+function clearBetBuilder() {
+    builderBet = null;
+    document.getElementById('builderExpr').value = '';
+    document.getElementById('builder-error').classList.add('hidden');
+    renderBetBuilder();
+}
+
+// Price the current expression against the latest book and outline its scores on the grids
+function renderBetBuilder() {
+    const resultEl = document.getElementById('builder-result');
+    const result = builderBet && appState.book ? priceBet(builderBet, appState.book) : null;
+    resultEl.classList.toggle('hidden', !result);
+    if (result) {
+        document.getElementById('builder-prob').innerText = formatProb(result.prob);
+        document.getElementById('builder-fair').innerText = formatOddsVal(result.fairOdds);
+        document.getElementById('builder-market').innerText = formatOddsVal(result.odds);
+    }
+
+    ['full', 'h1', 'h2'].forEach(period => {
+        const table = document.getElementById(`cs-grid-${period}`);
+        table.querySelectorAll('.builder-match').forEach(td => td.classList.remove('builder-match'));
+        if (!result) return;
+        // Scores past the display cap fall into the last ("N+") bucket
+        const labels = Array.from(table.querySelectorAll('thead th')).slice(1).map(th => th.textContent);
+        const bucket = (n) => labels.includes(String(n)) ? String(n) : labels[labels.length - 1];
+        const keys = new Set(result.cells[period].map(key => {
+            const [h, a] = key.split('-');
+            return `${bucket(h)}-${bucket(a)}`;
+        }));
+        table.querySelectorAll('td').forEach(td => {
+            if (keys.has(td.dataset.key)) td.classList.add('builder-match');
+        });
+    });
+}
+
+// --- Value Finder ---
+
+function getValueSettings() {
+    const threshold = parseFloat(document.getElementById('valueThreshold').value);
+    const bankroll = parseFloat(document.getElementById('bankroll').value);
+    const kellyMultiplier = parseFloat(document.getElementById('kellyMultiplier').value);
+    return {
+        threshold: isNaN(threshold) ? 0 : threshold / 100,
+        bankroll: bankroll > 0 ? bankroll : 0,
+        kellyMultiplier: kellyMultiplier >= 0 ? Math.min(kellyMultiplier, 1) : 0
+    };
+}
+
+function assessOffer(key) {
+    const entry = valueRegistry[key];
+    const odds = offeredOdds[key];
+    return entry && odds > 1 ? assessValue(entry.prob, odds, getValueSettings()) : null;
+}
+
+const valueClass = (key) => {
+    const assessment = assessOffer(key);
+    return assessment && assessment.isValue ? 'value-bet' : '';
+};
+
+function edgeText(key) {
+    const a = assessOffer(key);
+    if (!a) return '';
+    const edgeStr = (a.edge >= 0 ? '+' : '') + (a.edge * 100).toFixed(1) + '%';
+    return a.stake > 0 ? `${edgeStr} · ${a.stake.toFixed(2)}` : edgeStr;
+}
+
+// Odds entry + edge/stake readout for one selection; registers its model probability
+function offerCell(key, prob, label) {
+    const period = key.split('|')[0];
+    valueRegistry[key] = { prob, label: `${PERIOD_LABELS[period]} · ${label}` };
+    const value = offeredOdds[key] ? offeredOdds[key] : '';
+    return `<span class="offer-cell"><input type="number" class="offer-input" step="0.01" min="1" placeholder="Odds" ` +
+        `data-key="${key}" value="${value}"><span class="edge-val" data-key="${key}">${edgeText(key)}</span></span>`;
+}
+
+// The same selection can be shown twice (summary + cards): keep every copy in sync
+function onOfferInput(input) {
+    const key = input.dataset.key;
+    const odds = parseFloat(input.value);
+    if (odds > 1) offeredOdds[key] = odds;
+    else delete offeredOdds[key];
+
+    const panel = document.getElementById('results-panel');
+    panel.querySelectorAll(`.offer-input[data-key="${key}"]`).forEach(el => {
+        if (el !== input) el.value = input.value;
+    });
+    updateOfferReadouts(key);
+    renderValuePanel();
+    const [period, market] = key.split('|');
+    if (market === 'Correct Score') refreshDutching(period);
+}
+
+function updateOfferReadouts(key) {
+    const panel = document.getElementById('results-panel');
+    const isValue = valueClass(key) !== '';
+    panel.querySelectorAll(`.edge-val[data-key="${key}"]`).forEach(el => {
+        el.textContent = edgeText(key);
+        const holder = el.closest('.market-item, tr, td');
+        const target = holder && holder.tagName === 'TD' && !holder.closest('.cs-table') ? holder.closest('tr') : holder;
+        if (target) target.classList.toggle('value-bet', isValue);
+    });
+}
+
+// Threshold, bankroll or Kelly fraction changed: re-assess every entered price
+function refreshValueDisplay() {
+    Object.keys(valueRegistry).forEach(updateOfferReadouts);
+    renderValuePanel();
+}
+
+function renderValuePanel() {
+    const panel = document.getElementById('value-panel');
+    const enabled = document.getElementById('showOffers').checked;
+    const entries = Object.keys(offeredOdds)
+        .filter(key => valueRegistry[key])
+        .map(key => ({ key, label: valueRegistry[key].label, prob: valueRegistry[key].prob, odds: offeredOdds[key] }));
+
+    if (!enabled || entries.length === 0) {
+        panel.classList.add('hidden');
+        return;
+    }
+    panel.classList.remove('hidden');
+
+    const settings = getValueSettings();
+    const bets = findValueBets(entries, settings);
+    let html = `<h4>Value Bets (${bets.length} of ${entries.length} priced)</h4>`;
+    if (bets.length === 0) {
+        panel.innerHTML = html + `<div class="prob-val">No entered price clears the ${(settings.threshold * 100).toFixed(1)}% edge threshold.</div>`;
+        return;
+    }
+    html += `<table class="simple-table"><thead><tr><th>Selection</th><th>Model</th><th>Fair</th><th>Offered</th><th>Edge</th><th>Kelly</th><th>Stake</th></tr></thead><tbody>`;
+    bets.forEach(b => {
+        html += `<tr><td>${escapeHtml(b.label)}</td><td>${formatProb(b.prob)}</td><td>${formatOddsVal(getOdds(b.prob))}</td>` +
+            `<td>${b.odds.toFixed(2)}</td><td>+${(b.edge * 100).toFixed(2)}%</td>` +
+            `<td>${(b.kelly * 100).toFixed(2)}%</td><td>${b.stake.toFixed(2)}</td></tr>`;
+    });
+    panel.innerHTML = html + `</tbody></table>`;
+}
+
 // --- Grid & Selection Logic ---
 
+// Display cap from the "Grid Display" selector; 'full' shows every row of the grid
+function getGridDisplayCap(maxIndex) {
+    const setting = document.getElementById('gridDisplay').value;
+    return setting === 'full' ? maxIndex : Math.min(parseInt(setting, 10), maxIndex);
+}
+
 function renderGrid(tableId, jointDist, period, warningId) {
     const table = document.getElementById(tableId);
-    const matrix = jointDist.matrix;
+    const grid = aggregateGrid(jointDist, getGridDisplayCap(jointDist.matrix.length - 1));
+    const matrix = grid.matrix;
     const warningEl = document.getElementById(warningId);
     
-    warningEl.textContent = jointDist.tailProb > 0.01 
-        ? `Tail probability > 7 goals: ${(jointDist.tailProb * 100).toFixed(2)}%` 
+    warningEl.textContent = jointDist.tailProb > appState.inputs.tailEpsilon
+        ? `Grid capped at ${jointDist.maxGoals} goals, renormalised tail: ${(jointDist.tailProb * 100).toFixed(4)}%`
         : '';
 
+    // Drop selections that no longer exist under the current buckets
+    selections[period].forEach(key => {
+        if (!(key in grid.map)) selections[period].delete(key);
+    });
+
     table.innerHTML = '';
     let thead = '<thead><tr><th>H \\ A</th>';
-    for (let j = 0; j <= MAX_GOALS; j++) thead += `<th>${j}</th>`;
+    grid.labels.forEach(label => thead += `<th>${label}</th>`);
     thead += '</tr></thead>';
     table.innerHTML = thead;
 
     let tbody = document.createElement('tbody');
-    for (let i = 0; i <= MAX_GOALS; i++) {
+    for (let i = 0; i < grid.labels.length; i++) {
         let tr = document.createElement('tr');
         let th = document.createElement('th');
-        th.innerText = i;
+        th.innerText = grid.labels[i];
         tr.appendChild(th);
 
-        for (let j = 0; j <= MAX_GOALS; j++) {
+        for (let j = 0; j < grid.labels.length; j++) {
             let td = document.createElement('td');
             let prob = matrix[i][j];
-            let key = `${i}-${j}`;
+            let key = `${grid.labels[i]}-${grid.labels[j]}`;
+            td.dataset.key = key;
             
-            td.innerText = (prob * 100).toFixed(2);
+            const offerKey = `${period}|Correct Score|${key}`;
+            td.innerHTML = (prob * 100).toFixed(2) + offerCell(offerKey, prob, `Correct Score ${key.replace('-', ':')}`);
+            if (valueClass(offerKey)) td.classList.add('value-bet');
             
             // Selection State
             if (selections[period].has(key)) td.classList.add('selected');
 
-            // Click Handler
-            td.onclick = () => {
+            // Click Handler (typing odds into the cell must not toggle it)
+            td.onclick = (e) => {
+                if (e.target.classList.contains('offer-input')) return;
                 if (selections[period].has(key)) {
                     selections[period].delete(key);
                     td.classList.remove('selected');
@@ -733,19 +2157,16 @@ function renderGrid(tableId, jointDist, period, warningId) {
                     selections[period].add(key);
                     td.classList.add('selected');
                 }
-                // Need to re-derive map or pass it? Better to store calculated maps in appState or re-use logic
-                // For simplicity, re-run full render or just selection update?
-                // Re-running deriveMarkets is cheap enough.
-                const dist = period === 'full' ? appState.jointFull : period === 'h1' ? appState.jointH1 : appState.jointH2;
-                const m = deriveMarkets(dist);
                 const margin = period === 'full' ? appState.inputs.marginFull : period === 'h1' ? appState.inputs.marginH1 : appState.inputs.marginH2;
-                updateSelectionPanel(period, m.map, margin);
+                updateSelectionPanel(period, grid.map, margin);
+                syncUrl();
             };
             tr.appendChild(td);
         }
         tbody.appendChild(tr);
     }
     table.appendChild(tbody);
+    return grid;
 }
 
 function updateSelectionPanel(period, probabilityMap, margin) {
@@ -764,8 +2185,8 @@ function updateSelectionPanel(period, probabilityMap, margin) {
 
     // Sort selections for display
     const sortedKeys = Array.from(selSet).sort((a,b) => {
-        const [h1, a1] = a.split('-').map(Number);
-        const [h2, a2] = b.split('-').map(Number);
+        const [h1, a1] = a.split('-').map(v => parseInt(v, 10));
+        const [h2, a2] = b.split('-').map(v => parseInt(v, 10));
         return h1 - h2 || a1 - a2;
     });
 
@@ -777,9 +2198,8 @@ function updateSelectionPanel(period, probabilityMap, margin) {
     // Stats
     const fairOdds = getOdds(totalProb);
     // Market odds for a custom aggregation:
-    // Implied Prob = True Prob * (1 + Margin)
-    // Odds = 1 / Implied Prob
-    const impliedProb = totalProb * (1 + margin/100);
+    // priced as a two-way market (selection vs. everything else)
+    const impliedProb = applyMargin([totalProb, 1 - totalProb], margin, appState.inputs.marginMethod)[0];
     const marketOdds = getOdds(impliedProb);
 
     // Update DOM
@@ -791,8 +2211,85 @@ function updateSelectionPanel(period, probabilityMap, margin) {
     // List preview
     const listEl = document.getElementById(`sel-list-${period}`);
     listEl.innerText = descList.join(', ');
+
+    dutching[period].grid = probabilityMap;
+    renderDutching(period, sortedKeys);
+}
+
+// --- Dutching ---
+
+const formatMoney = (v) => v.toFixed(2);
+const formatSigned = (v) => (v >= 0 ? '+' : '') + v.toFixed(2);
+
+// One row per selected score; odds inputs share the value finder's offered prices
+function renderDutching(period, keys) {
+    const grid = dutching[period].grid;
+    const rows = keys.map(key => {
+        const offerKey = `${period}|Correct Score|${key}`;
+        const value = offeredOdds[offerKey] ? offeredOdds[offerKey] : '';
+        return `<tr><td>${key.replace('-', ':')}</td><td>${formatProb(grid[key] || 0)}</td>` +
+            `<td><input type="number" class="offer-input" step="0.01" min="1" placeholder="Odds" data-key="${offerKey}" value="${value}"></td>` +
+            `<td data-stake="${key}">-</td><td data-return="${key}">-</td></tr>`;
+    });
+    document.getElementById(`dutch-stakes-${period}`).innerHTML =
+        '<thead><tr><th>Score</th><th>Model</th><th>Odds</th><th>Stake</th><th>Return</th></tr></thead>' +
+        `<tbody>${rows.join('')}</tbody>`;
+    refreshDutching(period);
 }
 
+// Recompute stakes without rebuilding the odds inputs being typed in
+function refreshDutching(period) {
+    const state = dutching[period];
+    if (!state.grid || selections[period].size === 0) return;
+    const stakesTable = document.getElementById(`dutch-stakes-${period}`);
+    const summary = document.getElementById(`dutch-summary-${period}`);
+    const plTable = document.getElementById(`dutch-pl-${period}`);
+
+    let odds = {};
+    selections[period].forEach(key => odds[key] = offeredOdds[`${period}|Correct Score|${key}`]);
+    const mode = document.getElementById(`dutchMode-${period}`).value;
+    const amount = parseFloat(document.getElementById(`dutchAmount-${period}`).value);
+
+    try {
+        state.plan = dutchStakes(odds, mode === 'target' ? { target: amount, round: 0.01 } : { stake: amount, round: 0.01 });
+        state.settlement = settleDutch(state.plan, state.grid);
+    } catch (err) {
+        state.plan = null;
+        state.settlement = null;
+        stakesTable.querySelectorAll('[data-stake], [data-return]').forEach(td => td.textContent = '-');
+        summary.textContent = err.message;
+        summary.classList.add('error');
+        plTable.innerHTML = '';
+        return;
+    }
+
+    const { plan, settlement } = state;
+    plan.selections.forEach(x => {
+        stakesTable.querySelector(`[data-stake="${x.score}"]`).textContent = formatMoney(x.stake);
+        stakesTable.querySelector(`[data-return="${x.score}"]`).textContent = formatMoney(x.payout);
+    });
+    const profit = plan.maxProfit - plan.minProfit < 0.005
+        ? formatSigned(plan.minProfit)
+        : `${formatSigned(plan.minProfit)} to ${formatSigned(plan.maxProfit)}`;
+    summary.classList.remove('error');
+    summary.textContent = `Total stake ${formatMoney(plan.total)} · Profit if any wins ${profit} · ` +
+        `Book ${(plan.book * 100).toFixed(1)}% · Model win chance ${formatProb(settlement.winProb)} · ` +
+        `Expected profit ${formatSigned(settlement.expectedProfit)}`;
+
+    plTable.innerHTML = '<thead><tr><th>Score</th><th>Model</th><th>Profit/Loss</th></tr></thead><tbody>' +
+        settlement.rows.map(r => `<tr${r.selected ? ' class="dutch-win"' : ''}><td>${r.score.replace('-', ':')}</td>` +
+            `<td>${formatProb(r.prob)}</td><td>${formatSigned(r.profit)}</td></tr>`).join('') + '</tbody>';
+}
+
+// Global scope for HTML onclick
+window.exportDutching = function(period) {
+    const state = dutching[period];
+    if (!state.plan) return;
+    const { homeTeam, awayTeam } = appState.inputs;
+    const csv = dutchToCSV(state.plan, state.settlement, { match: `${homeTeam} v ${awayTeam}`, period: PERIOD_LABELS[period] });
+    downloadFile(exportFileName('csv', `dutch-${period}`), csv, 'text/csv;charset=utf-8');
+};
+
 // Global scope for HTML onclick
 window.clearSelection = function(period) {
     selections[period].clear();
@@ -802,4 +2299,5 @@ window.clearSelection = function(period) {
     }
     const panel = document.getElementById(`selection-panel-${period}`);
     if(panel) panel.classList.add('hidden');
+    syncUrl();
 };
@@ -0,0 +1,172 @@
+/**
+ * ZIP Football Calculator - Sensitivity
+ * * Numerical derivatives of the key markets (1X2, O/U lines, BTTS, the 1st
+ * half result and totals, the top correct scores) with respect to the model
+ * inputs, and sweeps of one input with the others fixed.
+ *
+ * Every point is a full re-price (price() rebuilds the joint grids and
+ * derives the markets), so the goal distribution, dependence, half pi mode
+ * and in-play state all carry through.
+ *
+ *   Supremacy  = lambda home - lambda away   (expectancy held)
+ *   Expectancy = lambda home + lambda away   (supremacy held)
+ *   piHome, piAway                            (zero-inflated families only)
+ *   halfFactor = both 1st half shares, moved together
+ */
+
+import { price } from './engine.js';
+
+const DIFF_STEP = 1e-3;
+
+// label, display step (the move a table cell reports) and sweep half-width
+export const SENSITIVITY_INPUTS = {
+    supremacy: { label: 'Supremacy', step: 0.1, span: 1.5 },
+    expectancy: { label: 'Expectancy', step: 0.1, span: 1.5 },
+    piHome: { label: 'Home pi', step: 0.01, span: 0.2 },
+    piAway: { label: 'Away pi', step: 0.01, span: 0.2 },
+    halfFactor: { label: '1st half share', step: 0.01, span: 0.1 }
+};
+
+const PI_FAMILIES = ['zip', 'zinb'];
+const PI_MAX = 0.95;
+
+// Current value of an input in price() params
+function readInput(params, input) {
+    const { home, away } = params.lambdas;
+    const factor = params.halfFactor === undefined ? 0.45 : params.halfFactor;
+    switch (input) {
+        case 'supremacy': return home - away;
+        case 'expectancy': return home + away;
+        case 'piHome': return (params.pi || {}).home || 0;
+        case 'piAway': return (params.pi || {}).away || 0;
+        case 'halfFactor': return typeof factor === 'number' ? factor : factor.home;
+        default: throw new RangeError(`Unknown sensitivity input "${input}".`);
+    }
+}
+
+// Copy of params with one input set to value
+function withInput(params, input, value) {
+    let next = { ...params, lambdas: { ...params.lambdas }, pi: { home: 0, away: 0, ...params.pi } };
+    const { home, away } = params.lambdas;
+    if (input === 'supremacy') {
+        next.lambdas = { home: (home + away + value) / 2, away: (home + away - value) / 2 };
+    } else if (input === 'expectancy') {
+        next.lambdas = { home: (value + home - away) / 2, away: (value - home + away) / 2 };
+    } else if (input === 'piHome' || input === 'piAway') {
+        next.pi[input === 'piHome' ? 'home' : 'away'] = value;
+    } else if (input === 'halfFactor') {
+        const factor = params.halfFactor === undefined ? 0.45 : params.halfFactor;
+        const shares = typeof factor === 'number' ? { home: factor, away: factor } : factor;
+        const shift = value - shares.home;
+        next.halfFactor = { home: value, away: shares.away + shift };
+    }
+    return next;
+}
+
+// Range an input can take before another value leaves its own range
+function inputBounds(params, input) {
+    const { home, away } = params.lambdas;
+    const factor = params.halfFactor === undefined ? 0.45 : params.halfFactor;
+    const shares = typeof factor === 'number' ? { home: factor, away: factor } : factor;
+    switch (input) {
+        case 'supremacy': return [-(home + away), home + away];
+        case 'expectancy': return [Math.abs(home - away), Infinity];
+        case 'piHome':
+        case 'piAway': return [0, PI_MAX];
+        default: return [Math.max(0, shares.home - shares.away), Math.min(1, 1 - shares.away + shares.home)];
+    }
+}
+
+/** Whether an input changes any price for these params (pi only moves ZIP and ZINB). */
+export function isInputUsed(params, input) {
+    if (input === 'piHome' || input === 'piAway') {
+        return PI_FAMILIES.includes((params.marginal || {}).family || 'zip');
+    }
+    return true;
+}
+
+/**
+ * The markets to track, read from a price() result: 1X2, Over lines, BTTS,
+ * the 1st half 1X2 and Over lines, and the topScores most likely full time
+ * scores at that result. Each is { key, group, label, read(result) }.
+ */
+export function keyMarkets(result, topScores = 5) {
+    let markets = [];
+    const add = (key, group, label, read) => markets.push({ key, group, label, read });
+    const goalLines = result.inputs.lines.goals;
+
+    add('home', '1X2', 'Home', r => r.full.markets.homeWin);
+    add('draw', '1X2', 'Draw', r => r.full.markets.draw);
+    add('away', '1X2', 'Away', r => r.full.markets.awayWin);
+    goalLines.forEach(line => add(`over${line}`, 'Over/Under', `Over ${line}`, r => r.full.markets.overs[line]));
+    add('btts', 'BTTS', 'BTTS Yes', r => r.full.markets.bttsYes);
+    add('h1home', '1st Half', '1st Half Home', r => r.h1.markets.homeWin);
+    add('h1draw', '1st Half', '1st Half Draw', r => r.h1.markets.draw);
+    add('h1away', '1st Half', '1st Half Away', r => r.h1.markets.awayWin);
+    goalLines.filter(line => line < 3).forEach(line => {
+        add(`h1over${line}`, '1st Half', `1st Half Over ${line}`, r => r.h1.markets.overs[line]);
+    });
+
+    Object.entries(result.full.markets.map)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, topScores)
+        .forEach(([score]) => add(`cs${score}`, 'Correct Score', score, r => r.full.markets.map[score] || 0));
+    return markets;
+}
+
+/**
+ * Derivative of each market's probability with respect to each input, by
+ * central differences (one-sided at the edge of an input's range).
+ * Returns { [input]: { value, used, slopes: { [market key]: dProb/dInput } } };
+ * unused inputs have zero slopes.
+ */
+export function computeSensitivities(params, markets, inputs = Object.keys(SENSITIVITY_INPUTS)) {
+    let sensitivities = {};
+    inputs.forEach(input => {
+        const value = readInput(params, input);
+        const used = isInputUsed(params, input);
+        let slopes = {};
+        markets.forEach(m => slopes[m.key] = 0);
+        if (used) {
+            const [lo, hi] = inputBounds(params, input);
+            const up = Math.min(value + DIFF_STEP, hi);
+            const down = Math.max(value - DIFF_STEP, lo);
+            const upper = price(withInput(params, input, up));
+            const lower = price(withInput(params, input, down));
+            markets.forEach(m => slopes[m.key] = (m.read(upper) - m.read(lower)) / (up - down));
+        }
+        sensitivities[input] = { value, used, slopes };
+    });
+    return sensitivities;
+}
+
+/**
+ * Price the markets at `points` evenly spaced values of one input, the
+ * others fixed. The range defaults to the input's span around its current
+ * value, clipped to where the model is defined. Points the engine rejects
+ * (e.g. a bivariate covariance above a lambda) come back as null.
+ * Returns { input, value, values, series: { [market key]: (prob | null)[] } }.
+ */
+export function sweepInput(params, input, markets, options = {}) {
+    const value = readInput(params, input);
+    const [lo, hi] = inputBounds(params, input);
+    const span = SENSITIVITY_INPUTS[input].span;
+    const from = Math.max(options.from === undefined ? value - span : options.from, lo);
+    const to = Math.min(options.to === undefined ? value + span : options.to, hi);
+    const points = options.points || 21;
+    if (!(to > from) || points < 2) throw new RangeError("Sweep range is empty.");
+
+    const values = Array.from({ length: points }, (_, i) => from + (to - from) * i / (points - 1));
+    let series = {};
+    markets.forEach(m => series[m.key] = []);
+    values.forEach(x => {
+        let result = null;
+        try {
+            result = price(withInput(params, input, x));
+        } catch (err) {
+            if (!(err instanceof RangeError)) throw err;
+        }
+        markets.forEach(m => series[m.key].push(result ? m.read(result) : null));
+    });
+    return { input, value, values, series };
+}
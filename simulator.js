@@ -0,0 +1,222 @@
+/**
+ * ZIP Football Calculator - Match Simulator
+ * * Monte Carlo goal-time simulation on a 90-minute intensity curve.
+ * Each team's Full Time goals follow the same ZIP (and bivariate
+ * common-shock) law as computeJointDistribution; the minute-level curve
+ * adds timing: first goal, 15-minute bands, last scorer, both halves.
+ * Optionally starts from an in-play state (minute, score, half-time score).
+ */
+
+import { MATCH_MINUTES, HALF_MINUTES, computeJointDistribution } from './engine.js';
+
+export const BAND_MINUTES = 15;
+
+// Deterministic PRNG (mulberry32) so a seed reproduces a run
+export function createRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Expected goals per minute (index 0 = minute 1). Within each half the rate
+ * rises linearly so the last minute is (1 + ramp) times the first; each half
+ * is scaled to its share of lambda (halfShare in the 1st half).
+ */
+export function buildIntensity(lambda, halfShare, ramp = 0) {
+    const shape = Array.from({ length: HALF_MINUTES }, (_, m) => 1 + ramp * (m + 0.5) / HALF_MINUTES);
+    const shapeTotal = shape.reduce((a, b) => a + b, 0);
+    return [
+        ...shape.map(s => lambda * halfShare * s / shapeTotal),
+        ...shape.map(s => lambda * (1 - halfShare) * s / shapeTotal)
+    ];
+}
+
+// Inversion sampling; expRate = e^-rate is precomputed per minute
+function samplePoisson(rate, expRate, random) {
+    let k = 0, p = expRate, cdf = p;
+    const u = random();
+    while (u > cdf && p > 0) { k++; p *= rate / k; cdf += p; }
+    return k;
+}
+
+const bandOf = (minute) => Math.ceil(minute / BAND_MINUTES) - 1;
+
+/**
+ * Simulate `runs` matches.
+ * params: {
+ *   lambdas: { home, away }, pi: { home, away },
+ *   halfFactor: number or { home, away },
+ *   dependence: { model: 'independent' | 'bivariate', lambda3 },
+ *   ramp,                                   // intensity rise within each half (0 = flat)
+ *   state: { minute, score: { home, away }, halfTime: { home, away }, lastScorer }  // optional in-play start
+ * }
+ * options: { runs, seed }
+ * Returns shares of runs: correctScore { "h-a": p }; firstGoal { home, away, none,
+ * before (a goal was already scored), meanMinute, bands }; bands [{ band, anyGoal,
+ * goals, home, away }] (goal counts are means); lastTeam { home, away, none,
+ * unknown }; scoreBothHalves { home, away, match }.
+ */
+export function simulateMatches(params, options = {}) {
+    const { runs = 20000, seed = 1 } = options;
+    const halfFactor = params.halfFactor === undefined ? 0.45 : params.halfFactor;
+    const shares = typeof halfFactor === 'number' ? { home: halfFactor, away: halfFactor } : halfFactor;
+    const pi = { home: 0, away: 0, ...params.pi };
+    const dependence = { model: 'independent', lambda3: 0, ...params.dependence };
+    const ramp = params.ramp || 0;
+    const state = params.state || {};
+    const startMinute = state.minute || 0;
+    const score = { home: 0, away: 0, ...state.score };
+    // Before the break the current score is the half-time score so far
+    const halfTime = startMinute <= HALF_MINUTES ? { ...score } : { home: 0, away: 0, ...state.halfTime };
+    // Who scored last so far only matters if nobody scores again; obvious when one side has all the goals
+    const lastScorer = state.lastScorer ||
+        (score.home > 0 && score.away === 0 ? 'home' : (score.away > 0 && score.home === 0 ? 'away' : null));
+
+    if (dependence.model === 'dixonColes') {
+        throw new RangeError("Dixon-Coles adjusts final scores only; simulate with the independent or bivariate model.");
+    }
+    if (!(params.lambdas.home >= 0 && params.lambdas.away >= 0)) throw new RangeError("Lambdas must be non-negative.");
+    if (!(startMinute >= 0 && startMinute <= MATCH_MINUTES)) throw new RangeError("Minute must be 0-90.");
+    if (halfTime.home > score.home || halfTime.away > score.away) throw new RangeError("Half-time score cannot exceed the current score.");
+
+    // Bivariate: a common-shock process adds goals to both sides; each team keeps its marginal lambda
+    const l3 = dependence.model === 'bivariate' ? Math.max(0, Math.min(dependence.lambda3, params.lambdas.home, params.lambdas.away)) : 0;
+    const home = buildIntensity(params.lambdas.home - l3, shares.home, ramp);
+    const away = buildIntensity(params.lambdas.away - l3, shares.away, ramp);
+    const common = buildIntensity(l3, (shares.home + shares.away) / 2, ramp);
+    const expHome = home.map(r => Math.exp(-r));
+    const expAway = away.map(r => Math.exp(-r));
+    const expCommon = common.map(r => Math.exp(-r));
+
+    // A scoreless team may still be "shut out" (the zero-inflated state): update pi on the minutes played
+    const played = (curve, upto) => curve.slice(0, upto).reduce((a, b) => a + b, 0);
+    const shutOut = (p, goals, curveOwn) => {
+        if (goals > 0 || p === 0) return 0;
+        const pNoGoal = Math.exp(-(played(curveOwn, startMinute) + played(common, startMinute)));
+        return p / (p + (1 - p) * pNoGoal);
+    };
+    const piHome = shutOut(pi.home, score.home, home);
+    const piAway = shutOut(pi.away, score.away, away);
+
+    const bands = MATCH_MINUTES / BAND_MINUTES;
+    let ftCounts = {};
+    let firstGoal = { home: 0, away: 0, none: 0, before: 0, minuteSum: 0, bands: new Array(bands).fill(0) };
+    let bandStats = Array.from({ length: bands }, () => ({ anyGoal: 0, goals: 0, home: 0, away: 0 }));
+    let lastTeam = { home: 0, away: 0, none: 0, unknown: 0 };
+    let bothHalves = { home: 0, away: 0, match: 0 };
+    const random = createRandom(seed);
+    const alreadyScored = score.home + score.away > 0;
+
+    for (let run = 0; run < runs; run++) {
+        const homeActive = random() >= piHome;
+        const awayActive = random() >= piAway;
+        let h = score.home, a = score.away;
+        let hH1 = halfTime.home, aH1 = halfTime.away;
+        let first = null, last = null;
+        let bandGoals = new Array(bands).fill(null);
+
+        for (let m = startMinute; m < MATCH_MINUTES; m++) {
+            const shared = samplePoisson(common[m], expCommon[m], random);
+            const gh = homeActive ? samplePoisson(home[m], expHome[m], random) + shared : 0;
+            const ga = awayActive ? samplePoisson(away[m], expAway[m], random) + shared : 0;
+            if (gh + ga === 0) continue;
+
+            const minute = m + 1;
+            const b = bandOf(minute);
+            if (!bandGoals[b]) bandGoals[b] = { home: 0, away: 0 };
+            bandGoals[b].home += gh;
+            bandGoals[b].away += ga;
+            h += gh; a += ga;
+            if (minute <= HALF_MINUTES) { hH1 += gh; aH1 += ga; }
+
+            // Same-minute goals by both sides: order them at random
+            const order = gh > 0 && ga > 0 ? (random() < 0.5 ? ['home', 'away'] : ['away', 'home']) : [gh > 0 ? 'home' : 'away'];
+            if (!first) first = { team: order[0], minute };
+            last = order[order.length - 1];
+        }
+
+        const key = `${h}-${a}`;
+        ftCounts[key] = (ftCounts[key] || 0) + 1;
+
+        if (alreadyScored) firstGoal.before++;
+        else if (!first) firstGoal.none++;
+        else {
+            firstGoal[first.team]++;
+            firstGoal.minuteSum += first.minute;
+            firstGoal.bands[bandOf(first.minute)]++;
+        }
+
+        if (last) lastTeam[last]++;
+        else if (lastScorer) lastTeam[lastScorer]++;
+        else lastTeam[alreadyScored ? 'unknown' : 'none']++;
+
+        bandGoals.forEach((g, b) => {
+            if (!g) return;
+            bandStats[b].anyGoal++;
+            bandStats[b].goals += g.home + g.away;
+            bandStats[b].home += g.home;
+            bandStats[b].away += g.away;
+        });
+
+        const scoredH1 = { home: hH1 > 0, away: aH1 > 0 };
+        const scoredH2 = { home: h - hH1 > 0, away: a - aH1 > 0 };
+        if (scoredH1.home && scoredH2.home) bothHalves.home++;
+        if (scoredH1.away && scoredH2.away) bothHalves.away++;
+        if ((scoredH1.home || scoredH1.away) && (scoredH2.home || scoredH2.away)) bothHalves.match++;
+    }
+
+    const goalsScored = firstGoal.home + firstGoal.away;
+    const labelBand = (b) => `${b * BAND_MINUTES + 1}-${(b + 1) * BAND_MINUTES}`;
+    return {
+        runs,
+        correctScore: Object.fromEntries(Object.entries(ftCounts).map(([k, n]) => [k, n / runs])),
+        firstGoal: {
+            home: firstGoal.home / runs,
+            away: firstGoal.away / runs,
+            none: firstGoal.none / runs,
+            before: firstGoal.before / runs,
+            meanMinute: goalsScored ? firstGoal.minuteSum / goalsScored : null,
+            bands: firstGoal.bands.map((n, b) => ({ band: labelBand(b), prob: n / runs }))
+        },
+        bands: bandStats.map((s, b) => ({
+            band: labelBand(b),
+            anyGoal: s.anyGoal / runs,
+            goals: s.goals / runs,
+            home: s.home / runs,
+            away: s.away / runs
+        })),
+        lastTeam: Object.fromEntries(Object.entries(lastTeam).map(([k, n]) => [k, n / runs])),
+        scoreBothHalves: { home: bothHalves.home / runs, away: bothHalves.away / runs, match: bothHalves.match / runs }
+    };
+}
+
+/**
+ * Simulated (pre-match) correct scores against the analytic grid of the same inputs.
+ * Returns { totalVariation, maxDiff, maxZ, worst } where z uses the binomial
+ * standard error of each cell with at least 5 expected hits, so |z| well
+ * above 4 flags a real mismatch rather than noise.
+ */
+export function compareToModel(simulation, params) {
+    const maxGoals = Math.max(10, ...Object.keys(simulation.correctScore).flatMap(k => k.split('-').map(Number)));
+    const model = computeJointDistribution(params.lambdas.home, params.lambdas.away,
+        (params.pi || {}).home || 0, (params.pi || {}).away || 0, maxGoals, params.dependence);
+
+    let totalVariation = 0, maxDiff = 0, maxZ = 0, worst = null;
+    model.matrix.forEach((row, h) => row.forEach((p, a) => {
+        const key = `${h}-${a}`;
+        const q = simulation.correctScore[key] || 0;
+        const diff = q - p;
+        const se = Math.sqrt(Math.max(p * (1 - p), 1e-12) / simulation.runs);
+        totalVariation += Math.abs(diff);
+        if (Math.abs(diff) > maxDiff) { maxDiff = Math.abs(diff); worst = key; }
+        if (p * simulation.runs >= 5) maxZ = Math.max(maxZ, Math.abs(diff) / se);
+    }));
+    totalVariation += model.tailProb;
+    return { totalVariation: totalVariation / 2, maxDiff, maxZ, worst };
+}
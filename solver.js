@@ -0,0 +1,156 @@
+/**
+ * ZIP Football Calculator - Odds Solver
+ * * Reverse-engineers lambdas and pi from bookmaker prices
+ * (1X2, Over/Under 2.5, BTTS) with a Nelder-Mead search.
+ */
+
+import { computeAdaptiveJoint, removeMargin, sumOf } from './engine.js';
+
+// Strip the bookmaker overround from one market (array of decimal odds)
+export function removeOverround(odds, method) {
+    const implied = odds.map(o => 1 / o);
+    return { probs: removeMargin(implied, method), overround: sumOf(implied) - 1 };
+}
+
+// Fair target probabilities for the markets the solver fits
+export function buildSolverTargets(odds, method) {
+    const m1x2 = removeOverround([odds.home, odds.draw, odds.away], method);
+    const mOU = removeOverround([odds.over, odds.under], method);
+    const mBTTS = removeOverround([odds.bttsYes, odds.bttsNo], method);
+
+    return {
+        targets: [
+            { key: 'homeWin', label: 'Home', prob: m1x2.probs[0] },
+            { key: 'draw', label: 'Draw', prob: m1x2.probs[1] },
+            { key: 'awayWin', label: 'Away', prob: m1x2.probs[2] },
+            { key: 'over', label: 'Over 2.5', prob: mOU.probs[0] },
+            { key: 'under', label: 'Under 2.5', prob: mOU.probs[1] },
+            { key: 'bttsYes', label: 'BTTS Yes', prob: mBTTS.probs[0] },
+            { key: 'bttsNo', label: 'BTTS No', prob: mBTTS.probs[1] }
+        ],
+        overrounds: { '1X2': m1x2.overround, 'O/U 2.5': mOU.overround, 'BTTS': mBTTS.overround }
+    };
+}
+
+// Model probabilities for the solver target keys
+// (summed directly from the grid; deriveMarkets is too heavy for the inner loop)
+function modelSolverProbs(lambdaH, lambdaA, piH, piA, dependence) {
+    const matrix = computeAdaptiveJoint(lambdaH, lambdaA, piH, piA, dependence).matrix;
+    let p = { homeWin: 0, draw: 0, awayWin: 0, over: 0, under: 0, bttsYes: 0, bttsNo: 0 };
+
+    matrix.forEach((row, h) => row.forEach((prob, a) => {
+        if (h > a) p.homeWin += prob;
+        else if (h === a) p.draw += prob;
+        else p.awayWin += prob;
+
+        if (h + a > 2.5) p.over += prob;
+        else p.under += prob;
+
+        if (h > 0 && a > 0) p.bttsYes += prob;
+        else p.bttsNo += prob;
+    }));
+    return p;
+}
+
+// Solver works in unconstrained space: log(lambda), logit(pi)
+const logistic = (x) => 1 / (1 + Math.exp(-x));
+const logit = (p) => Math.log(p / (1 - p));
+
+function unpackSolverParams(x) {
+    return {
+        lambdaH: Math.exp(x[0]),
+        lambdaA: Math.exp(x[1]),
+        piH: logistic(x[2]),
+        piA: logistic(x[3])
+    };
+}
+
+// Nelder-Mead simplex minimiser
+export function nelderMead(fn, x0, options = {}) {
+    const maxIter = options.maxIter || 2000;
+    const tolerance = options.tolerance || 1e-12;
+    const step = options.step || 0.25;
+    const n = x0.length;
+
+    let simplex = [{ x: x0.slice(), f: fn(x0) }];
+    for (let i = 0; i < n; i++) {
+        const x = x0.slice();
+        x[i] += step;
+        simplex.push({ x, f: fn(x) });
+    }
+
+    const combine = (a, b, t) => a.map((v, i) => v + t * (b[i] - v));
+
+    for (let iter = 0; iter < maxIter; iter++) {
+        simplex.sort((a, b) => a.f - b.f);
+        const best = simplex[0];
+        const worst = simplex[n];
+        if (Math.abs(worst.f - best.f) < tolerance) break;
+
+        // Centroid of all points except the worst
+        let centroid = new Array(n).fill(0);
+        for (let i = 0; i < n; i++) {
+            for (let d = 0; d < n; d++) centroid[d] += simplex[i].x[d] / n;
+        }
+
+        const xr = combine(centroid, worst.x, -1);
+        const fr = fn(xr);
+
+        if (fr < best.f) {
+            const xe = combine(centroid, worst.x, -2);
+            const fe = fn(xe);
+            simplex[n] = fe < fr ? { x: xe, f: fe } : { x: xr, f: fr };
+        } else if (fr < simplex[n - 1].f) {
+            simplex[n] = { x: xr, f: fr };
+        } else {
+            const xc = fr < worst.f ? combine(centroid, xr, 0.5) : combine(centroid, worst.x, 0.5);
+            const fc = fn(xc);
+            if (fc < Math.min(fr, worst.f)) {
+                simplex[n] = { x: xc, f: fc };
+            } else {
+                // Shrink towards the best point
+                for (let i = 1; i <= n; i++) {
+                    const xs = combine(best.x, simplex[i].x, 0.5);
+                    simplex[i] = { x: xs, f: fn(xs) };
+                }
+            }
+        }
+    }
+
+    simplex.sort((a, b) => a.f - b.f);
+    return simplex[0];
+}
+
+// Find lambdas and pis that best reproduce the fair market probabilities
+export function solveFromOdds(targets, dependence) {
+    const objective = (x) => {
+        const p = unpackSolverParams(x);
+        const model = modelSolverProbs(p.lambdaH, p.lambdaA, p.piH, p.piA, dependence);
+        return targets.reduce((sum, t) => sum + Math.pow(model[t.key] - t.prob, 2), 0);
+    };
+
+    // Starting point: split a total guessed from Over 2.5 by the 1X2 balance
+    const target = (key) => targets.find(t => t.key === key).prob;
+    const total = 2.6 + 2 * (target('over') - 0.5);
+    const balance = target('homeWin') - target('awayWin');
+    const startH = Math.max(0.2, total / 2 + balance);
+    const startA = Math.max(0.2, total / 2 - balance);
+
+    let best = null;
+    [0.02, 0.08].forEach(piStart => {
+        const x0 = [Math.log(startH), Math.log(startA), logit(piStart), logit(piStart)];
+        const result = nelderMead(objective, x0);
+        if (!best || result.f < best.f) best = result;
+    });
+
+    const params = unpackSolverParams(best.x);
+    const model = modelSolverProbs(params.lambdaH, params.lambdaA, params.piH, params.piA, dependence);
+    const residuals = targets.map(t => ({
+        label: t.label,
+        target: t.prob,
+        model: model[t.key],
+        residual: model[t.key] - t.prob
+    }));
+
+    return { params, residuals, rmse: Math.sqrt(best.f / targets.length) };
+}
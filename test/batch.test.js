@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { price } from '../engine.js';
+import { parseCSV, parseFixtures, headlineMarkets, batchToCSV } from '../batch.js';
+
+// What getInputs() would return for the default form
+const defaults = {
+    marginal: { family: 'zip', dispersion: { home: 10, away: 10 }, zero: { home: 0.25, away: 0.3 }, one: { home: 0.05, away: 0.05 } },
+    halfFactorHome: 0.45, halfFactorAway: 0.45, halfPi: { mode: 'same' },
+    marginFull: 6, marginH1: 8, marginH2: 8, marginMethod: 'proportional',
+    tailEpsilon: 1e-6, dependence: { model: 'independent', rho: 0, lambda3: 0 }
+};
+
+const toParams = (inputs) => ({
+    lambdas: { home: inputs.lambdaHomeFull, away: inputs.lambdaAwayFull },
+    pi: { home: inputs.piHome, away: inputs.piAway },
+    marginal: inputs.marginal,
+    halfFactor: { home: inputs.halfFactorHome, away: inputs.halfFactorAway },
+    margins: { full: inputs.marginFull, h1: inputs.marginH1, h2: inputs.marginH2 }
+});
+
+describe('parseCSV', () => {
+    it('handles quotes, escaped quotes, CRLF and blank lines', () => {
+        const rows = parseCSV('a,b\r\n"x, y","say ""hi"""\r\n\r\nlast,\n');
+        assert.deepEqual(rows, [['a', 'b'], ['x, y', 'say "hi"'], ['last', '']]);
+    });
+});
+
+describe('parseFixtures', () => {
+    it('reads xG rows and supremacy/expectancy rows with form defaults', () => {
+        const fixtures = parseFixtures(
+            'Home,Away,xG Home,xG Away,Supremacy,Expectancy,pi_home,margin_full\n' +
+            'Arsenal,Chelsea,1.65,1.10,,,0.05,\n' +
+            'Leeds,Wolves,,,0.4,2.6,,4\n', defaults);
+
+        assert.equal(fixtures.length, 2);
+        const [a, b] = fixtures.map(f => f.inputs);
+        assert.ok(fixtures.every(f => f.isValid));
+        assert.equal(a.lambdaHomeFull, 1.65);
+        assert.equal(a.piHome, 0.05);
+        assert.deepEqual(a.marginal, defaults.marginal);
+        assert.equal(a.marginFull, 6);
+        assert.equal(b.inputMode, 'sup');
+        assert.ok(Math.abs(b.lambdaHomeFull - 1.5) < 1e-12 && Math.abs(b.lambdaAwayFull - 1.1) < 1e-12);
+        assert.equal(b.marginFull, 4);
+        assert.equal(b.halfFactorHome, 0.45);
+    });
+
+    it('flags invalid rows with the form error messages', () => {
+        const fixtures = parseFixtures('home,away,xg_home,xg_away,pi_home\nA,B,,,\nC,D,-1,1,\nE,F,1,1,2\n', defaults);
+        assert.deepEqual(fixtures.map(f => f.errorMsg),
+            ['Needs xG or supremacy/expectancy.', 'xG values must be non-negative.', 'Pi must be 0-1.']);
+        assert.deepEqual(fixtures.map(f => f.line), [2, 3, 4]);
+    });
+
+    it('prices every row with the form\'s goal distribution', () => {
+        const marginal = { ...defaults.marginal, family: 'negbin', dispersion: { home: 4, away: 6 } };
+        const [fixture] = parseFixtures('home,away,xg_home,xg_away,pi_home\nA,B,1.7,0.9,0.1\n', { ...defaults, marginal });
+        assert.deepEqual(fixture.inputs.marginal, marginal);
+
+        const book = price(toParams(fixture.inputs));
+        const expected = price({ ...toParams(fixture.inputs), marginal, pi: { home: 0, away: 0 } });
+        const poisson = price({ ...toParams(fixture.inputs), marginal: { family: 'poisson' } });
+        assert.equal(book.full.markets.draw, expected.full.markets.draw);
+        assert.ok(Math.abs(book.full.markets.draw - poisson.full.markets.draw) > 1e-3);
+    });
+
+    it('requires home and away columns', () => {
+        assert.throws(() => parseFixtures('team,xg\nA,1\n', defaults), /home/);
+    });
+});
+
+describe('batchToCSV', () => {
+    it('round-trips through parseFixtures', () => {
+        const [fixture] = parseFixtures('home,away,xg_home,xg_away,half_factor\n"Brighton, FC",Spurs,1.4,1.3,0.42\n', defaults);
+        const book = price(toParams(fixture.inputs));
+        const csv = batchToCSV([{ inputs: fixture.inputs, headline: headlineMarkets(book), errorMsg: '' },
+            { inputs: { homeTeam: 'X', awayTeam: 'Y' }, headline: null, errorMsg: 'Bad row' }]);
+
+        const reparsed = parseFixtures(csv, defaults);
+        assert.deepEqual(reparsed[0].inputs, fixture.inputs);
+        assert.equal(reparsed[1].isValid, false);
+        assert.ok(csv.includes(book.full.book['1X2'].Home.odds.toFixed(3)));
+    });
+});
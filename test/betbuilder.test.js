@@ -0,0 +1,91 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compileBet, priceBet } from '../betbuilder.js';
+import { price, priceMarket } from '../engine.js';
+import { assertClose } from './helpers.js';
+
+const book = price({ lambdas: { home: 1.6, away: 1.1 }, pi: { home: 0.05, away: 0.02 }, halfFactor: 0.45, margins: { full: 6, h1: 8, h2: 8 } });
+const probOf = (text) => priceBet(compileBet(text), book).prob;
+
+describe('compileBet', () => {
+    it('evaluates conditions, comparisons and precedence on a score', () => {
+        const at = (text, h, a) => compileBet(text).test({ full: { h, a } });
+        assert.equal(at('home_win AND total > 2.5 AND btts', 2, 1), true);
+        assert.equal(at('home_win AND total > 2.5 AND btts', 3, 0), false);
+        assert.equal(at('(1X) AND home_goals >= 2', 2, 2), true);
+        assert.equal(at('12', 1, 1), false);
+        assert.equal(at('home_goals - away_goals = 2', 3, 1), true);
+        assert.equal(at('home_goals + 1 > away_goals', 1, 2), false);
+        // AND binds tighter than OR; NOT tighter than AND
+        assert.equal(at('draw OR home_win AND btts', 0, 0), true);
+        assert.equal(at('not draw && !btts', 2, 0), true);
+        assert.equal(at('NOT (draw OR btts)', 1, 1), false);
+    });
+
+    it('collects the periods an expression reads', () => {
+        assert.deepEqual(compileBet('btts').periods, ['full']);
+        assert.deepEqual(compileBet('ht_draw AND ft_home_win').periods.sort(), ['full', 'h1']);
+        assert.deepEqual(compileBet('h2_total >= 2').periods, ['h2']);
+    });
+
+    it('reports the position of syntax errors', () => {
+        assert.throws(() => compileBet(''), /expression/);
+        assert.throws(() => compileBet('btts AND'), /end/);
+        assert.throws(() => compileBet('home_goals'), /comparison/);
+        assert.throws(() => compileBet('corners > 9'), /position 1/);
+        assert.throws(() => compileBet('(btts'), /"\)"/);
+        assert.throws(() => compileBet('btts ; draw'), /position 6/);
+        assert.throws(() => compileBet('btts draw'), /position 6/);
+    });
+});
+
+describe('priceBet', () => {
+    it('reproduces single markets from the book', () => {
+        const m = book.full.markets;
+        assertClose(probOf('home_win'), m.homeWin, 1e-12);
+        assertClose(probOf('btts'), m.bttsYes, 1e-12);
+        assertClose(probOf('total > 2.5'), m.overs[2.5], 1e-12);
+        assertClose(probOf('1X'), m.homeWin + m.draw, 1e-12);
+        assertClose(probOf('home_win_to_nil'), m.winToNilHome, 1e-12);
+        assertClose(probOf('ht_draw'), book.h1.markets.draw, 1e-12);
+        assertClose(probOf('h1_total > 0.5 AND h2_total > 0.5'), book.combinations.halves.bothHalvesOver, 1e-12);
+        assertClose(probOf('ht_home_win AND ft_home_win'), book.combinations.htft['H-H'], 1e-12);
+    });
+
+    it('prices the complement and disjoint unions consistently', () => {
+        const bet = 'home_win AND total > 2.5 AND btts';
+        assertClose(probOf(bet) + probOf(`NOT (${bet})`), 1, 1e-12);
+        assertClose(probOf('home_win OR draw'), probOf('1X'), 1e-12);
+        // A home win with both scoring already has 3+ goals
+        assertClose(probOf(bet), probOf('home_win AND btts'), 1e-12);
+        assert.ok(probOf('home_win AND total > 3.5 AND btts') < probOf(bet));
+    });
+
+    it('returns fair and margined odds and the matching cells', () => {
+        const result = priceBet(compileBet('home_goals = 2 AND away_goals <= 1'), book);
+        assert.deepEqual(result.cells.full.sort(), ['2-0', '2-1']);
+        assert.equal(result.crossHalf, false);
+        assertClose(result.prob, book.full.markets.map['2-0'] + book.full.markets.map['2-1'], 1e-12);
+        assertClose(result.fairOdds, 1 / result.prob, 1e-12);
+        assert.ok(result.odds < result.fairOdds);
+
+        const cross = priceBet(compileBet('ht_draw AND ft_home_win'), book);
+        assert.equal(cross.crossHalf, true);
+        assert.ok(cross.cells.h1.every(k => k.split('-')[0] === k.split('-')[1]));
+        assert.ok(cross.cells.full.every(k => +k.split('-')[0] > +k.split('-')[1]));
+    });
+
+    it('margins a bet on one half with that half\'s margin', () => {
+        const halves = price({ lambdas: { home: 1.6, away: 1.1 }, margins: { full: 4, h1: 9, h2: 12 } });
+        const oddsAt = (text, margin) => {
+            const result = priceBet(compileBet(text), halves);
+            assertClose(result.odds, priceMarket({ Yes: result.prob, No: 1 - result.prob }, margin, 'proportional').Yes.odds, 1e-12, text);
+        };
+        oddsAt('ht_draw', 9);
+        oddsAt('h2_total >= 2', 12);
+        oddsAt('h1_total > 0.5 AND h2_total > 0.5', 4);
+        oddsAt('ht_draw AND ft_home_win', 4);
+        oddsAt('home_win', 4);
+    });
+});
@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { dutchStakes, settleDutch, dutchToCSV, getDutchError } from '../dutching.js';
+import { assertClose, sum } from './helpers.js';
+
+const odds = { '1-0': 7, '2-1': 9, '1-1': 6.5 };
+
+describe('dutchStakes', () => {
+    it('spreads a total stake for an equal return on every selection', () => {
+        const plan = dutchStakes(odds, { stake: 100 });
+        assertClose(plan.total, 100, 1e-9);
+        assertClose(plan.book, 1 / 7 + 1 / 9 + 1 / 6.5, 1e-12);
+        plan.selections.forEach(x => assertClose(x.payout, 100 / plan.book, 1e-9));
+        assertClose(plan.minProfit, plan.maxProfit, 1e-9);
+        assertClose(plan.selections[0].stake, 100 / plan.book / 7, 1e-9);
+    });
+
+    it('stakes to a target return', () => {
+        const plan = dutchStakes(odds, { target: 250 });
+        plan.selections.forEach(x => assertClose(x.payout, 250, 1e-9));
+        assertClose(plan.total, 250 * plan.book, 1e-9);
+    });
+
+    it('reports the spread that rounded stakes leave', () => {
+        const plan = dutchStakes(odds, { stake: 100, round: 0.5 });
+        plan.selections.forEach(x => assertClose(x.stake * 2, Math.round(x.stake * 2), 1e-12));
+        assertClose(plan.total, sum(plan.selections.map(x => x.stake)), 1e-12);
+        assert.ok(plan.maxProfit > plan.minProfit);
+        plan.selections.forEach(x => assertClose(x.profit, x.stake * x.odds - plan.total, 1e-12));
+    });
+
+    it('rejects missing odds and stakes', () => {
+        assert.equal(getDutchError(odds, 10), '');
+        assert.match(getDutchError({}, 10), /at least one/);
+        assert.match(getDutchError({ '0-0': 1 }, 10), /0-0/);
+        assert.throws(() => dutchStakes({ '0-0': NaN }, { stake: 10 }), RangeError);
+        assert.throws(() => dutchStakes(odds, { target: 0 }), /Target return/);
+    });
+});
+
+describe('settleDutch', () => {
+    it('settles every grid score and weights the profit by the model', () => {
+        const map = { '0-0': 0.1, '1-0': 0.15, '1-1': 0.12, '2-1': 0.08, '0-1': 0.55 };
+        const plan = dutchStakes(odds, { stake: 30 });
+        const settled = settleDutch(plan, map);
+        assert.deepEqual(settled.rows.map(r => r.score), Object.keys(map));
+        assert.equal(settled.rows.find(r => r.score === '0-0').profit, -30);
+        assert.equal(settled.rows.find(r => r.score === '2-1').selected, true);
+        assertClose(settled.winProb, 0.35, 1e-12);
+        assertClose(settled.expectedProfit, 0.35 * plan.minProfit - 0.65 * 30, 1e-9);
+
+        const csv = dutchToCSV(plan, settled, { match: 'Reds v Blues', period: 'Full Time' });
+        assert.ok(csv.startsWith('match,period\r\nReds v Blues,Full Time\r\n'));
+        assert.ok(csv.includes('\r\ntotal,,30.00,,\r\n'));
+        assert.ok(csv.includes('\r\n0-0,0.100000,no,-30.00\r\n'));
+    });
+});
@@ -0,0 +1,727 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    STANDARD_LINES,
+    TEAM_LINES,
+    computePoissonPMF,
+    computeMarginalPMF,
+    computeJointDistribution,
+    computeAdaptiveJoint,
+    aggregateGrid,
+    deriveMarkets,
+    deriveHalfTimeFullTime,
+    deriveHalfCombinations,
+    deriveFinalScoreByGoals,
+    deriveDoubleChanceGoals,
+    derive1X2Goals,
+    settleAsian,
+    applyMargin,
+    removeMargin,
+    deriveHalfPi,
+    convolveHalves,
+    halfConsistency,
+    remainingShares,
+    posteriorPi,
+    getMarginalError,
+    deriveCupMarkets,
+    deriveTwoLegTie,
+    getCupError,
+    getTwoLegError,
+    price
+} from '../engine.js';
+import { seededRandom, randomInputs, assertClose, sum } from './helpers.js';
+
+const INDEPENDENT = { model: 'independent', rho: 0, lambda3: 0 };
+const MARGIN_METHODS = ['proportional', 'additive', 'shin', 'power', 'oddsRatio', 'logarithmic'];
+
+describe('computePoissonPMF', () => {
+    it('matches reference Poisson values', () => {
+        const { probs } = computePoissonPMF(1.6, 7, 0);
+        assertClose(probs[0], 0.20189651799465538, 1e-12);
+        assertClose(probs[1], 0.32303442879144862, 1e-12);
+        assertClose(probs[2], 0.25842754303315890, 1e-12);
+        assertClose(probs[3], 0.13782802295101808, 1e-12);
+    });
+
+    it('matches reference ZIP values', () => {
+        const { probs } = computePoissonPMF(1.6, 7, 0.1);
+        assertClose(probs[0], 0.1 + 0.9 * 0.20189651799465538, 1e-12);
+        assertClose(probs[1], 0.9 * 0.32303442879144862, 1e-12);
+        assertClose(probs[4], 0.9 * 0.05513120918040723, 1e-12);
+    });
+
+    it('is a valid distribution once the tail is included', () => {
+        const random = seededRandom(1);
+        for (let n = 0; n < 50; n++) {
+            const { lambdaH, piH } = randomInputs(random);
+            const { probs, tail } = computePoissonPMF(lambdaH, 30, piH);
+            probs.forEach(p => assert.ok(p >= 0 && p <= 1));
+            assertClose(sum(probs) + tail, 1, 1e-12);
+            assert.ok(tail >= -1e-12 && tail < 1e-9);
+        }
+    });
+
+    it('puts pi + (1 - pi) e^-lambda on zero goals', () => {
+        const random = seededRandom(2);
+        for (let n = 0; n < 50; n++) {
+            const { lambdaH, piH } = randomInputs(random);
+            const { probs } = computePoissonPMF(lambdaH, 10, piH);
+            assertClose(probs[0], piH + (1 - piH) * Math.exp(-lambdaH), 1e-12);
+        }
+    });
+
+    it('handles lambda = 0 and pi = 1 as a point mass on zero', () => {
+        const zeroLambda = computePoissonPMF(0, 7, 0.3);
+        assert.equal(zeroLambda.probs[0], 1);
+        assert.ok(zeroLambda.probs.slice(1).every(p => p === 0));
+
+        const fullInflation = computePoissonPMF(2.5, 7, 1);
+        assert.equal(fullInflation.probs[0], 1);
+        assert.ok(fullInflation.probs.slice(1).every(p => p === 0));
+    });
+});
+
+describe('computeJointDistribution', () => {
+    it('is the outer product of the marginals when independent', () => {
+        const joint = computeJointDistribution(1.4, 0.9, 0.05, 0.02, 7);
+        const home = computePoissonPMF(1.4, 7, 0.05).probs;
+        const away = computePoissonPMF(0.9, 7, 0.02).probs;
+        assertClose(joint.matrix[2][1], home[2] * away[1], 1e-15);
+        assertClose(joint.tailProb, 1 - sum(home) * sum(away), 1e-12);
+    });
+
+    it('keeps the grid mass under Dixon-Coles and inflates 0-0 for negative rho', () => {
+        const base = computeJointDistribution(1.5, 1.2, 0, 0, 12);
+        const dc = computeJointDistribution(1.5, 1.2, 0, 0, 12, { model: 'dixonColes', rho: -0.1 });
+        assertClose(sum(dc.matrix.flat()), sum(base.matrix.flat()), 1e-12);
+        assert.ok(dc.matrix[0][0] > base.matrix[0][0]);
+        assert.ok(dc.matrix[1][1] > base.matrix[1][1]);
+    });
+
+    it('preserves the ZIP marginals under the bivariate Poisson', () => {
+        const joint = computeJointDistribution(1.6, 1.1, 0.05, 0.03, 20, { model: 'bivariate', lambda3: 0.2 });
+        const homeMarginal = joint.matrix.map(row => sum(row));
+        const expected = computePoissonPMF(1.6, 20, 0.05).probs;
+        expected.forEach((p, k) => assertClose(homeMarginal[k], p, 1e-9));
+    });
+});
+
+describe('computeAdaptiveJoint', () => {
+    it('grows until the tail is below epsilon and renormalises', () => {
+        const joint = computeAdaptiveJoint(3.5, 2.5, 0, 0, INDEPENDENT, 1e-8);
+        assert.ok(joint.maxGoals > 7);
+        assert.ok(joint.tailProb <= 1e-8);
+        assertClose(sum(joint.matrix.flat()), 1, 1e-12);
+    });
+
+    it('never shrinks below the 0-7 grid', () => {
+        const joint = computeAdaptiveJoint(0.2, 0.1, 0, 0, INDEPENDENT, 1e-3);
+        assert.equal(joint.matrix.length, 8);
+    });
+
+    it('aggregates display buckets without losing mass', () => {
+        const joint = computeAdaptiveJoint(2.2, 1.8, 0, 0, INDEPENDENT, 1e-8);
+        const grid = aggregateGrid(joint, 7);
+        assert.equal(grid.labels[7], '7+');
+        assertClose(sum(grid.matrix.flat()), 1, 1e-12);
+        assertClose(grid.map['2-1'], joint.matrix[2][1], 1e-15);
+    });
+});
+
+describe('market invariants (property tests)', () => {
+    const random = seededRandom(42);
+    const cases = Array.from({ length: 40 }, () => randomInputs(random));
+
+    it('every market sums to 1', () => {
+        cases.forEach(({ lambdaH, lambdaA, piH, piA }) => {
+            const joint = computeAdaptiveJoint(lambdaH, lambdaA, piH, piA, INDEPENDENT);
+            const m = deriveMarkets(joint);
+
+            assertClose(m.homeWin + m.draw + m.awayWin, 1, 1e-12);
+            assertClose(m.bttsYes + m.bttsNo, 1, 1e-12);
+            assertClose(sum(m.exactTotals), 1, 1e-12);
+            assertClose(sum(Object.values(m.map)), 1, 1e-12);
+            m.asianHandicap.lines.forEach(e => assertClose(e.sideA + e.sideB, 1, 1e-12));
+
+            const scores = Object.values(deriveFinalScoreByGoals(joint)).flat();
+            assertClose(sum(scores.map(s => s.prob)), 1, 1e-12);
+
+            const result1X2Goals = derive1X2Goals(joint);
+            STANDARD_LINES.forEach(line => {
+                const cells = Object.values(result1X2Goals[line]).flatMap(r => [r.over, r.under]);
+                assertClose(sum(cells), 1, 1e-12);
+            });
+        });
+    });
+
+    it('team, range and margin markets agree with the grid', () => {
+        cases.slice(0, 20).forEach(({ lambdaH, lambdaA, piH, piA }) => {
+            const joint = computeAdaptiveJoint(lambdaH, lambdaA, piH, piA, INDEPENDENT, 1e-12);
+            const m = deriveMarkets(joint);
+            const pmfH = computePoissonPMF(lambdaH, joint.maxGoals, piH).probs;
+
+            assertClose(sum(m.teamGoals.home), 1, 1e-12);
+            m.teamGoals.home.slice(0, 6).forEach((p, k) => assertClose(p, pmfH[k], 1e-9));
+            TEAM_LINES.forEach(line => {
+                assertClose(m.teamOvers.home[line], sum(m.teamGoals.home.slice(Math.ceil(line))), 1e-12);
+            });
+            assertClose(m.teamOvers.away[0.5], 1 - m.cleanSheetHome, 1e-12);
+
+            assertClose(m.oddTotal, sum(m.exactTotals.filter((_, t) => t % 2 === 1)), 1e-12);
+            assertClose(m.multiGoals['2-3'], m.exactTotals[2] + m.exactTotals[3], 1e-12);
+            assertClose(sum(m.winningMargin.home), m.homeWin, 1e-12);
+            assertClose(sum(m.winningMargin.away) + m.draw + sum(m.winningMargin.home), 1, 1e-12);
+        });
+    });
+
+    it('Over(line) is monotone non-increasing in the line', () => {
+        cases.forEach(({ lambdaH, lambdaA, piH, piA }) => {
+            const m = deriveMarkets(computeAdaptiveJoint(lambdaH, lambdaA, piH, piA, INDEPENDENT));
+            for (let i = 1; i < STANDARD_LINES.length; i++) {
+                assert.ok(m.overs[STANDARD_LINES[i]] <= m.overs[STANDARD_LINES[i - 1]] + 1e-15);
+            }
+            for (let i = 1; i < m.asianTotals.lines.length; i++) {
+                assert.ok(m.asianTotals.lines[i].sideA <= m.asianTotals.lines[i - 1].sideA + 1e-12);
+            }
+        });
+    });
+
+    it('P(0) of each team equals pi + (1 - pi) e^-lambda in the joint grid', () => {
+        cases.forEach(({ lambdaH, lambdaA, piH, piA }) => {
+            const m = deriveMarkets(computeAdaptiveJoint(lambdaH, lambdaA, piH, piA, INDEPENDENT, 1e-12));
+            assertClose(m.cleanSheetAway, piH + (1 - piH) * Math.exp(-lambdaH), 1e-9);
+            assertClose(m.cleanSheetHome, piA + (1 - piA) * Math.exp(-lambdaA), 1e-9);
+        });
+    });
+
+    it('HT/FT sums to 1 and its FT margins match the FT 1X2 when Poisson and independent', () => {
+        cases.forEach(({ lambdaH, lambdaA, halfFactor }) => {
+            const eps = 1e-12;
+            const full = deriveMarkets(computeAdaptiveJoint(lambdaH, lambdaA, 0, 0, INDEPENDENT, eps));
+            const h1 = computeAdaptiveJoint(lambdaH * halfFactor, lambdaA * halfFactor, 0, 0, INDEPENDENT, eps);
+            const h2 = computeAdaptiveJoint(lambdaH * (1 - halfFactor), lambdaA * (1 - halfFactor), 0, 0, INDEPENDENT, eps);
+            const { htft, htftGoals } = deriveHalfTimeFullTime(h1, h2);
+
+            assertClose(sum(Object.values(htft)), 1, 1e-9);
+            const ft = (r) => htft[`H-${r}`] + htft[`D-${r}`] + htft[`A-${r}`];
+            assertClose(ft('H'), full.homeWin, 1e-8);
+            assertClose(ft('D'), full.draw, 1e-8);
+            assertClose(ft('A'), full.awayWin, 1e-8);
+
+            const htftOver = sum(Object.values(htftGoals[2.5]).map(c => c.over));
+            assertClose(htftOver, full.overs[2.5], 1e-8);
+        });
+    });
+
+    it('both halves over 0.5 needs a goal in each independent half', () => {
+        const h1 = computeAdaptiveJoint(0.6, 0.5, 0, 0, INDEPENDENT, 1e-12);
+        const h2 = computeAdaptiveJoint(0.8, 0.6, 0, 0, INDEPENDENT, 1e-12);
+        assertClose(deriveHalfCombinations(h1, h2).bothHalvesOver, (1 - Math.exp(-1.1)) * (1 - Math.exp(-1.4)), 1e-9);
+    });
+
+    it('half-by-half markets are consistent with the half grids', () => {
+        const h1 = computeAdaptiveJoint(0.7, 0.5, 0.05, 0, INDEPENDENT, 1e-12);
+        const h2 = computeAdaptiveJoint(0.9, 0.6, 0.05, 0, INDEPENDENT, 1e-12);
+        const c = deriveHalfCombinations(h1, h2);
+        const m1 = deriveMarkets(h1), m2 = deriveMarkets(h2);
+
+        assertClose(sum(Object.values(c.highestScoringHalf)), 1, 1e-12);
+        assertClose(c.winBothHalves.home, m1.homeWin * m2.homeWin, 1e-12);
+        assertClose(c.winEitherHalf.away, 1 - (1 - m1.awayWin) * (1 - m2.awayWin), 1e-12);
+        assertClose(c.scoreBothHalves.home, (1 - m1.cleanSheetAway) * (1 - m2.cleanSheetAway), 1e-12);
+
+        const cells = Object.values(c.htftScores).flatMap(row => Object.values(row));
+        assertClose(sum(cells) + c.htftScoresOther, 1, 1e-12);
+        assertClose(c.htftScores['0-0']['0-0'], h1.matrix[0][0] * h2.matrix[0][0], 1e-15);
+        assertClose(c.htftScores['1-0']['2-1'], h1.matrix[1][0] * h2.matrix[1][1], 1e-15);
+        assert.equal(c.htftScores['1-0']['0-1'], undefined);
+        assert.equal(c.htftScores['3-0'], undefined);
+    });
+
+    it('double chance + goals agrees with the 1X2 + goals split', () => {
+        cases.slice(0, 10).forEach(({ lambdaH, lambdaA, piH, piA }) => {
+            const joint = computeAdaptiveJoint(lambdaH, lambdaA, piH, piA, INDEPENDENT);
+            const dc = deriveDoubleChanceGoals(joint);
+            const rg = derive1X2Goals(joint);
+            STANDARD_LINES.forEach(line => {
+                assertClose(dc[line]['1X'].over, rg[line].Home.over + rg[line].Draw.over, 1e-12);
+                assertClose(dc[line]['12'].under, rg[line].Home.under + rg[line].Away.under, 1e-12);
+            });
+        });
+    });
+});
+
+describe('settleAsian', () => {
+    it('settles whole, half and quarter lines', () => {
+        assert.deepEqual(settleAsian(0, 0), { win: 0, loss: 0 });          // push
+        assert.deepEqual(settleAsian(0.5, -0.5), { win: 1, loss: 0 });
+        assert.deepEqual(settleAsian(0.25, -0.25), { win: 0.5, loss: 0 }); // half win
+        assert.deepEqual(settleAsian(-0.25, -0.25), { win: 0, loss: 0.5 }); // half loss
+        assert.deepEqual(settleAsian(0.25, -0.75), { win: 0.5, loss: 0 }); // -0.75 winning by one
+        assert.deepEqual(settleAsian(1.25, -0.75), { win: 1, loss: 0 });
+        assert.deepEqual(settleAsian(-0.75, -0.75), { win: 0, loss: 1 });
+    });
+
+    it('prices handicap 0 as draw no bet', () => {
+        const m = deriveMarkets(computeAdaptiveJoint(1.6, 1.1, 0, 0, INDEPENDENT));
+        const dnb = m.asianHandicap.lines.find(e => e.line === 0);
+        assertClose(dnb.sideA, m.homeWin / (m.homeWin + m.awayWin), 1e-12);
+        assertClose(dnb.push, m.draw, 1e-12);
+    });
+});
+
+describe('applyMargin / removeMargin', () => {
+    it('builds a book of 1 + margin and round-trips for every method', () => {
+        const fair = [0.5, 0.3, 0.2];
+        MARGIN_METHODS.forEach(method => {
+            const book = applyMargin(fair, 6, method);
+            assertClose(sum(book), 1.06, 1e-9, `${method} book`);
+            book.forEach((q, i) => assert.ok(q > fair[i], `${method} shortens every price`));
+            removeMargin(book, method).forEach((p, i) => assertClose(p, fair[i], 1e-6, `${method} round trip`));
+        });
+    });
+
+    it('keeps odds at 1 or above and the book at 1 + margin for a heavy favourite', () => {
+        const shin = applyMargin([0.9, 0.05, 0.03, 0.02], 30, 'shin');
+        assertClose(sum(shin), 1.3, 1e-9);
+        shin.forEach(q => assert.ok(q <= 1, `implied ${q}`));
+
+        const certain = applyMargin([1, 0], 30, 'shin');
+        assertClose(sum(certain), 1.3, 1e-9);
+        assert.deepEqual(certain.map(q => q <= 1), [true, true]);
+    });
+
+    it('caps a large additive margin on a skewed market at odds of 1', () => {
+        const additive = applyMargin([0.97, 0.02, 0.01], 20, 'additive');
+        assertClose(sum(additive), 1.2, 1e-9);
+        additive.forEach(q => assert.ok(q <= 1, `implied ${q}`));
+    });
+
+    it('removes a large logarithmic margin to a normalised book', () => {
+        const fair = [0.9, 0.05, 0.03, 0.02];
+        const fairBack = removeMargin(applyMargin(fair, 30, 'logarithmic'), 'logarithmic');
+        assertClose(sum(fairBack), 1, 1e-12);
+        fairBack.forEach((p, i) => assertClose(p, fair[i], 1e-9));
+    });
+
+    it('returns fair probabilities for a zero margin', () => {
+        MARGIN_METHODS.forEach(method => {
+            assert.deepEqual(applyMargin([0.25, 0.75], 0, method), [0.25, 0.75]);
+        });
+    });
+});
+
+describe('half splits', () => {
+    it('derives half pis whose convolution reproduces the full-time P(0)', () => {
+        const random = seededRandom(8);
+        for (let i = 0; i < 20; i++) {
+            const { lambdaH, piH, halfFactor } = randomInputs(random);
+            const halfPi = deriveHalfPi(lambdaH, piH, halfFactor);
+            const zeroH1 = halfPi + (1 - halfPi) * Math.exp(-lambdaH * halfFactor);
+            const zeroH2 = halfPi + (1 - halfPi) * Math.exp(-lambdaH * (1 - halfFactor));
+            assertClose(zeroH1 * zeroH2, piH + (1 - piH) * Math.exp(-lambdaH), 1e-9);
+        }
+    });
+
+    it('convolves half grids into a normalised full-time grid', () => {
+        const h1 = computeAdaptiveJoint(0.7, 0.5, 0, 0);
+        const h2 = computeAdaptiveJoint(0.9, 0.6, 0, 0);
+        const ft = convolveHalves(h1, h2);
+        assertClose(sum(ft.matrix.flat()), 1, 1e-12);
+        assertClose(ft.matrix[0][0], h1.matrix[0][0] * h2.matrix[0][0], 1e-12);
+    });
+
+    it('finds independent Poisson halves consistent with full time', () => {
+        const book = price({ lambdas: { home: 1.6, away: 1.1 }, halfFactor: { home: 0.42, away: 0.47 } });
+        assert.ok(book.consistency.totalVariation < 1e-5);
+        assertClose(book.consistency.meanHome.diff, 0, 1e-5);
+    });
+
+    it('matches full-time P(0) per team in derived mode', () => {
+        const book = price({ lambdas: { home: 1.5, away: 1.2 }, pi: { home: 0.08, away: 0.04 }, halfPi: { mode: 'derived' } });
+        assertClose(book.consistency.pZeroHome.diff, 0, 1e-6);
+        assertClose(book.consistency.pZeroAway.diff, 0, 1e-6);
+
+        const same = price({ lambdas: { home: 1.5, away: 1.2 }, pi: { home: 0.08, away: 0.04 } });
+        assert.ok(same.consistency.pZeroHome.convolved < same.consistency.pZeroHome.ft);
+    });
+});
+
+describe('price', () => {
+    const params = { lambdas: { home: 1.6, away: 1.1 }, pi: { home: 0.05, away: 0.02 }, halfFactor: 0.45, margins: { full: 6, h1: 8, h2: 8 } };
+
+    it('returns a JSON-serialisable book with margined odds', () => {
+        const book = price(params);
+        const copy = JSON.parse(JSON.stringify(book));
+        assert.deepEqual(Object.keys(copy), ['inputs', 'full', 'h1', 'h2', 'combinations', 'cup', 'consistency']);
+
+        const oneX2 = book.full.book['1X2'];
+        assertClose(sum(Object.values(oneX2).map(s => 1 / s.odds)), 1.06, 1e-9);
+        assertClose(oneX2.Home.fairOdds, 1 / book.full.markets.homeWin, 1e-12);
+        assert.ok(book.full.book['HT/FT']['Home/Home'].odds > 1);
+    });
+
+    it('prices team, range and margin markets in every period', () => {
+        const book = price(params);
+        ['full', 'h1', 'h2'].forEach(period => {
+            const b = book[period].book;
+            assert.deepEqual(Object.keys(b['Home Exact Goals']), ['0', '1', '2', '3', '4', '5+']);
+            assertClose(sum(Object.values(b['Winning Margin']).map(s => s.prob)), 1, 1e-12);
+            assertClose(sum(Object.values(b['Away Exact Goals']).map(s => s.prob)), 1, 1e-12);
+            assert.ok(b['Away Over/Under 1.5'].Over.odds > 1);
+            assert.ok(b['Multi Goals 1-3'].Yes.prob > b['Multi Goals 1-2'].Yes.prob);
+        });
+        assert.ok(book.full.book['Both Halves Over 0.5'].Yes.prob < book.h1.book['Over/Under 0.5'].Over.prob);
+        assertClose(sum(Object.values(book.full.book['HT/FT Correct Score']).map(s => s.prob)), 1, 1e-12);
+        assert.ok(book.full.book['Home Win Either Half'].Yes.prob > book.full.book['Home Win Both Halves'].Yes.prob);
+        assert.equal(book.h1.book['Both Halves Over 0.5'], undefined);
+    });
+
+    it('prices the requested goal lines, including lines beyond 5.5', () => {
+        const book = price({ ...params, lines: { goals: [7.5, 2.5, 2.5], team: [4.5] } });
+        assert.deepEqual(book.inputs.lines, { goals: [2.5, 7.5], team: [4.5] });
+        const full = book.full;
+        assertClose(full.book['Over/Under 7.5'].Over.prob, sum(full.markets.exactTotals.slice(8)), 1e-12);
+        assert.ok(full.book['Result & O/U 7.5']['Home & Over'].prob > 0);
+        assert.ok(full.book['HT/FT & O/U 7.5']['Home/Home & Over'].prob > 0);
+        assert.ok(full.book['Home or Draw & Under 7.5']);
+        assert.ok(book.h1.book['Away Over/Under 4.5']);
+        assert.equal(full.book['Over/Under 0.5'], undefined);
+        assert.equal(full.book['Home Over/Under 0.5'], undefined);
+
+        assert.throws(() => price({ ...params, lines: { goals: [2.25] } }), RangeError);
+        assert.throws(() => price({ ...params, lines: { team: [] } }), RangeError);
+    });
+
+    it('favours the away side for negative supremacy', () => {
+        // Mode B: supremacy -0.5, expectancy 2.7
+        const book = price({ lambdas: { home: (2.7 - 0.5) / 2, away: (2.7 + 0.5) / 2 } });
+        assert.ok(book.full.markets.awayWin > book.full.markets.homeWin);
+    });
+
+    it('prices lambda = 0 and pi = 1 as a certain 0-0', () => {
+        assertClose(price({ lambdas: { home: 0, away: 0 } }).full.markets.map['0-0'], 1, 1e-12);
+        assertClose(price({ lambdas: { home: 2, away: 2 }, pi: { home: 1, away: 1 } }).full.markets.map['0-0'], 1, 1e-12);
+    });
+
+    it('rejects the inputs getInputs() would flag', () => {
+        assert.throws(() => price({ ...params, lambdas: { home: -0.1, away: 1 } }), RangeError);
+        assert.throws(() => price({ ...params, pi: { home: 1.2, away: 0 } }), RangeError);
+        assert.throws(() => price({ ...params, halfFactor: 1.2 }), RangeError);
+        assert.throws(() => price({ ...params, halfFactor: -0.1 }), RangeError);
+        assert.throws(() => price({ ...params, halfFactor: { home: 0.45, away: 1.5 } }), RangeError);
+        assert.throws(() => price({ ...params, halfPi: { mode: 'manual', h1: { home: 2, away: 0 }, h2: { home: 0, away: 0 } } }), RangeError);
+        assert.throws(() => price({ ...params, dependence: { model: 'bivariate', lambda3: 2 } }), RangeError);
+        assert.throws(() => price({ ...params, dependence: { model: 'dixonColes', rho: 2 } }), RangeError);
+    });
+});
+
+describe('in-play', () => {
+    const params = { lambdas: { home: 1.6, away: 1.1 }, pi: { home: 0.05, away: 0.02 }, halfFactor: { home: 0.44, away: 0.46 } };
+    const meanGoals = (matrix) => {
+        let home = 0, away = 0;
+        matrix.forEach((row, h) => row.forEach((p, a) => { home += h * p; away += a * p; }));
+        return { home, away };
+    };
+
+    it('reproduces the pre-match book at kick-off', () => {
+        const pre = price(params);
+        const live = price({ ...params, state: { minute: 0, score: { home: 0, away: 0 } } });
+        ['full', 'h1', 'h2'].forEach(period => Object.keys(pre[period].book).forEach(market => {
+            Object.keys(pre[period].book[market]).forEach(selection => {
+                assertClose(live[period].book[market][selection].prob, pre[period].book[market][selection].prob, 1e-12);
+            });
+        }));
+    });
+
+    it('splits the time left by the half shares', () => {
+        assert.deepEqual(remainingShares(0.4, 0), { h1: 0.4, h2: 0.6 });
+        assertClose(remainingShares(0.4, 30).h1, 0.4 / 3, 1e-12);
+        assert.deepEqual(remainingShares(0.4, 45), { h1: 0, h2: 0.6 });
+        assertClose(remainingShares(0.4, 75).h2, 0.2, 1e-12);
+        assert.deepEqual(remainingShares(0.4, 90), { h1: 0, h2: 0 });
+    });
+
+    it('raises pi for a team still scoreless and drops it once they score', () => {
+        assert.ok(posteriorPi(0.1, 0, 0.8) > 0.1);
+        assertClose(posteriorPi(0.1, 0, 0), 0.1, 1e-12);
+        assert.equal(posteriorPi(0.1, 1, 0.8), 0);
+    });
+
+    it('shifts the remaining goals by the current score', () => {
+        const state = { minute: 30, score: { home: 1, away: 0 } };
+        const book = price({ ...params, pi: { home: 0, away: 0 }, state });
+        book.full.matrix.forEach((row, h) => row.forEach((p, a) => { if (h < 1) assert.equal(p, 0); }));
+        const mean = meanGoals(book.full.matrix);
+        const left = (1 - 0.44 * 30 / 45);
+        assertClose(mean.home, 1 + 1.6 * left, 1e-4);
+        assertClose(mean.away, 1.1 * (1 - 0.46 * 30 / 45), 1e-4);
+        assert.equal(book.full.book['Over/Under 0.5'].Over.prob, 1);
+        assert.ok(book.h1.markets.homeWin > 0.7);
+    });
+
+    it('settles the 1st half after the break', () => {
+        const state = { minute: 60, score: { home: 1, away: 2 }, halfTime: { home: 0, away: 1 } };
+        const book = price({ ...params, state });
+        assert.equal(book.h1.markets.map['0-1'], 1);
+        assert.equal(book.full.book['HT/FT']['Home/Home'].prob, 0);
+        assertClose(book.full.book['HT/FT']['Away/Away'].prob + book.full.book['HT/FT']['Away/Draw'].prob +
+            book.full.book['HT/FT']['Away/Home'].prob, 1, 1e-9);
+        // 2nd half grid carries the 1-1 already scored after the break
+        assert.equal(book.h2.markets.map['0-0'], 0);
+        assert.ok(book.h2.markets.map['1-1'] > 0.3);
+
+        const ended = price({ ...params, state: { ...state, minute: 90 } });
+        assert.equal(ended.full.markets.map['1-2'], 1);
+        assert.equal(ended.full.book['1X2'].Away.prob, 1);
+    });
+
+    it('moves the price against a side down to ten men', () => {
+        const state = { minute: 20, score: { home: 0, away: 0 } };
+        const level = price({ ...params, state });
+        const red = price({ ...params, state: { ...state, redCards: { home: 1, away: 0 } } });
+        assert.ok(red.full.markets.homeWin < level.full.markets.homeWin - 0.05);
+        assert.ok(red.full.markets.awayWin > level.full.markets.awayWin + 0.05);
+    });
+
+    it('rejects impossible states', () => {
+        assert.throws(() => price({ ...params, state: { minute: 95, score: { home: 0, away: 0 } } }), RangeError);
+        assert.throws(() => price({ ...params, state: { minute: 30, score: { home: 1.5, away: 0 } } }), RangeError);
+        assert.throws(() => price({ ...params, state: { minute: 60, score: { home: 0, away: 0 } } }), /Half-time/);
+        assert.throws(() => price({ ...params, state: { minute: 60, score: { home: 0, away: 0 }, halfTime: { home: 1, away: 0 } } }), RangeError);
+    });
+});
+
+describe('marginal families', () => {
+    const params = { lambdas: { home: 1.6, away: 1.1 }, pi: { home: 0.08, away: 0.04 }, halfFactor: 0.45 };
+    const teamMean = (goals) => goals.reduce((s, p, k) => s + k * p, 0);
+
+    it('gives the negative binomial its mean and extra variance', () => {
+        const { probs, tail } = computeMarginalPMF(1.5, 80, 0, { dispersion: 3 });
+        assertClose(tail, 0, 1e-12);
+        const mean = teamMean(probs);
+        const variance = probs.reduce((s, p, k) => s + (k - mean) ** 2 * p, 0);
+        assertClose(mean, 1.5, 1e-9);
+        assertClose(variance, 1.5 + 1.5 * 1.5 / 3, 1e-9);
+
+        const nearPoisson = computeMarginalPMF(1.5, 10, 0.1, { dispersion: 1e9 }).probs;
+        computePoissonPMF(1.5, 10, 0.1).probs.forEach((p, k) => assertClose(nearPoisson[k], p, 1e-8));
+        assert.deepEqual(computeMarginalPMF(1.5, 10, 0.1), computePoissonPMF(1.5, 10, 0.1));
+    });
+
+    it('builds every period from the chosen family', () => {
+        const pois = (l, k) => Math.exp(-l) * Math.pow(l, k) / [1, 1, 2, 6][k];
+
+        const hurdle = price({ ...params, marginal: { family: 'hurdle', zero: { home: 0.1, away: 0.4 } } });
+        assertClose(hurdle.full.markets.teamGoals.home[0], 0.1, 1e-6);
+        assertClose(hurdle.full.markets.teamGoals.away[0], 0.4, 1e-6);
+        const g = hurdle.full.markets.teamGoals.home;
+        assertClose(g[2] / g[1], 1.6 / 2, 1e-9);
+        // P(0) = 0.1 is below e^-1.6: the zero deflation must still leave valid halves
+        ['h1', 'h2'].forEach(period => hurdle[period].matrix.forEach(row => row.forEach(p => assert.ok(p >= 0))));
+
+        const oneInflated = price({ ...params, marginal: { family: 'oneInflated', one: { home: 0.1, away: 0 } } });
+        assertClose(oneInflated.full.markets.teamGoals.home[1], 0.1 + 0.9 * pois(1.6, 1), 1e-6);
+        assertClose(oneInflated.h1.markets.teamGoals.home[1], 0.1 + 0.9 * pois(1.6 * 0.45, 1), 1e-6);
+
+        const r = 4;
+        const zinb = price({ ...params, marginal: { family: 'zinb', dispersion: { home: r, away: r } } });
+        assertClose(zinb.full.markets.teamGoals.home[0], 0.08 + 0.92 * Math.pow(r / (r + 1.6), r), 1e-6);
+        assertClose(teamMean(zinb.h2.markets.teamGoals.away), 0.96 * 1.1 * 0.55, 1e-5);
+
+        // Same means, fatter tails
+        const negbin = price({ ...params, marginal: { family: 'negbin', dispersion: { home: r, away: r } } });
+        const poisson = price({ ...params, marginal: { family: 'poisson' } });
+        assertClose(teamMean(negbin.full.markets.teamGoals.home), teamMean(poisson.full.markets.teamGoals.home), 1e-5);
+        assert.ok(negbin.full.markets.overs[4.5] > poisson.full.markets.overs[4.5]);
+        assert.ok(negbin.full.markets.map['0-0'] > poisson.full.markets.map['0-0']);
+
+        [hurdle, oneInflated, zinb, negbin].forEach(book => ['full', 'h1', 'h2'].forEach(period => {
+            const m = book[period].markets;
+            assertClose(m.homeWin + m.draw + m.awayWin, 1, 1e-12);
+            assertClose(sum(m.exactTotals), 1, 1e-9);
+        }));
+    });
+
+    it('keeps ZIP as the default and ignores pi where the family has none', () => {
+        assert.deepEqual(price({ ...params, marginal: { family: 'zip' } }).full.matrix, price(params).full.matrix);
+        const poisson = price({ ...params, halfPi: { mode: 'derived' }, marginal: { family: 'poisson' } });
+        assert.deepEqual(poisson.full.matrix, price({ ...params, pi: { home: 0, away: 0 } }).full.matrix);
+        assert.deepEqual(poisson.inputs.halfPi, { mode: 'same', h1: { home: 0, away: 0 }, h2: { home: 0, away: 0 } });
+    });
+
+    it('derives ZINB half pi that reproduces the full time P(0)', () => {
+        const book = price({ ...params, halfPi: { mode: 'derived' }, marginal: { family: 'zinb', dispersion: { home: 2, away: 5 } } });
+        const zero = (period, side) => book[period].markets.teamGoals[side][0];
+        assertClose(zero('h1', 'home') * zero('h2', 'home'), zero('full', 'home'), 1e-6);
+        assertClose(zero('h1', 'away') * zero('h2', 'away'), zero('full', 'away'), 1e-6);
+    });
+
+    it('updates the negative binomial rate from the goals so far in-play', () => {
+        const nb = { ...params, marginal: { family: 'negbin', dispersion: { home: 2, away: 2 } } };
+        const pre = price(nb);
+        const kickOff = price({ ...nb, state: { minute: 0, score: { home: 0, away: 0 } } });
+        pre.full.matrix.forEach((row, h) => row.forEach((p, a) => assertClose(kickOff.full.matrix[h][a], p, 1e-12)));
+
+        // Poisson rates ignore the goals so far; a gamma rate learns from them
+        const remainingHome = (family, score) => {
+            const book = price({ ...nb, marginal: { ...nb.marginal, family }, state: { minute: 30, score } });
+            return teamMean(book.full.markets.teamGoals.home) - score.home;
+        };
+        const flood = { home: 3, away: 0 }, blank = { home: 0, away: 0 };
+        assertClose(remainingHome('poisson', flood), remainingHome('poisson', blank), 1e-5);
+        assert.ok(remainingHome('negbin', flood) > remainingHome('poisson', flood) + 0.3);
+        assert.ok(remainingHome('negbin', blank) < remainingHome('poisson', blank));
+    });
+
+    it('rejects unusable families and combinations', () => {
+        const lambdas = params.lambdas;
+        assert.equal(getMarginalError({ family: 'zip' }, lambdas), '');
+        assert.match(getMarginalError({ family: 'gamma' }, lambdas), /Unknown/);
+        assert.match(getMarginalError({ family: 'negbin', dispersion: { home: 0, away: 2 } }, lambdas), /Dispersion/);
+        assert.match(getMarginalError({ family: 'hurdle', zero: { home: 1.2, away: 0.2 } }, lambdas), /P\(0\)/);
+        assert.match(getMarginalError({ family: 'hurdle', zero: { home: 0.2, away: 0.2 } }, { home: 0, away: 1 }), /xG/);
+        assert.match(getMarginalError({ family: 'oneInflated', one: { home: -0.1, away: 0 } }, lambdas), /1-goal/);
+        assert.throws(() => price({ ...params, dependence: { model: 'bivariate', lambda3: 0.1 }, marginal: { family: 'negbin', dispersion: { home: 2, away: 2 } } }), /Bivariate/);
+        assert.throws(() => price({ ...params, state: { minute: 10, score: { home: 0, away: 0 } }, marginal: { family: 'oneInflated', one: { home: 0.1, away: 0.1 } } }), /In-play/);
+    });
+
+    it('mixes 1-inflation into the bivariate Poisson without changing the marginals', () => {
+        const shapes = { home: { one: 0.1 }, away: {} };
+        const joint = computeJointDistribution(1.4, 1.0, 0.05, 0.02, 25, { model: 'bivariate', lambda3: 0.2 }, shapes);
+        const home = computeMarginalPMF(1.4, 25, 0.05, shapes.home).probs;
+        home.slice(0, 8).forEach((p, h) => assertClose(sum(joint.matrix[h]), p, 1e-12));
+    });
+});
+
+describe('cup ties', () => {
+    const params = { lambdas: { home: 1.5, away: 1.1 }, pi: { home: 0.05, away: 0.03 }, margins: { full: 5 } };
+
+    it('settles every drawn tie in extra time or on penalties', () => {
+        const book = price({ ...params, cup: {} });
+        const cup = book.cup.markets;
+        const m = book.full.markets;
+        assertClose(cup.extraTime, m.draw, 1e-12);
+        assertClose(sum(Object.values(cup.afterExtraTime)), m.draw, 1e-12);
+        assertClose(cup.toQualify.home + cup.toQualify.away, 1, 1e-12);
+        assertClose(cup.method.home.regular, m.homeWin, 1e-12);
+        assertClose(cup.method.home.penalties, cup.method.away.penalties, 1e-15);
+        assertClose(cup.method.home.extraTime + cup.method.away.extraTime + cup.penalties, cup.extraTime, 1e-12);
+        assert.ok(cup.method.home.extraTime > cup.method.away.extraTime);
+        assert.equal(price(params).cup, null);
+    });
+
+    it('convolves the extra time grid onto the drawn full time cells', () => {
+        const full = { matrix: [[0.2, 0.1], [0.3, 0.4]] };
+        const et = { matrix: [[0.5, 0.2], [0.3, 0]] };
+        const cup = deriveCupMarkets(full, et, 0.6);
+        assertClose(cup.afterExtraTime['1-2'], 0.4 * 0.2, 1e-15);
+        assertClose(cup.afterExtraTime['0-0'], 0.2 * 0.5, 1e-15);
+        assertClose(cup.penalties, 0.6 * 0.5, 1e-15);
+        assertClose(cup.method.home.penalties, 0.3 * 0.6, 1e-15);
+        assertClose(cup.toQualify.home, 0.3 + 0.6 * 0.3 + 0.3 * 0.6, 1e-15);
+    });
+
+    it('prices the cup markets into the full time book', () => {
+        const book = price({ ...params, cup: { etShare: 0.3, penaltyHome: 0.55 } }).full.book;
+        ['To Qualify', 'Method of Victory', 'Extra Time', 'Penalty Shootout'].forEach(name => assert.ok(book[name], name));
+        const scores = book['Score After Extra Time'];
+        assertClose(sum(Object.values(scores).map(s => s.prob)), 1, 1e-12);
+        assert.ok(book['To Qualify'].Home.odds < book['To Qualify'].Home.fairOdds);
+        assert.equal(scores['5-5'], undefined);
+        assert.ok(scores['Any Other'].prob > 0);
+    });
+
+    it('scales extra time scoring and rejects bad settings', () => {
+        const noExtraGoals = price({ ...params, cup: { etShare: 0, penaltyHome: 0.7 } }).cup.markets;
+        assertClose(noExtraGoals.penalties, noExtraGoals.extraTime, 1e-12);
+        assertClose(noExtraGoals.method.home.penalties, 0.7 * noExtraGoals.extraTime, 1e-12);
+        const longer = price({ ...params, cup: { etShare: 0.5 } }).cup.markets;
+        const shorter = price({ ...params, cup: { etShare: 0.2 } }).cup.markets;
+        assert.ok(longer.penalties < shorter.penalties);
+
+        const inPlay = price({ ...params, cup: {}, state: { minute: 80, score: { home: 2, away: 2 }, halfTime: { home: 1, away: 0 } } });
+        assert.equal(inPlay.cup.markets.afterExtraTime['0-0'], undefined);
+        assert.ok(inPlay.cup.markets.extraTime > 0.5);
+
+        assert.equal(getCupError({ etShare: 1 / 3, penaltyHome: 0.5 }), '');
+        assert.match(getCupError({ etShare: -0.1, penaltyHome: 0.5 }), /Extra time/);
+        assert.throws(() => price({ ...params, cup: { penaltyHome: 1.5 } }), RangeError);
+    });
+});
+
+describe('two-legged ties', () => {
+    const params = { lambdas: { home: 1.5, away: 1.1 }, pi: { home: 0.05, away: 0.03 } };
+    const afterLeg1 = (score, awayGoals) => price({ ...params, twoLeg: { firstLeg: { score }, awayGoals } });
+
+    it('reduces to the single match cup tie after a goalless first leg', () => {
+        const single = price({ ...params, cup: {} }).cup.markets;
+        const twoLeg = afterLeg1({ home: 0, away: 0 }, false).cup.markets;
+        assertClose(twoLeg.toQualify.home, single.toQualify.home, 1e-12);
+        assertClose(twoLeg.penalties, single.penalties, 1e-12);
+        assert.equal('awayGoals' in twoLeg.method.home, false);
+    });
+
+    it('reads the leg 2 required results from a played first leg', () => {
+        // Home side lost the first leg 1-0 away
+        const plain = afterLeg1({ home: 0, away: 1 }, false).cup.markets.requiredResults;
+        assert.deepEqual({ ...plain['2-0'], prob: 0 }, { prob: 0, home: 1, away: 0, extraTime: 0 });
+        assert.equal(plain['1-0'].extraTime, 1);
+        assert.equal(plain['2-1'].extraTime, 1);
+        assert.equal(plain['0-0'].away, 1);
+
+        const rule = afterLeg1({ home: 0, away: 1 }, true);
+        const required = rule.cup.markets.requiredResults;
+        assert.equal(required['2-1'].away, 1);
+        assert.equal(required['1-0'].extraTime, 1);
+        assertClose(required['1-0'].prob, rule.full.markets.map['1-0'], 1e-12);
+        assert.equal(Object.keys(required).length, 36);
+    });
+
+    it('lets extra time away goals decide a tie level in extra time', () => {
+        const leg1 = { matrix: [[0, 0], [0, 1]] };       // 1-1 away from home
+        const leg2 = { matrix: [[0, 0], [0, 1]] };       // 1-1 at home: level, away goals 1 v 1
+        const et = { matrix: [[0.5, 0.1], [0.2, 0.2]] };
+        const tie = deriveTwoLegTie(leg1, leg2, et, 0.5, true);
+        assertClose(tie.extraTime, 1, 1e-15);
+        assertClose(tie.method.away.awayGoals, 0.2, 1e-15);
+        assertClose(tie.penalties, 0.5, 1e-15);
+        assertClose(tie.method.home.extraTime, 0.2, 1e-15);
+        assertClose(tie.aggregate['2-2'], 1, 1e-15);
+        assertClose(deriveTwoLegTie(leg1, leg2, et, 0.5, false).penalties, 0.7, 1e-15);
+    });
+
+    it('convolves a priced first leg into the aggregate', () => {
+        const firstLeg = { lambdas: { home: 1.0, away: 1.4 }, pi: { home: 0.05, away: 0.05 } };
+        const book = price({ ...params, margins: { full: 5 }, twoLeg: { firstLeg, awayGoals: true } });
+        const tie = book.cup.markets;
+        assertClose(tie.toQualify.home + tie.toQualify.away, 1, 1e-12);
+        assertClose(sum(Object.values(tie.aggregate)), 1, 1e-12);
+        const r = tie.requiredResults['1-0'];
+        assertClose(r.home + r.away + r.extraTime, 1, 1e-12);
+        assert.ok(r.home > 0 && r.away > 0 && r.extraTime > 0);
+        const aggregate = book.full.book['Aggregate Score'];
+        assertClose(sum(Object.values(aggregate).map(s => s.prob)), 1, 1e-12);
+        assert.ok(book.full.book['Method of Victory']['Away Away Goals']);
+        assert.equal(book.full.book['Score After Extra Time'], undefined);
+    });
+
+    it('rejects unusable first legs', () => {
+        assert.equal(getTwoLegError({ firstLeg: { score: { home: 2, away: 0 } } }), '');
+        assert.match(getTwoLegError({ firstLeg: { score: { home: 1.5, away: 0 } } }), /whole/);
+        assert.match(getTwoLegError({ firstLeg: {} }), /score or xG/);
+        assert.match(getTwoLegError({}), /score or xG/);
+        assert.throws(() => price({ ...params, twoLeg: {} }), RangeError);
+        assert.match(getTwoLegError({ firstLeg: { lambdas: { home: 1, away: 1 }, pi: { home: 2, away: 0 } } }), /pi/);
+        const bivariate = { ...params, dependence: { model: 'bivariate', lambda3: 0.5 } };
+        assert.throws(() => price({ ...bivariate, twoLeg: { firstLeg: { lambdas: { home: 0.3, away: 1 } } } }), /First leg/);
+    });
+
+    it('defaults a missing first leg pi to 0 as the pricing does', () => {
+        const partial = { firstLeg: { lambdas: { home: 1.2, away: 0.9 }, pi: { home: 0.1 } } };
+        assert.equal(getTwoLegError(partial), '');
+        const full = { firstLeg: { lambdas: { home: 1.2, away: 0.9 }, pi: { home: 0.1, away: 0 } } };
+        assert.deepEqual(price({ ...params, twoLeg: partial }).cup, price({ ...params, twoLeg: full }).cup);
+    });
+});
@@ -0,0 +1,43 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { price } from '../engine.js';
+import { CSV_COLUMNS, bookToRows, toCSV, toJSON, toPriceSheetHTML } from '../export.js';
+
+const book = price({ lambdas: { home: 1.6, away: 1.1 }, pi: { home: 0.05, away: 0 }, margins: { full: 6, h1: 8, h2: 8 } });
+
+describe('export', () => {
+    it('flattens every priced market of every period', () => {
+        const rows = bookToRows(book);
+        ['full', 'h1', 'h2'].forEach(period => {
+            const expected = Object.values(book[period].book).reduce((n, m) => n + Object.keys(m).length, 0);
+            assert.equal(rows.filter(r => r.period === period).length, expected);
+        });
+        const markets = new Set(rows.filter(r => r.period === 'full').map(r => r.market));
+        ['1X2', 'BTTS', 'Over/Under 2.5', 'HT/FT', 'Result & O/U 2.5', 'Home or Draw & Over 2.5', 'Exact Total Goals', 'Correct Score']
+            .forEach(m => assert.ok(markets.has(m), m));
+    });
+
+    it('writes a CSV with one line per selection and quoted fields', () => {
+        const lines = toCSV(book).trim().split('\r\n');
+        assert.equal(lines[0], CSV_COLUMNS.join(','));
+        assert.equal(lines.length, bookToRows(book).length + 1);
+        assert.ok(lines.includes('full,1X2,Home,' + book.full.book['1X2'].Home.prob.toFixed(6) + ',' +
+            book.full.book['1X2'].Home.fairOdds.toFixed(3) + ',' + book.full.book['1X2'].Home.odds.toFixed(3)));
+        assert.ok(lines.every(l => l.split(',').length >= CSV_COLUMNS.length));
+    });
+
+    it('keeps the correct score matrices in the JSON export', () => {
+        const parsed = JSON.parse(toJSON(book, { homeTeam: 'A', awayTeam: 'B' }));
+        assert.equal(parsed.match.homeTeam, 'A');
+        assert.deepEqual(parsed.periods.h1.correctScoreMatrix, book.h1.matrix);
+        assert.equal(parsed.periods.full.markets['HT/FT']['Home/Home'].odds, book.full.book['HT/FT']['Home/Home'].odds);
+    });
+
+    it('escapes team names in the price sheet', () => {
+        const html = toPriceSheetHTML(book, { homeTeam: '<Home>', awayTeam: 'Away & Co' });
+        assert.ok(html.startsWith('<!DOCTYPE html>'));
+        assert.ok(html.includes('&lt;Home&gt; v Away &amp; Co'));
+        assert.ok(!html.includes('<Home>'));
+    });
+});
@@ -0,0 +1,31 @@
+import assert from 'node:assert/strict';
+
+// Deterministic PRNG (mulberry32) so property tests are reproducible
+export function seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Random but plausible model inputs
+export function randomInputs(random) {
+    return {
+        lambdaH: 0.2 + random() * 3,
+        lambdaA: 0.2 + random() * 3,
+        piH: random() * 0.3,
+        piA: random() * 0.3,
+        halfFactor: 0.35 + random() * 0.3
+    };
+}
+
+export function assertClose(actual, expected, tolerance = 1e-9, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance,
+        message || `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
+export const sum = (arr) => arr.reduce((a, b) => a + b, 0);
@@ -0,0 +1,77 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodePermalink, decodePermalink } from '../permalink.js';
+import { escapeHtml } from '../export.js';
+
+// A getInputs() snapshot as the form produces it
+const defaults = {
+    inputMode: 'xg', homeTeam: 'Home', awayTeam: 'Away',
+    marginal: { family: 'zip', dispersion: { home: 10, away: 10 }, zero: { home: 0.25, away: 0.3 }, one: { home: 0.05, away: 0.05 } },
+    lambdaHomeFull: 1.45, lambdaAwayFull: 1.15, piHome: 0.05, piAway: 0.05,
+    halfFactorHome: 0.45, halfFactorAway: 0.45, halfPi: { mode: 'same' },
+    marginFull: 5, marginH1: 6, marginH2: 6, marginMethod: 'proportional', tailEpsilon: 1e-6,
+    dependence: { model: 'independent', rho: 0, lambda3: 0 }, inPlay: null, cup: null, twoLeg: null,
+    isValid: true, errorMsg: ''
+};
+
+describe('encodePermalink / decodePermalink', () => {
+    it('round-trips every input, the tab and the selections exactly', () => {
+        const inputs = {
+            ...defaults,
+            inputMode: 'sup', homeTeam: 'Reds & Co', awayTeam: 'Blues #2',
+            lambdaHomeFull: (2.9 + 0.35) / 2, lambdaAwayFull: (2.9 - 0.35) / 2,
+            piHome: 0.1, piAway: 0, halfFactorHome: 0.42,
+            marginal: { ...defaults.marginal, family: 'zinb', dispersion: { home: 3.5, away: 12 } },
+            halfPi: { mode: 'manual', h1: { home: 0.2, away: 0.15 }, h2: { home: 0.1, away: 0.05 } },
+            marginMethod: 'shin', marginH2: 7.5,
+            dependence: { model: 'dixonColes', rho: -0.08, lambda3: 0 },
+            inPlay: { minute: 63, score: { home: 1, away: 2 }, halfTime: { home: 0, away: 1 }, redCards: { home: 1, away: 0 } },
+            cup: { etShare: 1 / 3, penaltyHome: 0.55 },
+            twoLeg: { firstLeg: { lambdas: { home: 0.95, away: 1.4 }, pi: { home: 0.05, away: 0 } }, awayGoals: true }
+        };
+        const selections = { full: new Set(['1-0', '7+-0']), h1: new Set(), h2: new Set(['0-0']) };
+        const link = encodePermalink({ inputs, tab: 'h2', selections });
+
+        const state = decodePermalink(`#${link}`, defaults);
+        assert.deepEqual(state.inputs, inputs);
+        assert.equal(state.tab, 'h2');
+        assert.deepEqual(state.selections, selections);
+    });
+
+    it('omits settings that are not in use', () => {
+        const link = encodePermalink({ inputs: defaults, tab: 'full', selections: { full: new Set(), h1: new Set(), h2: new Set() } });
+        const params = new URLSearchParams(link);
+        ['hpi1', 'rho', 'l3', 'min', 'cup', 'leg1', 'leg1xg', 'ag', 'full', 'r', 'p0', 'w'].forEach(name => assert.ok(!params.has(name), name));
+        assert.deepEqual(decodePermalink(link, defaults).inputs, defaults);
+    });
+
+    it('keeps defaults for missing fields and ignores unrelated links', () => {
+        assert.equal(decodePermalink('', defaults), null);
+        assert.equal(decodePermalink('#section-2', defaults), null);
+        const state = decodePermalink('?xgh=2.1&tab=batch', defaults);
+        assert.equal(state.inputs.lambdaHomeFull, 2.1);
+        assert.equal(state.inputs.lambdaAwayFull, defaults.lambdaAwayFull);
+        assert.equal(state.tab, 'batch');
+        assert.equal(decodePermalink('fam=hurdle', defaults).inputs.marginal.family, 'hurdle');
+        assert.deepEqual(decodePermalink('cup=0.3,0.5&leg1=0-2', defaults).inputs.twoLeg, { firstLeg: { score: { home: 0, away: 2 } }, awayGoals: false });
+    });
+
+    it('decodes markup in team names as text the renderers escape', () => {
+        const markup = '<img src=x onerror=alert(1)>';
+        const state = decodePermalink(`#home=${encodeURIComponent(markup)}&away=%22%3E%3Cb%3E`, defaults);
+        assert.equal(state.inputs.homeTeam, markup);
+        assert.equal(state.inputs.awayTeam, '"><b>');
+        const html = `<span>${escapeHtml(state.inputs.homeTeam)}</span><span title="${escapeHtml(state.inputs.awayTeam)}"></span>`;
+        assert.equal(html, '<span>&lt;img src=x onerror=alert(1)&gt;</span><span title="&quot;&gt;&lt;b&gt;"></span>');
+    });
+
+    it('rejects unreadable parameters', () => {
+        assert.throws(() => decodePermalink('xgh=abc', defaults), /"xgh"/);
+        assert.throws(() => decodePermalink('mm=flat', defaults), /"mm"/);
+        assert.throws(() => decodePermalink('fam=negbin&r=2', defaults), /"r"/);
+        assert.throws(() => decodePermalink('min=30&score=1', defaults), /"score"/);
+        assert.throws(() => decodePermalink('hpi=manual', defaults), /hpi1/);
+        assert.throws(() => decodePermalink('cup=0.3', defaults), /"cup"/);
+    });
+});
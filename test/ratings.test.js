@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseMatchDate, parseResults, fitRatings, predictMatch } from '../ratings.js';
+import { seededRandom, assertClose } from './helpers.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Double round-robin results drawn from known ratings, with ZIP scoring
+function simulateSeason(teams, base, homeAdv, rounds, seed) {
+    const random = seededRandom(seed);
+    const poisson = (lambda) => {
+        let k = 0, p = Math.exp(-lambda), cdf = p;
+        const u = random();
+        while (u > cdf) { k++; p *= lambda / k; cdf += p; }
+        return k;
+    };
+    const goals = (mean, pi) => random() < pi ? 0 : poisson(mean / (1 - pi));
+
+    let matches = [];
+    for (let r = 0; r < rounds; r++) {
+        Object.keys(teams).forEach(home => Object.keys(teams).forEach(away => {
+            if (home === away) return;
+            const h = teams[home], a = teams[away];
+            matches.push({
+                date: Date.UTC(2024, 0, 1) + r * DAY, home, away,
+                homeGoals: goals(base * homeAdv * Math.exp(h.attack - a.defence), h.pi),
+                awayGoals: goals(base * Math.exp(a.attack - h.defence), a.pi)
+            });
+        }));
+    }
+    return matches;
+}
+
+describe('parseResults', () => {
+    it('reads ISO and day-first dates', () => {
+        assert.equal(parseMatchDate('2024-08-17'), Date.UTC(2024, 7, 17));
+        assert.equal(parseMatchDate('17/08/2024'), Date.UTC(2024, 7, 17));
+        assert.equal(parseMatchDate('17.08.24'), Date.UTC(2024, 7, 17));
+        assert.ok(isNaN(parseMatchDate('Aug 17')));
+    });
+
+    it('accepts goal columns or a score column and reports skipped rows', () => {
+        const a = parseResults('Date,HomeTeam,AwayTeam,FTHG,FTAG\n2024-08-17,Reds,Blues,2,1\n');
+        assert.deepEqual(a.matches, [{ date: Date.UTC(2024, 7, 17), home: 'Reds', away: 'Blues', homeGoals: 2, awayGoals: 1 }]);
+
+        const b = parseResults('date,home,away,score\n2024-08-17,Reds,Blues,3-0\nsoon,Reds,Blues,1-1\n2024-08-18,Reds,,1-1\n2024-08-19,Reds,Blues,x\n');
+        assert.equal(b.matches.length, 1);
+        assert.equal(b.matches[0].homeGoals, 3);
+        assert.deepEqual(b.skipped.map(s => s.line), [3, 4, 5]);
+        assert.throws(() => parseResults('date,home,away\n2024-08-17,Reds,Blues\n'), /goal/);
+    });
+});
+
+describe('fitRatings', () => {
+    const truth = {
+        Reds: { attack: 0.3, defence: 0.2, pi: 0.15 },
+        Blues: { attack: 0, defence: 0, pi: 0 },
+        Greens: { attack: -0.2, defence: 0.1, pi: 0 },
+        Whites: { attack: -0.1, defence: -0.3, pi: 0.05 }
+    };
+    const matches = simulateSeason(truth, 1.3, 1.25, 150, 13);
+    const fit = fitRatings(matches, { halfLifeDays: 0 });
+
+    it('recovers attack, defence and home advantage from simulated results', () => {
+        assertClose(fit.homeAdvantage, 1.25, 0.05);
+        assertClose(fit.base, 1.3, 0.05);
+        Object.keys(truth).forEach(team => {
+            // Ratings are identified up to a shared offset; truth is not centred
+            const meanAttack = Object.values(truth).reduce((s, t) => s + t.attack, 0) / 4;
+            const meanDefence = Object.values(truth).reduce((s, t) => s + t.defence, 0) / 4;
+            assertClose(fit.teams[team].attack, truth[team].attack - meanAttack, 0.08, `${team} attack`);
+            assertClose(fit.teams[team].defence, truth[team].defence - meanDefence, 0.08, `${team} defence`);
+        });
+    });
+
+    it('estimates zero-inflation per team', () => {
+        assertClose(fit.teams.Reds.pi, 0.15, 0.06);
+        assert.ok(fit.teams.Blues.pi < 0.05);
+    });
+
+    it('down-weights old results with the half-life', () => {
+        // Reds score freely early on, then dry up
+        const others = { Blues: { attack: 0, defence: 0, pi: 0 }, Greens: { attack: 0, defence: 0, pi: 0 } };
+        const form = [
+            ...simulateSeason({ Reds: { attack: 0.5, defence: 0, pi: 0 }, ...others }, 1.3, 1, 40, 1),
+            ...simulateSeason({ Reds: { attack: -0.5, defence: 0, pi: 0 }, ...others }, 1.3, 1, 40, 2)
+                .map(m => ({ ...m, date: m.date + 365 * DAY }))
+        ];
+        const flat = fitRatings(form, { halfLifeDays: 0 });
+        const decayed = fitRatings(form, { halfLifeDays: 30 });
+        assert.ok(decayed.teams.Reds.attack < flat.teams.Reds.attack - 0.2);
+    });
+});
+
+describe('predictMatch', () => {
+    it('turns ratings into calculator xG and pi', () => {
+        const fit = {
+            base: 1.2, homeAdvantage: 1.2,
+            teams: { A: { attack: 0.2, defence: 0.1, pi: 0.1 }, B: { attack: -0.1, defence: 0, pi: 0 } }
+        };
+        const p = predictMatch(fit, 'A', 'B');
+        assertClose(p.meanHome, 1.2 * 1.2 * Math.exp(0.2), 1e-12);
+        assertClose(p.meanAway, 1.2 * Math.exp(-0.1 - 0.1), 1e-12);
+        assertClose(p.lambdaHome * (1 - p.piHome), p.meanHome, 1e-12);
+        assert.equal(p.piAway, 0);
+        assert.throws(() => predictMatch(fit, 'A', 'C'), /C/);
+    });
+});
@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { price } from '../engine.js';
+import {
+    SCENARIO_STORAGE_KEY,
+    readScenarios,
+    findScenario,
+    saveScenario,
+    deleteScenario,
+    duplicateScenario,
+    deserializeSelections,
+    compareBooks
+} from '../scenarios.js';
+
+// Minimal localStorage stand-in
+function memoryStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+const inputs = { homeTeam: 'Home', awayTeam: 'Away', lambdaHomeFull: 1.6, lambdaAwayFull: 1.1 };
+const selections = { full: new Set(['1-0', '2-1']), h1: new Set(), h2: new Set(['0-0']) };
+
+describe('scenario storage', () => {
+    it('round-trips inputs and selections', () => {
+        const storage = memoryStorage();
+        saveScenario(storage, '  Base  ', inputs, selections);
+
+        const saved = findScenario(storage, 'Base');
+        assert.deepEqual(saved.inputs, inputs);
+        const restored = deserializeSelections(saved.selections);
+        assert.deepEqual([...restored.full], ['1-0', '2-1']);
+        assert.deepEqual([...restored.h2], ['0-0']);
+        assert.equal(restored.h1.size, 0);
+    });
+
+    it('overwrites by name, duplicates and deletes', () => {
+        const storage = memoryStorage();
+        saveScenario(storage, 'Base', inputs, selections);
+        saveScenario(storage, 'Base', { ...inputs, lambdaHomeFull: 2 }, selections);
+        assert.equal(readScenarios(storage).length, 1);
+        assert.equal(findScenario(storage, 'Base').inputs.lambdaHomeFull, 2);
+
+        assert.equal(duplicateScenario(storage, 'Base').name, 'Base (copy)');
+        assert.equal(duplicateScenario(storage, 'Base').name, 'Base (copy 2)');
+        assert.deepEqual(readScenarios(storage).map(s => s.name), ['Base', 'Base (copy)', 'Base (copy 2)']);
+
+        deleteScenario(storage, 'Base (copy)');
+        assert.deepEqual(readScenarios(storage).map(s => s.name), ['Base', 'Base (copy 2)']);
+        assert.throws(() => duplicateScenario(storage, 'Missing'));
+        assert.throws(() => saveScenario(storage, '  ', inputs, selections));
+    });
+
+    it('treats corrupt storage as empty', () => {
+        const storage = memoryStorage();
+        storage.setItem(SCENARIO_STORAGE_KEY, '{not json');
+        assert.deepEqual(readScenarios(storage), []);
+    });
+});
+
+describe('compareBooks', () => {
+    it('reports zero deltas for identical books', () => {
+        const book = price({ lambdas: { home: 1.6, away: 1.1 } });
+        const rows = compareBooks(book, book);
+        assert.ok(rows.length > 0);
+        assert.ok(rows.every(r => r.diff === 0));
+        assert.deepEqual(new Set(rows.map(r => r.period)), new Set(['full', 'h1', 'h2']));
+    });
+
+    it('signs deltas as B minus A', () => {
+        const a = price({ lambdas: { home: 1.2, away: 1.2 } });
+        const b = price({ lambdas: { home: 2.0, away: 1.2 } });
+        const row = compareBooks(a, b).find(r => r.period === 'full' && r.market === '1X2' && r.selection === 'Home');
+        assert.equal(row.a, a.full.book['1X2'].Home.prob);
+        assert.ok(row.diff > 0);
+    });
+});
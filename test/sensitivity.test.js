@@ -0,0 +1,82 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { keyMarkets, computeSensitivities, sweepInput, isInputUsed } from '../sensitivity.js';
+import { price } from '../engine.js';
+import { assertClose } from './helpers.js';
+
+const params = { lambdas: { home: 1.6, away: 1.1 }, pi: { home: 0.05, away: 0.03 }, halfFactor: 0.45 };
+const base = price(params);
+const markets = keyMarkets(base, 3);
+const byKey = (key) => markets.find(m => m.key === key);
+
+describe('keyMarkets', () => {
+    it('tracks 1X2, the goal lines, BTTS, 1st half and the top scores', () => {
+        const keys = markets.map(m => m.key);
+        ['home', 'draw', 'away', 'over2.5', 'btts', 'h1home', 'h1over0.5'].forEach(k => assert.ok(keys.includes(k), k));
+        const scores = markets.filter(m => m.group === 'Correct Score');
+        assert.equal(scores.length, 3);
+        assert.equal(scores[0].label, '1-1');
+        assertClose(byKey('over2.5').read(base), base.full.markets.overs[2.5], 1e-15);
+    });
+});
+
+describe('computeSensitivities', () => {
+    const sens = computeSensitivities(params, markets);
+
+    it('moves the markets in the expected directions', () => {
+        assert.ok(sens.supremacy.slopes.home > 0);
+        assert.ok(sens.supremacy.slopes.away < 0);
+        assert.ok(sens.expectancy.slopes['over2.5'] > 0);
+        assert.ok(sens.expectancy.slopes.draw < 0);
+        assert.ok(sens.piHome.slopes.btts < 0);
+        assert.ok(sens.halfFactor.slopes.h1draw < 0);
+        assertClose(sens.supremacy.value, 0.5, 1e-12);
+        assertClose(sens.halfFactor.slopes['over2.5'], 0, 1e-9);
+    });
+
+    it('matches a finite difference of the full price and keeps 1X2 summing to one', () => {
+        const h = 0.01;
+        const up = price({ ...params, lambdas: { home: 1.6 + h, away: 1.1 + h } }).full.markets.overs[2.5];
+        const down = price({ ...params, lambdas: { home: 1.6 - h, away: 1.1 - h } }).full.markets.overs[2.5];
+        assertClose(sens.expectancy.slopes['over2.5'], (up - down) / (4 * h), 1e-3);
+        const { home, draw, away } = sens.supremacy.slopes;
+        assertClose(home + draw + away, 0, 1e-6);
+    });
+
+    it('differentiates one-sided at the edge of a range and skips unused inputs', () => {
+        const atZero = computeSensitivities({ ...params, pi: { home: 0, away: 0 } }, markets, ['piHome']);
+        assert.ok(atZero.piHome.slopes.home < 0);
+
+        const negbin = { ...params, marginal: { family: 'negbin', dispersion: { home: 8, away: 8 } } };
+        assert.equal(isInputUsed(negbin, 'piAway'), false);
+        const sens = computeSensitivities(negbin, markets, ['piAway', 'expectancy']);
+        assert.equal(sens.piAway.used, false);
+        assert.equal(sens.piAway.slopes.btts, 0);
+        assert.ok(sens.expectancy.slopes['over2.5'] > 0);
+    });
+});
+
+describe('sweepInput', () => {
+    it('reprices each point with the other inputs fixed', () => {
+        const sweep = sweepInput(params, 'expectancy', markets, { from: 2, to: 3.4, points: 8 });
+        assert.equal(sweep.values.length, 8);
+        assertClose(sweep.values[7], 3.4, 1e-12);
+        const overs = sweep.series['over2.5'];
+        overs.slice(1).forEach((p, i) => assert.ok(p > overs[i]));
+        const at = price({ ...params, lambdas: { home: (2.2 + 0.5) / 2, away: (2.2 - 0.5) / 2 } });
+        assertClose(sweep.series.home[1], at.full.markets.homeWin, 1e-12);
+    });
+
+    it('clips the range to where the model is defined and marks rejected points', () => {
+        const sweep = sweepInput(params, 'supremacy', markets, { from: -5, to: 5, points: 5 });
+        assertClose(sweep.values[0], -2.7, 1e-12);
+        assertClose(sweep.values[4], 2.7, 1e-12);
+
+        const bivariate = { ...params, dependence: { model: 'bivariate', lambda3: 0.4 } };
+        const rejected = sweepInput(bivariate, 'supremacy', markets, { from: 1.5, to: 2.5, points: 3 });
+        assert.equal(rejected.series.home[2], null);
+        assert.ok(rejected.series.home[0] > 0);
+        assert.throws(() => sweepInput(params, 'piHome', markets, { from: 2, to: 3 }), RangeError);
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildIntensity, simulateMatches, compareToModel } from '../simulator.js';
+import { computePoissonPMF } from '../engine.js';
+import { assertClose } from './helpers.js';
+
+const base = {
+    lambdas: { home: 1.6, away: 1.1 },
+    pi: { home: 0.08, away: 0.05 },
+    halfFactor: 0.45,
+    ramp: 0.5
+};
+
+describe('buildIntensity', () => {
+    it('splits lambda between the halves and ramps within each', () => {
+        const curve = buildIntensity(1.5, 0.4, 1);
+        assert.equal(curve.length, 90);
+        assertClose(curve.slice(0, 45).reduce((a, b) => a + b, 0), 0.6);
+        assertClose(curve.slice(45).reduce((a, b) => a + b, 0), 0.9);
+        assert.ok(curve[44] > curve[0] * 1.9);
+        assert.ok(curve[45] < curve[44]);
+    });
+});
+
+describe('simulateMatches', () => {
+    it('reproduces the analytic Full Time grid', () => {
+        const independent = simulateMatches(base, { runs: 30000, seed: 7 });
+        const check = compareToModel(independent, base);
+        assert.ok(check.totalVariation < 0.02, `TV ${check.totalVariation}`);
+        assert.ok(check.maxZ < 4.5, `max z ${check.maxZ} at ${check.worst}`);
+
+        const bivariate = { ...base, dependence: { model: 'bivariate', lambda3: 0.2 } };
+        const checkBp = compareToModel(simulateMatches(bivariate, { runs: 30000, seed: 8 }), bivariate);
+        assert.ok(checkBp.totalVariation < 0.02, `TV ${checkBp.totalVariation}`);
+        assert.ok(checkBp.maxZ < 4.5, `max z ${checkBp.maxZ} at ${checkBp.worst}`);
+    });
+
+    it('is reproducible for a seed and consistent across its summaries', () => {
+        const a = simulateMatches(base, { runs: 5000, seed: 3 });
+        assert.deepEqual(simulateMatches(base, { runs: 5000, seed: 3 }), a);
+        assert.notDeepEqual(simulateMatches(base, { runs: 5000, seed: 4 }).correctScore, a.correctScore);
+
+        assertClose(a.firstGoal.home + a.firstGoal.away + a.firstGoal.none, 1, 1e-12);
+        assertClose(a.lastTeam.home + a.lastTeam.away + a.lastTeam.none, 1, 1e-12);
+        assertClose(a.firstGoal.none, a.correctScore['0-0'], 1e-12);
+        assertClose(a.firstGoal.bands.reduce((s, b) => s + b.prob, 0), 1 - a.firstGoal.none, 1e-12);
+    });
+
+    it('matches each half to its ZIP share of the goals', () => {
+        const sim = simulateMatches({ ...base, pi: { home: 0, away: 0 } }, { runs: 20000, seed: 11 });
+        const h1Goals = sim.bands.slice(0, 3).reduce((s, b) => s + b.goals, 0);
+        assertClose(h1Goals, 0.45 * 2.7, 0.04);
+        // Both halves: P(score in H1) * P(score in H2) for independent Poisson halves
+        const p = (l) => 1 - computePoissonPMF(l, 0, 0).probs[0];
+        assertClose(sim.scoreBothHalves.home, p(1.6 * 0.45) * p(1.6 * 0.55), 0.015);
+    });
+
+    it('moves goals late in each half with a ramp', () => {
+        const flat = simulateMatches({ ...base, ramp: 0 }, { runs: 10000, seed: 5 });
+        const ramped = simulateMatches({ ...base, ramp: 2 }, { runs: 10000, seed: 5 });
+        assert.ok(ramped.bands[2].goals > flat.bands[2].goals + 0.05);
+        assert.ok(ramped.bands[0].goals < flat.bands[0].goals - 0.05);
+        assert.ok(ramped.firstGoal.meanMinute > flat.firstGoal.meanMinute);
+    });
+
+    it('continues from an in-play state', () => {
+        const state = { minute: 60, score: { home: 0, away: 1 }, halfTime: { home: 0, away: 1 } };
+        const sim = simulateMatches({ ...base, state }, { runs: 5000, seed: 2 });
+        Object.keys(sim.correctScore).forEach(key => {
+            const [h, a] = key.split('-').map(Number);
+            assert.ok(a >= 1, key);
+            assert.ok(h >= 0, key);
+        });
+        assert.equal(sim.firstGoal.before, 1);
+        assert.equal(sim.bands[0].anyGoal, 0);
+        assert.equal(sim.bands[3].anyGoal, 0);
+        // Away have every goal so far, so they are last to score unless home reply
+        assert.equal(sim.lastTeam.none + sim.lastTeam.unknown, 0);
+        assert.ok(sim.scoreBothHalves.away > 0.2);
+        assert.equal(sim.scoreBothHalves.home, 0);
+    });
+
+    it('rejects Dixon-Coles and impossible states', () => {
+        assert.throws(() => simulateMatches({ ...base, dependence: { model: 'dixonColes', rho: -0.1 } }), RangeError);
+        assert.throws(() => simulateMatches({ ...base, state: { minute: 95 } }), RangeError);
+        assert.throws(() => simulateMatches({ ...base, state: { minute: 70, score: { home: 1, away: 0 }, halfTime: { home: 2, away: 0 } } }), RangeError);
+    });
+});
@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { price } from '../engine.js';
+import { buildSolverTargets, removeOverround, solveFromOdds } from '../solver.js';
+import { assertClose, sum } from './helpers.js';
+
+const INDEPENDENT = { model: 'independent', rho: 0, lambda3: 0 };
+
+// Bookmaker odds for the solver markets, generated by the model itself
+function oddsFromModel(params, margin) {
+    const book = price({ ...params, margins: { full: margin } }).full.book;
+    return {
+        home: book['1X2'].Home.odds, draw: book['1X2'].Draw.odds, away: book['1X2'].Away.odds,
+        over: book['Over/Under 2.5'].Over.odds, under: book['Over/Under 2.5'].Under.odds,
+        bttsYes: book['BTTS'].Yes.odds, bttsNo: book['BTTS'].No.odds
+    };
+}
+
+describe('removeOverround', () => {
+    it('strips the book back to fair probabilities', () => {
+        const { probs, overround } = removeOverround([1.9, 1.9], 'proportional');
+        assertClose(overround, 2 / 1.9 - 1, 1e-12);
+        assertClose(probs[0], 0.5, 1e-12);
+        assertClose(sum(probs), 1, 1e-12);
+    });
+});
+
+describe('solveFromOdds', () => {
+    it('recovers the lambdas that generated the prices', () => {
+        const params = { lambdas: { home: 1.7, away: 1.0 } };
+        const { targets } = buildSolverTargets(oddsFromModel(params, 5), 'proportional');
+        const solution = solveFromOdds(targets, INDEPENDENT);
+
+        assertClose(solution.params.lambdaH, 1.7, 0.02);
+        assertClose(solution.params.lambdaA, 1.0, 0.02);
+        assert.ok(solution.rmse < 1e-3);
+        solution.residuals.forEach(r => assert.ok(Math.abs(r.residual) < 2e-3, r.label));
+    });
+});
@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { edge, kellyFraction, assessValue, findValueBets } from '../value.js';
+import { assertClose } from './helpers.js';
+
+const settings = { threshold: 0.02, bankroll: 1000, kellyMultiplier: 0.25 };
+
+describe('value finder', () => {
+    it('computes edge as prob x odds - 1', () => {
+        assertClose(edge(0.5, 2.2), 0.1);
+        assertClose(edge(0.5, 2), 0);
+        assertClose(edge(0.25, 3), -0.25);
+    });
+
+    it('matches the closed-form Kelly fraction and never goes negative', () => {
+        // Even-money bet at 55%: f* = 2p - 1
+        assertClose(kellyFraction(0.55, 2), 0.1);
+        assertClose(kellyFraction(0.4, 3), 0.1);
+        assert.equal(kellyFraction(0.3, 3), 0);
+        assert.equal(kellyFraction(0.9, 1), 0);
+    });
+
+    it('scales stakes by the Kelly multiplier and flags the threshold', () => {
+        const a = assessValue(0.55, 2, settings);
+        assertClose(a.stake, 1000 * 0.25 * 0.1);
+        assert.equal(a.isValue, true);
+        assert.equal(assessValue(0.505, 2, settings).isValue, false); // 1% edge < 2%
+        assert.equal(assessValue(0.5, 2, { ...settings, threshold: -1 }).isValue, false);
+    });
+
+    it('lists value bets best edge first', () => {
+        const bets = findValueBets([
+            { key: 'a', prob: 0.55, odds: 2 },
+            { key: 'b', prob: 0.3, odds: 3 },
+            { key: 'c', prob: 0.4, odds: 3 },
+            { key: 'd', prob: 0.9, odds: 1 }
+        ], settings);
+        assert.deepEqual(bets.map(b => b.key), ['c', 'a']);
+    });
+});
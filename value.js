@@ -0,0 +1,36 @@
+/**
+ * ZIP Football Calculator - Value Finder
+ * * Edge and Kelly staking for bookmaker odds entered against model
+ * probabilities.
+ */
+
+// Expected return per unit staked: prob x odds - 1
+export function edge(prob, odds) {
+    return prob * odds - 1;
+}
+
+// Full Kelly fraction of bankroll, f* = (p*o - 1) / (o - 1); never negative
+export function kellyFraction(prob, odds) {
+    if (!(odds > 1)) return 0;
+    return Math.max(0, edge(prob, odds) / (odds - 1));
+}
+
+/**
+ * Assess one offered price.
+ * settings: { threshold, bankroll, kellyMultiplier } - threshold is the
+ * minimum edge (0.02 = 2%), kellyMultiplier 1 for full Kelly, 0.25 for quarter.
+ */
+export function assessValue(prob, odds, settings) {
+    const e = edge(prob, odds);
+    const kelly = kellyFraction(prob, odds) * settings.kellyMultiplier;
+    return { edge: e, isValue: e >= settings.threshold && e > 0, kelly, stake: kelly * settings.bankroll };
+}
+
+// Value bets among entries [{ key, label, prob, odds }], best edge first
+export function findValueBets(entries, settings) {
+    return entries
+        .filter(entry => entry.odds > 1)
+        .map(entry => ({ ...entry, ...assessValue(entry.prob, entry.odds, settings) }))
+        .filter(entry => entry.isValue)
+        .sort((a, b) => b.edge - a.edge);
+}